@@ -6,6 +6,15 @@ const subEl = document.getElementById('sub');
 const refreshBtn = document.getElementById('refresh');
 const scanBtn = document.getElementById('scan');
 const scanOut = document.getElementById('scan-output');
+const scanHealthEl = document.getElementById('scan-health');
+const scanHealthSummaryEl = document.getElementById('scan-health-summary');
+const scanHealthBodyEl = document.getElementById('scan-health-body');
+const scanHistoryEl = document.getElementById('scan-history');
+const scanHistorySummaryEl = document.getElementById('scan-history-summary');
+const scanHistoryBodyEl = document.getElementById('scan-history-body');
+const scanHistoryDiffEl = document.getElementById('scan-history-diff');
+const scanHistoryFromEl = document.getElementById('scan-history-from');
+const scanHistoryToEl = document.getElementById('scan-history-to');
 const filterEl = document.getElementById('priority-filter');
 const sortEl = document.getElementById('sort-by');
 const searchEl = document.getElementById('search-box');
@@ -15,6 +24,9 @@ const panelTableEl = document.getElementById('panel-table');
 const panelKanbanEl = document.getElementById('panel-kanban');
 const heroTitleEl = document.querySelector('.hero h1');
 const zonesEl = document.getElementById('zones');
+const mergeBannerEl = document.getElementById('merge-banner');
+const mergeBannerTextEl = document.getElementById('merge-banner-text');
+const mergeCancelBtn = document.getElementById('merge-cancel');
 
 const profileSwitcherEl = document.getElementById('profile-switcher');
 
@@ -110,12 +122,30 @@ let scorePopoverHideTimer = null;
 let activeScoreTrigger = null;
 let scorePopoverGlobalBound = false;
 let activeCardFilter = 'all';
+// Listing picked with "Fusionner", waiting for the one to keep.
+let pendingMergeId = null;
+// Kept listing ID -> tracker entries merged into it (hidden from the table).
+let duplicatesByKeepId = new Map();
+// { key, label, icon } for each amenity the scan extracts, from /api/state.
+let amenityDefinitions = [];
+// Profile move-in window (ISO dates), for the "disponible avant ma date" card.
+let moveInWindow = { earliest: null, deadline: null };
 
 function money(v) {
   if (v == null) return 'n/a';
   return `CHF ${new Intl.NumberFormat('fr-CH').format(v)}`;
 }
 
+// "net CHF 1'390 + charges CHF 210 + parking CHF 120", from the parts the
+// provider gave; empty when it only gave the gross rent.
+function rentBreakdownLabel(item) {
+  const parts = [];
+  if (item.netRentChf != null) parts.push(`net ${money(item.netRentChf)}`);
+  if (item.chargesChf != null) parts.push(`charges ${money(item.chargesChf)}`);
+  if (item.parkingChf != null) parts.push(`parking ${money(item.parkingChf)}`);
+  return parts.length > 1 || item.parkingChf != null ? parts.join(' + ') : '';
+}
+
 function shortWhen(iso) {
   if (!iso) return 'n/a';
   return new Date(iso).toLocaleString('fr-CH', {
@@ -263,6 +293,91 @@ async function deleteListing(id) {
   return !!data.ok;
 }
 
+async function postDedupAction(action, keepId, dropId) {
+  const res = await fetch(apiUrl(`/api/dedup/${action}`), {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ keepId, dropId })
+  });
+  const data = await res.json();
+  return !!data.ok;
+}
+
+function setPendingMerge(id) {
+  pendingMergeId = id == null ? null : String(id);
+  const pending = allListings.find((x) => String(x.id) === pendingMergeId);
+  mergeBannerEl.classList.toggle('hidden', !pending);
+  if (pending) {
+    mergeBannerTextEl.textContent = `Fusion de « ${pending.objectType || pending.title} » : choisissez l'annonce à conserver.`;
+  }
+  renderAll(latestState);
+}
+
+// First click picks the listing to merge away, the second one the listing to keep.
+function createMergeButton(item) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'save-inline merge-btn';
+
+  const isPending = pendingMergeId === String(item.id);
+  if (!pendingMergeId) {
+    btn.textContent = 'Fusionner';
+    btn.title = 'Fusionner avec une autre annonce (même appartement)';
+  } else if (isPending) {
+    btn.textContent = 'Annuler';
+    btn.classList.add('pending');
+  } else {
+    btn.textContent = 'Garder celle-ci';
+    btn.title = 'Conserver cette annonce et masquer l\'autre';
+  }
+
+  btn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    if (!pendingMergeId || isPending) {
+      setPendingMerge(isPending ? null : item.id);
+      return;
+    }
+    btn.disabled = true;
+    const ok = await postDedupAction('merge', item.id, pendingMergeId);
+    if (!ok) window.alert('Fusion impossible.');
+    pendingMergeId = null;
+    mergeBannerEl.classList.add('hidden');
+    await load();
+  });
+
+  return btn;
+}
+
+// Listings merged into this one, each with a button to split the pair again.
+function duplicatesHtml(item) {
+  const duplicates = duplicatesByKeepId.get(String(item.id)) || [];
+  if (!duplicates.length) return '';
+
+  const entries = duplicates.map((dup) => {
+    const label = [listingSourceLabel(dup), dup.objectType || dup.title].filter(Boolean).join(' · ');
+    const why = dup.dedupMatch
+      ? `${dup.filterReason || 'Doublon'} · similarité ${Math.round(dup.dedupMatch.score * 100)} % (${(dup.dedupMatch.reasons || []).join(', ')})`
+      : dup.filterReason || '';
+    return `<li><a href="${escapeHtml(dup.url || '#')}" target="_blank" rel="noreferrer">${escapeHtml(label || dup.id)}</a> <span class="small">${escapeHtml(why)}</span> <button type="button" class="split-btn" data-split-keep="${escapeHtml(item.id)}" data-split-drop="${escapeHtml(dup.id)}">Séparer</button></li>`;
+  }).join('');
+
+  return `<details class="change-log duplicates">
+    <summary>Fusionnée avec (${duplicates.length})</summary>
+    <ul>${entries}</ul>
+  </details>`;
+}
+
+async function handleSplitClick(event) {
+  const btn = event.target.closest('[data-split-drop]');
+  if (!btn) return;
+  event.preventDefault();
+  if (!window.confirm('Séparer ces deux annonces ? Elles ne seront plus fusionnées aux prochains scans.')) return;
+  btn.disabled = true;
+  const ok = await postDedupAction('split', btn.dataset.splitKeep, btn.dataset.splitDrop);
+  if (ok) await load();
+  else btn.disabled = false;
+}
+
 function createPinButton(item) {
   const btn = document.createElement('button');
   btn.type = 'button';
@@ -330,6 +445,8 @@ function listingSourceLabel(item) {
   const raw = String(item?.source || '').trim().toLowerCase();
   if (raw.includes('immobilier')) return 'immobilier.ch';
   if (raw.includes('flatfox')) return 'flatfox.ch';
+  if (raw.includes('immoscout24')) return 'immoscout24.ch';
+  if (raw.includes('newhome')) return 'newhome.ch';
 
   const url = String(item?.url || '').trim();
   if (url) {
@@ -351,27 +468,161 @@ function sourceMetaHtml(item) {
 }
 
 function isNewToday(item) {
-  if (!item.firstSeenAt) return false;
-  const seen = new Date(item.firstSeenAt);
-  const today = new Date();
-  return seen.getFullYear() === today.getFullYear()
-    && seen.getMonth() === today.getMonth()
-    && seen.getDate() === today.getDate();
+  return isSameDay(item.firstSeenAt);
+}
+
+// Stated availability (a date or "de suite") no later than the profile's
+// latest move-in date. "À convenir" and unknown dates do not count.
+function isAvailableByDeadline(item) {
+  return !!moveInWindow.deadline && !!item.availableFrom && item.availableFrom <= moveInWindow.deadline;
+}
+
+function isSameDay(iso, day = new Date()) {
+  if (!iso) return false;
+  const d = new Date(iso);
+  return d.getFullYear() === day.getFullYear()
+    && d.getMonth() === day.getMonth()
+    && d.getDate() === day.getDate();
+}
+
+function isPriceDropToday(item) {
+  return !!item.priceDrop && isSameDay(item.priceDrop.at);
+}
+
+// New listings, relistings and listings whose rent dropped today get the same highlight.
+function isHighlighted(item) {
+  return !item.isRemoved && (isNewToday(item) || isPriceDropToday(item) || isSameDay(item.relistedAt));
+}
+
+const RELISTING_MATCH_LABELS = {
+  dedupKey: 'même adresse, pièces, surface et loyer',
+  images: 'mêmes photos',
+  photos: 'photos identiques (empreinte visuelle)',
+  coordinates: 'mêmes coordonnées, pièces et loyer'
+};
+
+function dayMonthLabel(iso) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleDateString('fr-CH', { day: '2-digit', month: '2-digit' });
+}
+
+function priceDropBadgeHtml(item) {
+  const drop = item.priceDrop;
+  if (!drop || item.isRemoved) return '';
+  const history = (item.priceHistory || [])
+    .map((point) => `${dayMonthLabel(point.at) || '?'} · CHF ${point.totalChf}`)
+    .join('\n');
+  return `<span class="state-badge price-drop" title="${escapeHtml(`CHF ${drop.fromChf} → CHF ${drop.toChf}\n${history}`)}">−CHF ${escapeHtml(drop.amountChf)} depuis le ${escapeHtml(dayMonthLabel(drop.at))}</span>`;
+}
+
+// Other listings (any source, removed ones included) showing the same photos:
+// a duplicate the dedup missed, or a scam reusing someone else's pictures.
+function samePhotosBadgeHtml(item) {
+  const matches = Array.isArray(item.samePhotosAs) ? item.samePhotosAs : [];
+  if (!matches.length) return '';
+  const lines = matches.map((match) => {
+    const label = [listingSourceLabel(match), match.title || match.id].filter(Boolean).join(' · ');
+    return `${label} (${match.count} photo(s)${match.isRemoved ? ', retirée' : ''})`;
+  });
+  const first = matches[0];
+  const text = matches.length === 1 ? 'Mêmes photos qu\'une autre annonce' : `Mêmes photos que ${matches.length} annonces`;
+  const title = escapeHtml(lines.join('\n'));
+  return first.url
+    ? `<a class="state-badge same-photos" href="${escapeHtml(first.url)}" target="_blank" rel="noreferrer" title="${title}">${text}</a>`
+    : `<span class="state-badge same-photos" title="${title}">${text}</span>`;
+}
+
+// One icon per amenity the listing mentions; crossed out when it says it
+// has not.
+function amenitiesHtml(item) {
+  const amenities = item.amenities && typeof item.amenities === 'object' ? item.amenities : {};
+  const icons = amenityDefinitions
+    .filter((amenity) => typeof amenities[amenity.key] === 'boolean')
+    .map((amenity) => {
+      const present = amenities[amenity.key];
+      const title = present ? amenity.label : `${amenity.label} : non`;
+      return `<span class="amenity-icon${present ? '' : ' absent'}" title="${escapeHtml(title)}">${amenity.icon}</span>`;
+    });
+  return icons.length ? `<div class="amenity-icons">${icons.join('')}</div>` : '';
 }
 
 function stateBadgesHtml(item) {
   const badges = [];
   if (isNewToday(item) && !item.isRemoved) badges.push('<span class="state-badge new">Nouveau</span>');
+  const priceDrop = priceDropBadgeHtml(item);
+  if (priceDrop) badges.push(priceDrop);
+  if (item.relistedFromId && !item.isRemoved) {
+    const why = RELISTING_MATCH_LABELS[item.relistingMatch] || item.relistingMatch || '';
+    const title = `Ancienne annonce ${item.relistedFromId}${why ? ` · ${why}` : ''} · ${shortWhen(item.relistedAt)}`;
+    badges.push(`<span class="state-badge relisted" title="${escapeHtml(title)}">Remise en ligne</span>`);
+  }
+
+  const samePhotos = samePhotosBadgeHtml(item);
+  if (samePhotos) badges.push(samePhotos);
 
   const stage = String(item?.listingStage || '').toLowerCase();
   if (stage === 'off_market') badges.push('<span class="state-badge offmarket">Off-market</span>');
   else if (stage === 'early_market') badges.push('<span class="state-badge early">Direct régie</span>');
 
+  if (item.leadType === 'institutional') {
+    badges.push(`<span class="state-badge lead" title="${escapeHtml(item.providerName || '')}">Lead institutionnel</span>`);
+  }
+  if (item.deliveryText) badges.push(`<span class="state-badge delivery">Livraison ${escapeHtml(item.deliveryText)}</span>`);
+  if (item.preRegistrationUrl) {
+    badges.push(`<a class="state-badge lead" href="${escapeHtml(item.preRegistrationUrl)}" target="_blank" rel="noreferrer">Pré-inscription</a>`);
+  }
+
   if (item.isRemoved) badges.push('<span class="state-badge removed">Retirée</span>');
 
   return badges.length ? `<div class="state-badges">${badges.join('')}</div>` : '';
 }
 
+// Labels shared by the listing change log and the scan history diff.
+const FIELD_CHANGE_LABELS = {
+  title: 'titre',
+  objectType: 'type',
+  url: 'lien',
+  address: 'adresse',
+  rooms: 'pièces',
+  surfaceM2: 'surface',
+  rentChf: 'loyer net',
+  netRentChf: 'loyer net',
+  chargesChf: 'charges',
+  parkingChf: 'parking obligatoire',
+  totalChf: 'prix',
+  movingDateRaw: 'disponibilité',
+  entryDateText: "date d'entrée",
+  photos: 'photos',
+  relisted: 'remise en ligne'
+};
+
+function changeValueLabel(field, value) {
+  if (value == null || value === '') return '—';
+  if (field === 'photos') return `${value.length} photo(s)`;
+  if (['rentChf', 'netRentChf', 'chargesChf', 'parkingChf', 'totalChf'].includes(field)) return `CHF ${value}`;
+  if (field === 'surfaceM2') return `${value} m²`;
+  return String(value);
+}
+
+// Newest scan first; each entry lists the fields the provider changed then.
+function changeLogHtml(item) {
+  const log = Array.isArray(item.changeLog) ? item.changeLog : [];
+  if (!log.length) return '';
+
+  const entries = [...log].reverse().map((entry) => {
+    const changes = (entry.changes || []).map((change) => {
+      const label = FIELD_CHANGE_LABELS[change.field] || change.field;
+      return `${escapeHtml(label)}: ${escapeHtml(changeValueLabel(change.field, change.from))} → ${escapeHtml(changeValueLabel(change.field, change.to))}`;
+    });
+    return `<li><span class="change-log-date">${escapeHtml(shortWhen(entry.at))}</span> ${changes.join(' · ')}</li>`;
+  }).join('');
+
+  return `<details class="change-log">
+    <summary>Modifications (${log.length})</summary>
+    <ul>${entries}</ul>
+  </details>`;
+}
+
 function escapeHtml(value = '') {
   return String(value)
     .replace(/&/g, '&amp;')
@@ -551,6 +802,8 @@ function matchesCardFilter(item, key) {
     return !item.isRemoved && (stage === 'early_market' || stage === 'off_market');
   }
   if (key === 'new') return !item.isRemoved && isNewToday(item);
+  if (key === 'price-drop') return !item.isRemoved && !!item.priceDrop;
+  if (key === 'move-in') return !item.isRemoved && isAvailableByDeadline(item);
   if (key === 'removed') return !!item.isRemoved;
   return true;
 }
@@ -568,6 +821,9 @@ function applyFilterAndSort(items) {
       const stage = String(item.listingStage || '').toLowerCase();
       return !item.isRemoved && (stage === 'early_market' || stage === 'off_market');
     }
+    if (mode === 'price-drop') {
+      return !item.isRemoved && !!item.priceDrop;
+    }
     return true;
   });
 
@@ -775,7 +1031,7 @@ function renderDesktop(listings) {
     const tr = document.createElement('tr');
     if (item.isRemoved) tr.classList.add('row-removed');
     if (isRefused(item)) tr.classList.add('row-refused');
-    if (isNewToday(item) && !item.isRemoved) tr.classList.add('row-new');
+    if (isHighlighted(item)) tr.classList.add('row-new');
 
     const tdPriority = document.createElement('td');
     tdPriority.innerHTML = `<span class="tag">${item.priority || '-'}</span>`;
@@ -787,10 +1043,10 @@ function renderDesktop(listings) {
     tdImage.appendChild(createThumbCell(item));
 
     const tdInfo = document.createElement('td');
-    tdInfo.innerHTML = `<a href="${item.url}" target="_blank" rel="noreferrer">${item.objectType || item.title}</a><div class="small">${item.address || ''}${sourceMetaHtml(item) ? ` · ${sourceMetaHtml(item)}` : ''}</div>${stateBadgesHtml(item)}`;
+    tdInfo.innerHTML = `<a href="${item.url}" target="_blank" rel="noreferrer">${item.objectType || item.title}</a><div class="small">${item.address || ''}${sourceMetaHtml(item) ? ` · ${sourceMetaHtml(item)}` : ''}</div>${amenitiesHtml(item)}${stateBadgesHtml(item)}${changeLogHtml(item)}${duplicatesHtml(item)}`;
 
     const tdPrice = document.createElement('td');
-    tdPrice.innerHTML = `<div>${money(item.totalChf)}</div><div class="small">${item.priceRaw || ''}</div>`;
+    tdPrice.innerHTML = `<div>${money(item.totalChf)}</div>${rentBreakdownLabel(item) ? `<div class="small">${escapeHtml(rentBreakdownLabel(item))}</div>` : ''}<div class="small">${item.priceRaw || ''}</div>`;
 
     const tdPublished = document.createElement('td');
     tdPublished.textContent = publishedLabel(item);
@@ -843,7 +1099,7 @@ function renderDesktop(listings) {
     } else {
       const pinBtn = createPinButton(item);
       const saveBtn = createSaveButton(() => updateStatus(item.id, select.value, notesInput.value));
-      actionCell.append(pinBtn, saveBtn);
+      actionCell.append(pinBtn, saveBtn, createMergeButton(item));
     }
 
     tdAction.appendChild(actionCell);
@@ -900,7 +1156,7 @@ function renderKanban(listings) {
       kCard.className = 'k-card';
       if (item.isRemoved) kCard.classList.add('removed');
       if (isRefused(item)) kCard.classList.add('refused');
-      if (isNewToday(item) && !item.isRemoved) kCard.classList.add('new');
+      if (isHighlighted(item)) kCard.classList.add('new');
       if (item.pinned) kCard.classList.add('pinned');
 
       if (!item.isRemoved) {
@@ -930,12 +1186,13 @@ function renderKanban(listings) {
           <div class="k-meta-top">
             <span class="tag">${item.priority || '-'}</span>
             ${scoreMiniHtml(item)}
-            <span class="k-price">${money(item.totalChf)}</span>
+            <span class="k-price" title="${escapeHtml(rentBreakdownLabel(item))}">${money(item.totalChf)}</span>
           </div>
           <a href="${item.url}" target="_blank" rel="noreferrer" class="k-title">${item.objectType || item.title}</a>
           <div class="k-sub">${item.area || '-'} · ${item.address || ''}${sourceMetaHtml(item) ? ` · ${sourceMetaHtml(item)}` : ''}</div>
           <div class="k-distance">${travelInlineLabel(item)}</div>
           <div class="k-sub">Publié: ${publishedLabel(item)}</div>
+          ${amenitiesHtml(item)}
           ${stateBadgesHtml(item)}
           <div class="k-bottom"></div>
         </div>
@@ -1031,7 +1288,7 @@ function renderMobile(listings) {
     card.className = 'mobile-card';
     if (item.isRemoved) card.classList.add('removed');
     if (isRefused(item)) card.classList.add('refused');
-    if (isNewToday(item) && !item.isRemoved) card.classList.add('new');
+    if (isHighlighted(item)) card.classList.add('new');
 
     const urls = getImageUrls(item);
     const cover = urls[0] || '';
@@ -1046,7 +1303,11 @@ function renderMobile(listings) {
           <div>${travelInlineLabel(item)}</div>
           <div>Publié: ${publishedLabel(item)}</div>
           <div>${item.priceRaw || ''}</div>
+          ${rentBreakdownLabel(item) ? `<div>${escapeHtml(rentBreakdownLabel(item))}</div>` : ''}
+          ${amenitiesHtml(item)}
           ${stateBadgesHtml(item)}
+          ${changeLogHtml(item)}
+          ${duplicatesHtml(item)}
           <div class="mobile-urgency"></div>
         </div>
       </div>
@@ -1097,7 +1358,7 @@ function renderMobile(listings) {
       pinRow.append(pinBtn, select);
 
       const saveBtn = createSaveButton(() => updateStatus(item.id, select.value, notesInput.value));
-      controls.append(pinRow, notesInput, saveBtn);
+      controls.append(pinRow, notesInput, saveBtn, createMergeButton(item));
     } else {
       const retired = document.createElement('div');
       retired.className = 'k-retired-note';
@@ -1128,6 +1389,182 @@ function renderMobile(listings) {
   }
 }
 
+// ── Scan health ──
+
+const SCAN_HEALTH_LABELS = {
+  ok: 'OK',
+  warning: 'Erreurs partielles',
+  empty: '0 annonce',
+  error: 'En échec',
+  idle: 'Inactif'
+};
+
+function durationLabel(ms) {
+  const n = Number(ms);
+  if (!Number.isFinite(n)) return '-';
+  return n >= 1000 ? `${(n / 1000).toFixed(1)} s` : `${Math.round(n)} ms`;
+}
+
+function scanHealthRowHtml(bucket, { label, status = null, isArea = false }) {
+  const errors = Array.isArray(bucket.errors) && bucket.errors.length
+    ? ` title="${escapeHtml(bucket.errors.join('\n'))}"`
+    : '';
+  const statusHtml = status
+    ? `<span class="health-status ${escapeHtml(status)}">${escapeHtml(SCAN_HEALTH_LABELS[status] || status)}</span>`
+    : '';
+
+  return `<tr class="${isArea ? 'health-area' : 'health-source'}">
+    <td>${isArea ? '↳ ' : ''}${escapeHtml(label)}</td>
+    <td>${statusHtml}</td>
+    <td>${bucket.requests ?? 0}${bucket.failedRequests ? ` <span class="health-failed">(${bucket.failedRequests} en échec)</span>` : ''}</td>
+    <td>${bucket.parsed ?? 0} → ${bucket.kept ?? 0}</td>
+    <td${errors}>${bucket.errorCount || 0}</td>
+    <td>${durationLabel(bucket.durationMs)}</td>
+  </tr>`;
+}
+
+function renderScanHealth(report) {
+  const sources = Array.isArray(report?.sources) ? report.sources : [];
+  scanHealthEl.classList.toggle('hidden', !sources.length);
+  if (!sources.length) return;
+
+  const flagged = sources.filter((source) => source.status === 'error' || source.status === 'empty');
+  scanHealthSummaryEl.textContent = flagged.length
+    ? `Santé du dernier scan · ${flagged.length} source(s) à vérifier : ${flagged.map((x) => x.label).join(', ')}`
+    : `Santé du dernier scan · ${sources.length} sources OK · ${durationLabel(report.durationMs)}`;
+  scanHealthEl.classList.toggle('flagged', flagged.length > 0);
+
+  const rows = sources.map((source) => [
+    scanHealthRowHtml(source, { label: source.label || source.id, status: source.status }),
+    ...(source.areas || []).map((area) => scanHealthRowHtml(area, { label: area.area, isArea: true }))
+  ].join('')).join('');
+
+  scanHealthBodyEl.innerHTML = `<table class="health-table">
+    <thead><tr><th>Source</th><th>Statut</th><th>Requêtes</th><th>Annonces (lues → gardées)</th><th>Erreurs</th><th>Durée</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+// ── Scan history ──
+
+let scanHistory = [];
+
+function scanHistoryRowHtml(scan, index) {
+  const previous = scanHistory[index + 1];
+  const configChanged = previous && previous.configHash !== scan.configHash;
+  const failed = scan.failedSources.length
+    ? ` <span class="health-failed" title="${escapeHtml(scan.failedSources.join(', '))}">(${scan.failedSources.length} source(s) en échec)</span>`
+    : '';
+
+  return `<tr data-scan-index="${index}" class="scan-history-row">
+    <td>${escapeHtml(shortWhen(scan.generatedAt))}${configChanged ? ' <span class="health-status warning">config modifiée</span>' : ''}</td>
+    <td>${scan.totalCount}${failed}</td>
+    <td class="diff-added">+${scan.newCount}</td>
+    <td class="diff-removed">−${scan.removedCount}</td>
+    <td class="diff-changed">~${scan.changedCount}</td>
+  </tr>`;
+}
+
+function scanDiffItemHtml(item) {
+  const title = escapeHtml(item.title || item.id);
+  const link = item.url ? `<a href="${escapeHtml(item.url)}" target="_blank" rel="noopener">${title}</a>` : title;
+  const price = item.totalChf != null ? ` · CHF ${item.totalChf}` : '';
+  const fields = Array.isArray(item.fields) && item.fields.length
+    ? ` <span class="scan-diff-fields">(${item.fields.map((field) => FIELD_CHANGE_LABELS[field] || field).join(', ')})</span>`
+    : '';
+  return `<li>${link}${escapeHtml(price)}${fields}</li>`;
+}
+
+function scanDiffGroupHtml(label, className, items) {
+  if (!items.length) return '';
+  return `<div class="scan-diff-group ${className}">
+    <strong>${escapeHtml(label)} (${items.length})</strong>
+    <ul>${items.map(scanDiffItemHtml).join('')}</ul>
+  </div>`;
+}
+
+function renderScanDiff(diff) {
+  if (!diff) {
+    scanHistoryDiffEl.innerHTML = '';
+    return;
+  }
+
+  const groups = [
+    scanDiffGroupHtml('Nouvelles', 'diff-added', diff.added),
+    scanDiffGroupHtml('Retirées', 'diff-removed', diff.removed),
+    scanDiffGroupHtml('Modifiées', 'diff-changed', diff.changed)
+  ].join('');
+  const config = diff.configChanged ? '<p class="scan-diff-note">La configuration du profil a changé entre ces scans.</p>' : '';
+
+  scanHistoryDiffEl.innerHTML = config + (groups || '<p class="scan-diff-note">Aucun changement entre ces scans.</p>');
+}
+
+function renderScanHistory() {
+  scanHistorySummaryEl.textContent = scanHistory.length
+    ? `Historique des scans · ${scanHistory.length} scan(s)`
+    : 'Historique des scans · aucun scan enregistré';
+
+  const options = scanHistory
+    .map((scan) => `<option value="${escapeHtml(scan.id)}">${escapeHtml(shortWhen(scan.generatedAt))}</option>`)
+    .join('');
+  scanHistoryFromEl.innerHTML = options;
+  scanHistoryToEl.innerHTML = options;
+
+  scanHistoryBodyEl.innerHTML = scanHistory.length
+    ? `<table class="health-table">
+      <thead><tr><th>Scan</th><th>Actives</th><th>Nouvelles</th><th>Retirées</th><th>Modifiées</th></tr></thead>
+      <tbody>${scanHistory.map(scanHistoryRowHtml).join('')}</tbody>
+    </table>`
+    : '';
+}
+
+async function loadScanDiff(fromId, toId) {
+  if (!fromId || !toId || fromId === toId) {
+    renderScanDiff(null);
+    return;
+  }
+
+  const res = await fetch(apiUrl(`/api/scan-history?from=${encodeURIComponent(fromId)}&to=${encodeURIComponent(toId)}`));
+  const data = await res.json();
+  renderScanDiff(data.ok ? data.diff : null);
+}
+
+// Newest first; the default diff is the last scan against the one before it.
+async function loadScanHistory() {
+  const res = await fetch(apiUrl('/api/scan-history'));
+  const data = await res.json();
+  scanHistory = Array.isArray(data.scans) ? data.scans : [];
+  renderScanHistory();
+
+  if (scanHistory.length >= 2) {
+    scanHistoryFromEl.value = scanHistory[1].id;
+    scanHistoryToEl.value = scanHistory[0].id;
+    await loadScanDiff(scanHistory[1].id, scanHistory[0].id);
+  } else {
+    renderScanDiff(null);
+  }
+}
+
+scanHistoryEl.addEventListener('toggle', () => {
+  if (scanHistoryEl.open) loadScanHistory();
+});
+
+const onScanRangeChange = () => loadScanDiff(scanHistoryFromEl.value, scanHistoryToEl.value);
+scanHistoryFromEl.addEventListener('change', onScanRangeChange);
+scanHistoryToEl.addEventListener('change', onScanRangeChange);
+
+// Clicking a scan shows what it changed compared to the scan before it.
+scanHistoryBodyEl.addEventListener('click', (event) => {
+  const row = event.target.closest('[data-scan-index]');
+  if (!row) return;
+  const index = Number(row.dataset.scanIndex);
+  const previous = scanHistory[index + 1];
+  if (!previous) return;
+  scanHistoryFromEl.value = previous.id;
+  scanHistoryToEl.value = scanHistory[index].id;
+  onScanRangeChange();
+});
+
 function renderCards(listings, latest) {
   cardsEl.innerHTML = '';
 
@@ -1135,6 +1572,8 @@ function renderCards(listings, latest) {
   const urgent = listings.filter((x) => getUrgency(x).level === 'high' && !x.isRemoved).length;
   const removed = listings.filter((x) => !!x.isRemoved).length;
   const news = listings.filter((x) => isNewToday(x) && !x.isRemoved).length;
+  const priceDrops = listings.filter((x) => x.priceDrop && !x.isRemoved).length;
+  const availableByDeadline = listings.filter((x) => isAvailableByDeadline(x) && !x.isRemoved).length;
 
   const direct = listings.filter((x) => {
     const stage = String(x.listingStage || '').toLowerCase();
@@ -1147,6 +1586,8 @@ function renderCards(listings, latest) {
     card('Régie directe', direct, 'direct'),
     card('Urgentes', urgent, 'urgent'),
     card('Nouvelles', news, 'new'),
+    card('Baisses de prix', priceDrops, 'price-drop'),
+    ...(moveInWindow.deadline ? [card('Disponible avant ma date', availableByDeadline, 'move-in')] : []),
     card('Retirées', removed, 'removed')
   );
 }
@@ -1163,10 +1604,25 @@ function renderAll(latest) {
 
 async function load() {
   const res = await fetch(apiUrl('/api/state'));
-  const { tracker, latest, profile, areas } = await res.json();
+  const data = await res.json();
+  if (!res.ok) {
+    scanOut.classList.remove('hidden');
+    scanOut.textContent = `Erreur: ${data.error}`;
+    return;
+  }
+  const { tracker, latest, profile, areas, amenities, moveIn } = data;
 
   statuses = tracker.statuses || [];
+  amenityDefinitions = Array.isArray(amenities) ? amenities : [];
+  moveInWindow = { earliest: moveIn?.earliest || null, deadline: moveIn?.deadline || null };
+  if (!moveInWindow.deadline && activeCardFilter === 'move-in') activeCardFilter = 'all';
   allListings = (tracker.listings || []).filter((x) => x.display !== false);
+  duplicatesByKeepId = new Map();
+  for (const entry of tracker.listings || []) {
+    if (!entry.duplicateOf) continue;
+    const key = String(entry.duplicateOf);
+    duplicatesByKeepId.set(key, [...(duplicatesByKeepId.get(key) || []), entry]);
+  }
   latestState = latest || { newCount: 0 };
 
   const activeCount = allListings.filter((x) => !x.isRemoved).length;
@@ -1184,10 +1640,15 @@ async function load() {
   }
 
   subEl.textContent = `Profil: ${effectiveProfile} · Dernier scan: ${shortWhen(latest.generatedAt)} · ${activeCount} actives · ${removedCount} retirées`;
+  renderScanHealth(latestState.scanHealth);
+  if (scanHistoryEl.open) loadScanHistory();
   renderAll(latestState);
 }
 
 refreshBtn.addEventListener('click', load);
+rowsEl.addEventListener('click', handleSplitClick);
+mobileRowsEl.addEventListener('click', handleSplitClick);
+mergeCancelBtn.addEventListener('click', () => setPendingMerge(null));
 filterEl.addEventListener('change', () => renderAll(latestState));
 sortEl.addEventListener('change', () => {
   localStorage.setItem('apartment-search-sort', sortEl.value);
@@ -12,6 +12,9 @@ const zoneSearchEl = document.getElementById('zone-search');
 const zoneSuggestionsEl = document.getElementById('zone-suggestions');
 const workplaceEl = document.getElementById('f-workplace');
 const workplaceSuggestionsEl = document.getElementById('workplace-suggestions');
+const sourcesListEl = document.getElementById('sources-list');
+const amenityScoringListEl = document.getElementById('amenity-scoring-list');
+const storageTotalEl = document.getElementById('storage-total');
 const homeTabProfilesEl = document.getElementById('home-tab-profiles');
 const homeTabMapEl = document.getElementById('home-tab-map');
 const homePanelProfilesEl = document.getElementById('home-panel-profiles');
@@ -33,7 +36,30 @@ const LEAFLET_RETRY_SCRIPT_ID = 'leaflet-retry-script';
 const LEAFLET_RETRY_CSS_ID = 'leaflet-retry-css';
 
 let zones = [];
+let sourceDefinitions = [];
+// Amenities the scan extracts and their default points, from /api/amenities.
+let amenityDefinitions = [];
+let defaultAmenityPoints = {};
 let allProfiles = [];
+// Media and scoring settings of the profile being edited, kept as-is apart
+// from the form fields.
+let editingMedia = {};
+let editingScoring = {};
+
+// Score form inputs: element id → [section, key] in the profile's `scoring`.
+const SCORING_FIELDS = {
+  'f-score-budget': ['budget', 'withinPoints'],
+  'f-score-budget-step': ['budget', 'overPenaltyStepChf'],
+  'f-score-budget-min': ['budget', 'minPoints'],
+  'f-score-rooms': ['rooms', 'atLeastMinPoints'],
+  'f-score-rooms-below': ['rooms', 'belowMinPoints'],
+  'f-score-rooms-small': ['rooms', 'smallPoints'],
+  'f-score-off-market': ['stage', 'offMarket'],
+  'f-score-early-market': ['stage', 'earlyMarket'],
+  'f-score-delivery': ['delivery', 'withinOneYearPoints'],
+  'f-score-travel-free': ['travel', 'freeMinutes'],
+  'f-score-travel-step': ['travel', 'minutesPerPoint']
+};
 let suggestAbort = null;
 let activeIndex = -1;
 let mapInstance = null;
@@ -222,6 +248,152 @@ function renderZones() {
   }
 }
 
+// --- Source toggles ---
+
+async function loadSourceDefinitions() {
+  try {
+    const res = await fetch('/api/sources');
+    const { sources } = await res.json();
+    sourceDefinitions = Array.isArray(sources) ? sources : [];
+  } catch {
+    sourceDefinitions = [];
+  }
+}
+
+function renderSourceToggles(values = {}) {
+  sourcesListEl.innerHTML = '';
+  for (const source of sourceDefinitions) {
+    const checked = source.defaultEnabled ? values?.[source.id] !== false : values?.[source.id] === true;
+    const label = document.createElement('label');
+    label.className = 'checkbox';
+    label.innerHTML = `<input type="checkbox" data-source-id="${escapeHtml(source.id)}" ${checked ? 'checked' : ''} /> ${escapeHtml(source.label)}`;
+    sourcesListEl.appendChild(label);
+  }
+}
+
+function readSourceToggles() {
+  const out = {};
+  sourcesListEl.querySelectorAll('input[data-source-id]').forEach((input) => {
+    out[input.dataset.sourceId] = input.checked;
+  });
+  return out;
+}
+
+// --- Generic régie URLs ---
+// One line per régie: `URL | nom | card=article; title=h3; price=.prix`.
+
+function formatRegieLines(regies = []) {
+  return regies.map((regie) => {
+    const selectors = Object.entries(regie.selectors || {})
+      .map(([key, value]) => `${key}=${value}`)
+      .join('; ');
+    return [regie.url, regie.name || '', selectors].join(' | ').replace(/(\s\|\s)+$/, '');
+  }).join('\n');
+}
+
+function formatZoneBonusLines(zoneBonuses = []) {
+  return zoneBonuses.map((zone) => `${zone.area} | ${zone.points}`).join('\n');
+}
+
+function parseZoneBonusLines(text = '') {
+  return String(text || '').split('\n').map((line) => {
+    const [area = '', points = ''] = line.split('|').map((part) => part.trim());
+    const value = Number(points);
+    return area && Number.isFinite(value) && value !== 0 ? { area, points: value } : null;
+  }).filter(Boolean);
+}
+
+function fillScoringForm(scoring = {}) {
+  for (const [id, [section, key]] of Object.entries(SCORING_FIELDS)) {
+    const value = scoring[section]?.[key];
+    if (value != null) document.getElementById(id).value = value;
+  }
+  if (scoring.studioPenalty != null) document.getElementById('f-score-studio').value = scoring.studioPenalty;
+  if (scoring.labels?.travel) document.getElementById('f-score-travel-label').value = scoring.labels.travel;
+  document.getElementById('f-score-zones').value = formatZoneBonusLines(scoring.zoneBonuses || []);
+  renderAmenityScoring(scoring.amenities || {});
+}
+
+// Empty inputs are left out so the server falls back to the defaults.
+function readScoringForm() {
+  const scoring = JSON.parse(JSON.stringify(editingScoring));
+  for (const [id, [section, key]] of Object.entries(SCORING_FIELDS)) {
+    const raw = document.getElementById(id).value;
+    scoring[section] = { ...(scoring[section] || {}) };
+    if (raw === '') delete scoring[section][key];
+    else scoring[section][key] = Number(raw);
+  }
+  const studio = document.getElementById('f-score-studio').value;
+  if (studio === '') delete scoring.studioPenalty;
+  else scoring.studioPenalty = Number(studio);
+  scoring.labels = { ...(scoring.labels || {}), travel: document.getElementById('f-score-travel-label').value.trim() };
+  scoring.zoneBonuses = parseZoneBonusLines(document.getElementById('f-score-zones').value);
+  scoring.amenities = readAmenityScoring(scoring.amenities || {});
+  return scoring;
+}
+
+// --- Amenity points ---
+
+async function loadAmenityDefinitions() {
+  try {
+    const res = await fetch('/api/amenities');
+    const { amenities, defaults } = await res.json();
+    amenityDefinitions = Array.isArray(amenities) ? amenities : [];
+    defaultAmenityPoints = defaults && typeof defaults === 'object' ? defaults : {};
+  } catch {
+    amenityDefinitions = [];
+    defaultAmenityPoints = {};
+  }
+}
+
+function renderAmenityScoring(points = {}) {
+  amenityScoringListEl.innerHTML = '';
+  for (const amenity of amenityDefinitions) {
+    const values = { ...(defaultAmenityPoints[amenity.key] || {}), ...(points[amenity.key] || {}) };
+    const row = document.createElement('div');
+    row.className = 'amenity-scoring-row';
+    row.innerHTML = `
+      <span>${amenity.icon} ${escapeHtml(amenity.label)}</span>
+      <input type="number" step="1" data-amenity="${escapeHtml(amenity.key)}" data-flag="present" value="${escapeHtml(values.present ?? '')}" aria-label="${escapeHtml(amenity.label)} mentionné" />
+      <input type="number" step="1" data-amenity="${escapeHtml(amenity.key)}" data-flag="absent" value="${escapeHtml(values.absent ?? '')}" aria-label="${escapeHtml(amenity.label)} absent" />
+    `;
+    amenityScoringListEl.appendChild(row);
+  }
+}
+
+// Empty inputs are left out, like the other score fields.
+function readAmenityScoring(current = {}) {
+  const out = JSON.parse(JSON.stringify(current));
+  amenityScoringListEl.querySelectorAll('input[data-amenity]').forEach((input) => {
+    const { amenity, flag } = input.dataset;
+    out[amenity] = { ...(out[amenity] || {}) };
+    if (input.value === '') delete out[amenity][flag];
+    else out[amenity][flag] = Number(input.value);
+  });
+  return out;
+}
+
+function parseRegieLines(text = '') {
+  return String(text || '').split('\n').map((line) => {
+    const [url = '', name = '', selectorText = ''] = line.split('|').map((part) => part.trim());
+    if (!/^https?:\/\//i.test(url)) return null;
+
+    const selectors = {};
+    for (const pair of selectorText.split(';')) {
+      const idx = pair.indexOf('=');
+      if (idx <= 0) continue;
+      const key = pair.slice(0, idx).trim();
+      const value = pair.slice(idx + 1).trim();
+      if (key && value) selectors[key] = value;
+    }
+
+    const entry = { url };
+    if (name) entry.name = name;
+    if (Object.keys(selectors).length) entry.selectors = selectors;
+    return entry;
+  }).filter(Boolean);
+}
+
 // --- Form logic ---
 
 function showForm(mode = 'create', profile = null) {
@@ -236,25 +408,34 @@ function showForm(mode = 'create', profile = null) {
     zones = [...(profile.areas || [])];
     document.getElementById('f-min-rent').value = profile.filters?.minTotalChf ?? 0;
     document.getElementById('f-max-rent').value = profile.filters?.maxTotalChf ?? 1400;
+    document.getElementById('f-rent-basis').value = profile.filters?.rentBasis === 'net' ? 'net' : 'gross';
     document.getElementById('f-min-rooms').value = profile.filters?.minRoomsPreferred ?? 2;
     document.getElementById('f-min-surface').value = profile.filters?.minSurfaceM2Preferred ?? 0;
     document.getElementById('f-max-age').value = profile.filters?.maxPublishedAgeDays ?? 30;
+    document.getElementById('f-dedup-threshold').value = Math.round((profile.filters?.dedupSimilarityThreshold ?? 0.8) * 100);
+    document.getElementById('f-image-retention').value = profile.media?.removedImageRetentionDays ?? 30;
+    editingMedia = { ...(profile.media || {}) };
+    editingScoring = profile.scoring || {};
+    fillScoringForm(editingScoring);
+    document.getElementById('f-move-in-earliest').value = profile.filters?.moveInEarliest ?? '';
+    document.getElementById('f-move-in-deadline').value = profile.filters?.moveInDeadline ?? '';
     document.getElementById('f-allow-missing-surface').checked = profile.filters?.allowMissingSurface !== false;
     document.getElementById('f-workplace').value = profile.preferences?.workplaceAddress ?? '';
-    document.getElementById('s-immobilier').checked = profile.sources?.immobilier !== false;
-    document.getElementById('s-flatfox').checked = profile.sources?.flatfox !== false;
-    document.getElementById('s-naef').checked = profile.sources?.naef !== false;
-    document.getElementById('s-bernard').checked = profile.sources?.bernardNicod !== false;
-    document.getElementById('s-rp-listings').checked = profile.sources?.retraitesListings !== false;
-    document.getElementById('s-rp-projects').checked = profile.sources?.retraitesProjets !== false;
-    document.getElementById('s-anibis').checked = !!profile.sources?.anibis;
+    document.getElementById('f-max-transit').value = profile.filters?.maxTransitMinutes ?? '';
+    document.getElementById('f-max-drive').value = profile.filters?.maxDriveMinutes ?? '';
+    renderSourceToggles(profile.sources || {});
+    document.getElementById('f-regies').value = formatRegieLines(profile.regies || []);
   } else {
     formTitleEl.textContent = 'Nouveau profil';
     formSubmitEl.textContent = 'Créer le profil';
     editSlugEl.value = '';
     formEl.reset();
+    editingMedia = {};
+    editingScoring = {};
     zones = [];
     document.getElementById('f-allow-missing-surface').checked = true;
+    renderSourceToggles();
+    renderAmenityScoring();
   }
 
   renderZones();
@@ -305,25 +486,29 @@ formEl.addEventListener('submit', async (e) => {
     slug,
     shortTitle,
     areas: zones,
-    sources: {
-      immobilier: document.getElementById('s-immobilier').checked,
-      flatfox: document.getElementById('s-flatfox').checked,
-      naef: document.getElementById('s-naef').checked,
-      bernardNicod: document.getElementById('s-bernard').checked,
-      retraitesListings: document.getElementById('s-rp-listings').checked,
-      retraitesProjets: document.getElementById('s-rp-projects').checked,
-      anibis: document.getElementById('s-anibis').checked
-    },
+    sources: readSourceToggles(),
+    regies: parseRegieLines(document.getElementById('f-regies').value),
     filters: {
       minTotalChf: Number(document.getElementById('f-min-rent').value) || 0,
       maxTotalChf: Number(document.getElementById('f-max-rent').value) || 1400,
+      rentBasis: document.getElementById('f-rent-basis').value,
       minRoomsPreferred: Number(document.getElementById('f-min-rooms').value) || 2,
       minSurfaceM2Preferred: Number(document.getElementById('f-min-surface').value) || 0,
       maxPublishedAgeDays: Number(document.getElementById('f-max-age').value) || 30,
+      dedupSimilarityThreshold: (Number(document.getElementById('f-dedup-threshold').value) || 80) / 100,
+      moveInEarliest: document.getElementById('f-move-in-earliest').value || null,
+      moveInDeadline: document.getElementById('f-move-in-deadline').value || null,
+      maxTransitMinutes: Number(document.getElementById('f-max-transit').value) || null,
+      maxDriveMinutes: Number(document.getElementById('f-max-drive').value) || null,
       allowMissingSurface: document.getElementById('f-allow-missing-surface').checked
     },
     preferences: {
       workplaceAddress: document.getElementById('f-workplace').value.trim() || null
+    },
+    scoring: readScoringForm(),
+    media: {
+      ...editingMedia,
+      removedImageRetentionDays: Number(document.getElementById('f-image-retention').value) || 0
     }
   };
 
@@ -356,9 +541,23 @@ function escapeHtml(s = '') {
   return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
+function formatBytes(bytes = 0) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} Go`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} Mo`;
+  return `${Math.round(bytes / 1024)} Ko`;
+}
+
+function renderStorageTotal(profiles) {
+  const files = profiles.reduce((sum, p) => sum + (p.imageFiles || 0), 0);
+  const bytes = profiles.reduce((sum, p) => sum + (p.imageBytes || 0), 0);
+  storageTotalEl.classList.toggle('hidden', !files);
+  storageTotalEl.textContent = `🖼️ Photos archivées : ${formatBytes(bytes)} (${files} fichiers)`;
+}
+
 function renderProfiles(profiles) {
   gridEl.innerHTML = '';
   allProfiles = profiles;
+  renderStorageTotal(profiles);
 
   for (const p of profiles) {
     const card = document.createElement('article');
@@ -379,6 +578,7 @@ function renderProfiles(profiles) {
         <span>📊 ${p.listingsCount ?? '–'} annonces</span>
         <span>💰 max CHF ${p.maxRent ?? '–'}</span>
         <span>🔄 ${escapeHtml(lastScan)}</span>
+        <span title="${p.imageFiles ?? 0} photos archivées">🖼️ ${formatBytes(p.imageBytes || 0)}</span>
       </div>
       <div class="card-actions">
         <a href="${profileUrl}" class="btn primary">Ouvrir</a>
@@ -896,6 +1096,9 @@ async function resumeScanIfNeeded() {
   }
 }
 
+loadSourceDefinitions();
+loadAmenityDefinitions();
+
 loadProfiles().then(() => {
   const savedHomeView = localStorage.getItem(HOME_VIEW_STORAGE_KEY);
   setHomeView(savedHomeView === 'map' ? 'map' : 'profiles', false);
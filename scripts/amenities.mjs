@@ -0,0 +1,156 @@
+// Amenities read from listing texts (title, description, detail page) and from
+// the structured fields some providers publish. A listing carries them as
+// `amenities: { balcony: true, lift: false, ... }`: true when the listing says
+// it has it, false when it says it has not, absent when it says nothing.
+
+// Patterns run on normalizeAmenityText() output: lowercase, no accents,
+// punctuation as spaces. French first, then German.
+export const AMENITIES = [
+  {
+    key: 'balcony',
+    label: 'Balcon / terrasse',
+    icon: '🌤️',
+    present: /\b(balcons?|terrasses?|loggias?|balkon(e)?|terrassen?)\b/,
+    absent: /\b(sans|pas de|ohne|kein(en)?) (balcon|terrasse|loggia|balkon)\b/
+  },
+  {
+    key: 'washingMachine',
+    label: 'Lave-linge privé',
+    icon: '🧺',
+    present: /\b(lave linge|machine a laver|colonne de lavage|waschmaschine|waschturm)\b/,
+    absent: /\b((sans|pas de) (lave linge|machine a laver)|buanderie (commune|collective)( (avec|equipee)( d une| de)?)?( (lave linge|machines? a laver))?|gemeinsame waschkuche|waschkuche gemeinsam)\b/
+  },
+  {
+    key: 'bathtub',
+    label: 'Baignoire',
+    icon: '🛁',
+    present: /\b(baignoires?|badewanne)\b/,
+    absent: /\b((sans|pas de) baignoire|ohne badewanne|douche (seulement|uniquement)|(uniquement|seulement) (une )?douche)\b/
+  },
+  {
+    key: 'lift',
+    label: 'Ascenseur',
+    icon: '🛗',
+    present: /\b(ascenseurs?|lift|aufzug|fahrstuhl)\b/,
+    absent: /\b((sans|pas d) ascenseur|ohne (lift|aufzug)|kein(en)? (lift|aufzug))\b/
+  },
+  {
+    key: 'parking',
+    label: 'Place de parc',
+    icon: '🅿️',
+    present: /\b(places? de (parc|stationnement)|parking|garages?|parkplatz|parkplatze|tiefgarage|einstellplatz|garage box)\b/,
+    absent: /\b((sans|pas de) (place de parc|parking|garage)|kein(en)? parkplatz)\b/
+  },
+  {
+    key: 'garden',
+    label: 'Jardin',
+    icon: '🌳',
+    present: /\b(jardins?|pelouse|garten|gartensitzplatz)\b/,
+    absent: /\b((sans|pas de) jardin|ohne garten|kein(en)? garten)\b/
+  },
+  {
+    key: 'view',
+    label: 'Vue dégagée',
+    icon: '🏞️',
+    present: /\b(vue (sur|imprenable|degagee|panoramique|splendide|magnifique|exceptionnelle|lac|montagnes?|alpes|dominante)|seesicht|bergsicht|aussicht|panoramasicht)\b/,
+    absent: /\bvue (bouchee|sur (la )?cour)\b/
+  },
+  {
+    key: 'petsAllowed',
+    label: 'Animaux admis',
+    icon: '🐾',
+    present: /\b(animaux (admis|acceptes|bienvenus|autorises)|haustiere (erlaubt|willkommen))\b/,
+    absent: /\b(animaux (non|pas) (admis|acceptes|autorises)|animaux interdits|(pas d|sans) animaux|haustiere nicht erlaubt|keine haustiere)\b/
+  },
+  {
+    key: 'dishwasher',
+    label: 'Lave-vaisselle',
+    icon: '🍽️',
+    present: /\b(lave vaisselle|geschirrspuler|geschirrspulmaschine)\b/,
+    absent: /\b(sans|pas de) lave vaisselle\b/
+  },
+  {
+    key: 'fireplace',
+    label: 'Cheminée',
+    icon: '🔥',
+    present: /\b(cheminee|poele suedois|kamin)\b/,
+    absent: /\b(sans|pas de) cheminee\b/
+  },
+  {
+    key: 'wheelchairAccessible',
+    label: 'Accès fauteuil roulant',
+    icon: '♿',
+    present: /\b(acces (en )?fauteuil roulant|accessible (aux )?(pmr|fauteuils? roulants?|personnes a mobilite reduite)|rollstuhlgangig|barrierefrei)\b/,
+    absent: /\b(non accessible (aux )?(pmr|fauteuils? roulants?)|nicht rollstuhlgangig)\b/
+  }
+];
+
+export const AMENITY_KEYS = AMENITIES.map((amenity) => amenity.key);
+
+// What the dashboards need to draw the icons, without the patterns.
+export function publicAmenityDefinitions() {
+  return AMENITIES.map(({ key, label, icon }) => ({ key, label, icon }));
+}
+
+export function normalizeAmenityText(value = '') {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function globalPattern(re) {
+  return new RegExp(re.source, `${re.flags.replace('g', '')}g`);
+}
+
+// Flags found in free text. A negation ("sans balcon") only counts when the
+// rest of the text does not mention the amenity again ("sans balcon mais
+// grande terrasse" is a balcony).
+export function amenitiesFromText(texts = []) {
+  const text = ` ${normalizeAmenityText((Array.isArray(texts) ? texts : [texts]).filter(Boolean).join(' \n '))} `;
+  const out = {};
+  if (!text.trim()) return out;
+
+  for (const { key, present, absent } of AMENITIES) {
+    const denied = absent.test(text);
+    const rest = denied ? text.replace(globalPattern(absent), ' ') : text;
+    if (present.test(rest)) out[key] = true;
+    else if (denied) out[key] = false;
+  }
+  return out;
+}
+
+// Flags from a provider's own fields. `mapping` is provider field → amenity
+// key; only real booleans (or "true"/"false") count, anything else is unknown.
+export function amenitiesFromFields(fields = {}, mapping = {}) {
+  const out = {};
+  if (!fields || typeof fields !== 'object') return out;
+
+  for (const [field, key] of Object.entries(mapping)) {
+    const raw = fields[field];
+    const value = raw === 'true' ? true : raw === 'false' ? false : raw;
+    if (typeof value !== 'boolean') continue;
+    // Two fields for one amenity (garage / parking): any true wins.
+    out[key] = out[key] === true || value;
+  }
+  return out;
+}
+
+// Merge flag sets; earlier sets win, so pass the most reliable source first
+// (structured fields, then detail page, then card text).
+export function mergeAmenities(...sets) {
+  const out = {};
+  for (const set of sets) {
+    if (!set || typeof set !== 'object') continue;
+    for (const key of AMENITY_KEYS) {
+      if (typeof set[key] === 'boolean' && !(key in out)) out[key] = set[key];
+    }
+  }
+  return out;
+}
+
+export function extractAmenities(texts = [], structured = {}) {
+  return mergeAmenities(structured, amenitiesFromText(texts));
+}
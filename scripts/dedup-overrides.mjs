@@ -0,0 +1,105 @@
+// Manual dedup decisions per profile (dedup-overrides.json): "merge B into A"
+// and "A and B are different flats". The scan's dedup step applies them on top
+// of the automatic cross-source key, so they survive every later run.
+import fs from 'node:fs/promises';
+import { writeJsonAtomic } from './tracker-store.mjs';
+
+export function emptyDedupOverrides() {
+  return { merges: [], splits: [] };
+}
+
+function pairKey(a, b) {
+  return [String(a), String(b)].sort().join('|');
+}
+
+export function normalizeDedupOverrides(raw = {}) {
+  const merges = (Array.isArray(raw?.merges) ? raw.merges : [])
+    .filter((entry) => entry?.keepId && entry?.dropId && String(entry.keepId) !== String(entry.dropId))
+    .map((entry) => ({ keepId: String(entry.keepId), dropId: String(entry.dropId), at: entry.at || null }));
+  const splits = (Array.isArray(raw?.splits) ? raw.splits : [])
+    .filter((entry) => Array.isArray(entry?.ids) && entry.ids.length === 2 && String(entry.ids[0]) !== String(entry.ids[1]))
+    .map((entry) => ({ ids: entry.ids.map(String), at: entry.at || null }));
+  return { merges, splits };
+}
+
+// Merging removes any split of the same pair; whatever was merged into the
+// dropped listing now points at the kept one.
+export function addMergeOverride(overrides, keepId, dropId, at = new Date().toISOString()) {
+  const keep = String(keepId);
+  const drop = String(dropId);
+  const key = pairKey(keep, drop);
+
+  return {
+    merges: [
+      ...overrides.merges
+        .filter((entry) => pairKey(entry.keepId, entry.dropId) !== key)
+        .map((entry) => (entry.keepId === drop ? { ...entry, keepId: keep } : entry)),
+      { keepId: keep, dropId: drop, at }
+    ],
+    splits: overrides.splits.filter((entry) => pairKey(...entry.ids) !== key)
+  };
+}
+
+export function addSplitOverride(overrides, idA, idB, at = new Date().toISOString()) {
+  const key = pairKey(idA, idB);
+  return {
+    merges: overrides.merges.filter((entry) => pairKey(entry.keepId, entry.dropId) !== key),
+    splits: [...overrides.splits.filter((entry) => pairKey(...entry.ids) !== key), { ids: [String(idA), String(idB)], at }]
+  };
+}
+
+export function isSplitPair(overrides, idA, idB) {
+  const key = pairKey(idA, idB);
+  return overrides.splits.some((entry) => pairKey(...entry.ids) === key);
+}
+
+// Final listing a dropped ID was merged into, or null.
+export function resolveMergeTarget(overrides, id) {
+  let current = String(id);
+  const seen = new Set([current]);
+
+  for (;;) {
+    const entry = overrides.merges.find((merge) => merge.dropId === current);
+    if (!entry || seen.has(entry.keepId)) return current === String(id) ? null : current;
+    current = entry.keepId;
+    seen.add(current);
+  }
+}
+
+// Apply manual merges to the listings of one scan. Returns the kept listings
+// and a map of dropped ID -> kept ID. A listing is only dropped when the one it
+// was merged into is in the scan or still tracked (`knownIds`), so a merge can
+// never make both sides disappear.
+export function applyManualMerges(items = [], overrides = emptyDedupOverrides(), knownIds = new Set()) {
+  const byId = new Map(items.map((item) => [String(item.id), item]));
+  const removed = new Map();
+
+  for (const item of items) {
+    const id = String(item.id);
+    const targetId = resolveMergeTarget(overrides, id);
+    if (!targetId || removed.has(targetId) || !(byId.has(targetId) || knownIds.has(targetId))) continue;
+
+    const target = byId.get(targetId);
+    if (target) {
+      target.duplicateSources = [...new Set([
+        ...(Array.isArray(target.duplicateSources) ? target.duplicateSources : [target.source]),
+        ...(Array.isArray(item.duplicateSources) ? item.duplicateSources : [item.source])
+      ].filter(Boolean))];
+    }
+    removed.set(id, targetId);
+  }
+
+  return { kept: items.filter((item) => !removed.has(String(item.id))), removed };
+}
+
+export async function readDedupOverrides(filePath) {
+  try {
+    return normalizeDedupOverrides(JSON.parse(await fs.readFile(filePath, 'utf8')));
+  } catch {
+    return emptyDedupOverrides();
+  }
+}
+
+export async function writeDedupOverrides(filePath, overrides) {
+  await writeJsonAtomic(filePath, normalizeDedupOverrides(overrides));
+}
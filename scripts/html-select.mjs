@@ -0,0 +1,234 @@
+// Tiny HTML tree + CSS-like selector helper used by the generic régie
+// connector. It only covers what listing cards need: tag, #id, .class,
+// [attr], [attr=value], [attr*=value], descendant (space) and child (>)
+// combinators, comma-separated selector lists, and a `@attr` suffix to read
+// an attribute instead of the text content.
+
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'template']);
+
+function decodeEntities(input = '') {
+  return String(input || '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)));
+}
+
+function parseAttributes(raw = '') {
+  const attrs = {};
+  const regex = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+
+  while ((match = regex.exec(raw))) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+
+  return attrs;
+}
+
+export function parseHtmlDocument(html = '') {
+  const source = String(html || '');
+  const root = { tag: '#root', attrs: {}, children: [], parent: null, innerStart: 0, innerEnd: source.length, html: source };
+  const stack = [root];
+  const tagRe = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let match;
+
+  while ((match = tagRe.exec(source))) {
+    if (!match[2]) continue;
+
+    const closing = match[1] === '/';
+    const tag = match[2].toLowerCase();
+
+    if (closing) {
+      const idx = stack.map((node) => node.tag).lastIndexOf(tag);
+      if (idx <= 0) continue;
+      while (stack.length > idx) {
+        stack.pop().innerEnd = match.index;
+      }
+      continue;
+    }
+
+    const parent = stack[stack.length - 1];
+    const rawAttrs = match[3] || '';
+    const node = {
+      tag,
+      attrs: parseAttributes(rawAttrs.replace(/\/\s*$/, '')),
+      children: [],
+      parent,
+      innerStart: tagRe.lastIndex,
+      innerEnd: tagRe.lastIndex,
+      html: source
+    };
+    parent.children.push(node);
+
+    if (VOID_TAGS.has(tag) || /\/\s*$/.test(rawAttrs)) continue;
+
+    if (RAW_TEXT_TAGS.has(tag)) {
+      const end = source.toLowerCase().indexOf(`</${tag}`, tagRe.lastIndex);
+      node.innerEnd = end < 0 ? source.length : end;
+      tagRe.lastIndex = node.innerEnd;
+      continue;
+    }
+
+    stack.push(node);
+  }
+
+  return root;
+}
+
+export function nodeText(node) {
+  if (!node) return '';
+  const inner = node.html.slice(node.innerStart, node.innerEnd);
+  return decodeEntities(
+    inner
+      .replace(/<(script|style|template)\b[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+  ).replace(/\s+/g, ' ').trim();
+}
+
+export function nodeHtml(node) {
+  return node ? node.html.slice(node.innerStart, node.innerEnd) : '';
+}
+
+function parseCompound(text = '') {
+  const compound = { tag: null, id: null, classes: [], attrs: [] };
+  const regex = /([a-zA-Z][\w-]*|\*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([*^$]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+)))?\s*\]/g;
+  let match;
+
+  while ((match = regex.exec(text))) {
+    if (match[1]) compound.tag = match[1] === '*' ? null : match[1].toLowerCase();
+    else if (match[2]) compound.id = match[2];
+    else if (match[3]) compound.classes.push(match[3]);
+    else if (match[4]) {
+      compound.attrs.push({
+        name: match[4].toLowerCase(),
+        op: match[5] || null,
+        value: match[6] ?? match[7] ?? match[8] ?? ''
+      });
+    }
+  }
+
+  return compound;
+}
+
+// Split at the `separators` characters that sit outside brackets and quotes,
+// so `[data-x="a, b > c"]` stays one piece. Separators listed in `keep` are
+// returned as parts of their own.
+function splitTopLevel(text, separators, keep = '') {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+
+  for (const char of String(text || '')) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[') {
+      depth += 1;
+    } else if (char === ']') {
+      depth = Math.max(0, depth - 1);
+    } else if (!depth && separators.includes(char)) {
+      parts.push(current);
+      if (keep.includes(char)) parts.push(char);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function parseSelector(selector = '') {
+  const steps = [];
+  const tokens = splitTopLevel(selector, ' \t\n\r>', '>');
+  let combinator = ' ';
+
+  for (const token of tokens) {
+    if (token === '>') {
+      combinator = '>';
+      continue;
+    }
+    steps.push({ combinator, compound: parseCompound(token) });
+    combinator = ' ';
+  }
+
+  return steps;
+}
+
+function matchesCompound(node, compound) {
+  if (!node || node.tag === '#root') return false;
+  if (compound.tag && node.tag !== compound.tag) return false;
+  if (compound.id && node.attrs.id !== compound.id) return false;
+
+  if (compound.classes.length) {
+    const classes = String(node.attrs.class || '').split(/\s+/);
+    if (!compound.classes.every((cls) => classes.includes(cls))) return false;
+  }
+
+  return compound.attrs.every(({ name, op, value }) => {
+    if (!(name in node.attrs)) return false;
+    const actual = node.attrs[name];
+    if (op === '=') return actual === value;
+    if (op === '*=') return actual.includes(value);
+    if (op === '^=') return actual.startsWith(value);
+    if (op === '$=') return actual.endsWith(value);
+    return true;
+  });
+}
+
+function matchesSteps(node, steps, index, scope) {
+  if (!matchesCompound(node, steps[index].compound)) return false;
+  if (index === 0) return true;
+
+  if (steps[index].combinator === '>') {
+    const parent = node.parent;
+    return parent !== scope && parent != null && matchesSteps(parent, steps, index - 1, scope);
+  }
+
+  for (let ancestor = node.parent; ancestor && ancestor !== scope; ancestor = ancestor.parent) {
+    if (matchesSteps(ancestor, steps, index - 1, scope)) return true;
+  }
+  return false;
+}
+
+function walk(node, visit) {
+  for (const child of node.children) {
+    visit(child);
+    walk(child, visit);
+  }
+}
+
+export function selectAll(scope, selector = '') {
+  if (!scope) return [];
+  const lists = splitTopLevel(selector, ',').map(parseSelector).filter((steps) => steps.length);
+  const out = [];
+
+  walk(scope, (node) => {
+    if (lists.some((steps) => matchesSteps(node, steps, steps.length - 1, scope))) out.push(node);
+  });
+
+  return out;
+}
+
+export function selectFirst(scope, selector = '') {
+  return selectAll(scope, selector)[0] || null;
+}
+
+// `h3.title` → text of the first match; `a.more@href` → its href attribute.
+export function extractField(scope, fieldSelector = '') {
+  const [selector, attr] = String(fieldSelector || '').split('@');
+  const node = selector.trim() ? selectFirst(scope, selector) : scope;
+  if (!node) return '';
+  return attr ? String(node.attrs[attr.trim().toLowerCase()] || '').trim() : nodeText(node);
+}
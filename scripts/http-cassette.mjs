@@ -0,0 +1,130 @@
+// HTTP record/replay for the scraper. In `record` mode every response (or
+// failure) is written to a cassette directory as one JSON file per request;
+// in `replay` mode those files are served back and the network is never hit.
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+function parseFlag(argv, name) {
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = String(argv[i] || '');
+    if (arg === `--${name}`) {
+      const next = argv[i + 1];
+      return next && !String(next).startsWith('--') ? String(next) : '';
+    }
+    if (arg.startsWith(`--${name}=`)) return arg.slice(name.length + 3);
+  }
+  return null;
+}
+
+// `--record[=dir]` / `--replay[=dir]` win over APART_HTTP_CASSETTE
+// (`record` | `replay`) and APART_HTTP_CASSETTE_DIR.
+export function resolveCassetteOptions(argv = process.argv.slice(2), env = process.env, defaultDir = '') {
+  const recordDir = parseFlag(argv, 'record');
+  const replayDir = parseFlag(argv, 'replay');
+
+  if (recordDir != null && replayDir != null) {
+    throw new Error('--record et --replay ne peuvent pas être combinés');
+  }
+
+  let mode = 'off';
+  let dir = '';
+
+  if (recordDir != null) {
+    mode = 'record';
+    dir = recordDir;
+  } else if (replayDir != null) {
+    mode = 'replay';
+    dir = replayDir;
+  } else {
+    const envMode = String(env?.APART_HTTP_CASSETTE || '').trim().toLowerCase();
+    if (envMode && !CASSETTE_MODES.includes(envMode)) {
+      throw new Error(`APART_HTTP_CASSETTE invalide: ${envMode} (attendu: record, replay ou off)`);
+    }
+    mode = envMode || 'off';
+  }
+
+  dir = dir || String(env?.APART_HTTP_CASSETTE_DIR || '').trim() || defaultDir;
+  return { mode, dir: mode === 'off' ? '' : path.resolve(dir) };
+}
+
+export function cassetteKey(kind, url) {
+  return crypto.createHash('sha1').update(`${kind} ${url}`).digest('hex');
+}
+
+const CODECS = {
+  binary: {
+    encode: (value) => ({ bodyBase64: value.buffer.toString('base64'), contentType: value.contentType || '' }),
+    decode: (stored) => ({ buffer: Buffer.from(stored.bodyBase64 || '', 'base64'), contentType: stored.contentType || '' })
+  }
+};
+
+const IDENTITY = { encode: (value) => value, decode: (stored) => stored };
+
+const MISS_CODE = 'ERR_CASSETTE_MISS';
+
+// A replayed request that was never recorded says nothing about the site:
+// callers that read failures as "gone" must tell it apart.
+export function isCassetteMiss(err) {
+  return err?.code === MISS_CODE;
+}
+
+export function createCassette({ mode = 'off', dir = '' } = {}) {
+  if (!CASSETTE_MODES.includes(mode)) throw new Error(`Mode cassette inconnu: ${mode}`);
+  if (mode !== 'off' && !dir) throw new Error('Répertoire cassette manquant');
+
+  const filePath = (kind, url) => path.join(dir, `${cassetteKey(kind, url)}.json`);
+  let dirReady = null;
+  const stats = { recorded: 0, replayed: 0, missing: 0 };
+
+  async function save(kind, url, entry) {
+    dirReady = dirReady || fs.mkdir(dir, { recursive: true });
+    await dirReady;
+    const payload = { kind, url, recordedAt: new Date().toISOString(), ...entry };
+    await fs.writeFile(filePath(kind, url), JSON.stringify(payload, null, 2));
+    stats.recorded += 1;
+  }
+
+  async function load(kind, url) {
+    try {
+      return JSON.parse(await fs.readFile(filePath(kind, url), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    mode,
+    dir,
+    stats,
+    async wrap(kind, url, fetcher) {
+      const codec = CODECS[kind] || IDENTITY;
+
+      if (mode === 'replay') {
+        const stored = await load(kind, url);
+        if (!stored) {
+          stats.missing += 1;
+          const err = new Error(`Absent de la cassette (${kind}): ${url}`);
+          err.code = MISS_CODE;
+          throw err;
+        }
+        stats.replayed += 1;
+        if (stored.error) throw new Error(stored.error);
+        return codec.decode(stored.value);
+      }
+
+      if (mode !== 'record') return fetcher();
+
+      try {
+        const value = await fetcher();
+        await save(kind, url, { value: codec.encode(value) });
+        return value;
+      } catch (err) {
+        await save(kind, url, { error: String(err?.message || err) });
+        throw err;
+      }
+    }
+  };
+}
@@ -0,0 +1,117 @@
+// Housekeeping for the per-profile photo archive (data/profiles/<slug>/images).
+// Photos of removed listings are dropped after `media.removedImageRetentionDays`
+// unless the listing reached one of `media.keepImagesForStatuses`; files no
+// tracker listing references any more are deleted. Perceptual hashes stay on
+// the listing, so relisting and same-photo detection keep working.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const DEFAULT_REMOVED_IMAGE_RETENTION_DAYS = 30;
+export const DEFAULT_KEEP_IMAGE_STATUSES = ['Visite', 'Dossier', 'Relance', 'Accepté'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function resolveImageRetention(config = {}) {
+  const days = Number(config?.media?.removedImageRetentionDays);
+  const statuses = config?.media?.keepImagesForStatuses;
+  return {
+    removedDays: Number.isFinite(days) && days >= 0 ? days : DEFAULT_REMOVED_IMAGE_RETENTION_DAYS,
+    keepStatuses: Array.isArray(statuses) ? statuses.map(String) : DEFAULT_KEEP_IMAGE_STATUSES
+  };
+}
+
+export function keepsListingImages(item = {}, retention = resolveImageRetention(), now = Date.now()) {
+  if (!item.isRemoved) return true;
+  if (retention.keepStatuses.includes(String(item.status || ''))) return true;
+  const removedAt = new Date(item.removedAt || 0).getTime();
+  return Number.isFinite(removedAt) && removedAt > 0 && now - removedAt <= retention.removedDays * DAY_MS;
+}
+
+function isLocalImageUrl(value) {
+  return typeof value === 'string' && value.startsWith('/data/');
+}
+
+// Point listings past retention back at their remote photos. Returns how many
+// listings lost their archived copies.
+export function applyImageRetention(listings = [], retention = resolveImageRetention(), now = Date.now()) {
+  let dropped = 0;
+
+  for (const item of listings) {
+    const local = Array.isArray(item.imageUrlsLocal) ? item.imageUrlsLocal : [];
+    if (!local.length || keepsListingImages(item, retention, now)) continue;
+
+    const remote = (Array.isArray(item.imageUrlsRemote) ? item.imageUrlsRemote : []).filter((url) => !isLocalImageUrl(url));
+    item.imageUrlsLocal = [];
+    item.imageUrlsRemote = remote;
+    item.imageUrls = remote;
+    item.imageUrl = remote[0] || null;
+    dropped += 1;
+  }
+
+  return dropped;
+}
+
+// Archive file names still used by a listing.
+export function referencedImageNames(listings = []) {
+  const names = new Set();
+  for (const item of listings) {
+    const urls = [
+      ...(Array.isArray(item.imageUrlsLocal) ? item.imageUrlsLocal : []),
+      ...(Array.isArray(item.imageUrls) ? item.imageUrls : []),
+      item.imageUrl
+    ];
+    for (const url of urls) {
+      if (isLocalImageUrl(url)) names.add(path.posix.basename(url));
+    }
+  }
+  return names;
+}
+
+async function listImageFiles(imagesDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(imagesDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    try {
+      const stat = await fs.stat(path.join(imagesDir, entry.name));
+      files.push({ name: entry.name, bytes: stat.size, mtimeMs: stat.mtimeMs });
+    } catch {
+      // Removed concurrently.
+    }
+  }
+  return files;
+}
+
+// Delete archive files not in `keepNames`: { removedFiles, removedNames, freedBytes }.
+// `only` restricts the sweep to these names, for callers that must not touch
+// photos a running scan has just downloaded; `writtenBefore` (ms) spares files
+// written since, which another scan may not have recorded yet.
+export async function collectImageGarbage(imagesDir, keepNames = new Set(), { only = null, writtenBefore = null } = {}) {
+  const removedNames = [];
+  let freedBytes = 0;
+
+  for (const file of await listImageFiles(imagesDir)) {
+    if (keepNames.has(file.name) || (only && !only.has(file.name))) continue;
+    if (writtenBefore != null && file.mtimeMs >= writtenBefore) continue;
+    try {
+      await fs.unlink(path.join(imagesDir, file.name));
+      removedNames.push(file.name);
+      freedBytes += file.bytes;
+    } catch {
+      // Already gone.
+    }
+  }
+
+  return { removedFiles: removedNames.length, removedNames, freedBytes };
+}
+
+export async function imageStorageUsage(imagesDir) {
+  const files = await listImageFiles(imagesDir);
+  return { files: files.length, bytes: files.reduce((sum, file) => sum + file.bytes, 0) };
+}
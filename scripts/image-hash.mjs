@@ -0,0 +1,483 @@
+// Perceptual hashes (dHash, 64 bits as 16 hex chars) of archived listing
+// photos. Portals recompress and resize the same photo, so byte hashes differ;
+// dHash survives that. Decoding is dependency-free and deliberately minimal:
+// - PNG: 8/16-bit, non-interlaced, via node:zlib.
+// - JPEG: only the DC coefficient of each luma block, i.e. a 1/8-scale image,
+//   which is all a 9x8 hash needs. Baseline and progressive (first DC scan).
+// WebP, GIF and AVIF return null and are simply not hashed.
+import zlib from 'node:zlib';
+
+export const DEFAULT_MAX_HASH_DISTANCE = 10;
+
+// An identical photo on more listings than this is a placeholder or agency
+// logo, not a signal.
+export const GENERIC_PHOTO_LISTING_COUNT = 5;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// { width, height, pixels } with one luma value per pixel, or null.
+export function decodePng(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  const idat = [];
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header || !idat.length || header.interlace !== 0) return null;
+  const { width, height, bitDepth, colorType } = header;
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels || !(bitDepth === 8 || (bitDepth === 16 && colorType !== 3))) return null;
+  if (colorType === 3 && !palette) return null;
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const bytesPerPixel = channels * (bitDepth / 8);
+  const stride = width * bytesPerPixel;
+  if (raw.length < height * (stride + 1)) return null;
+
+  const pixels = new Float32Array(width * height);
+  let previous = new Uint8Array(stride);
+  const line = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (stride + 1)];
+    const src = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+
+    for (let i = 0; i < stride; i += 1) {
+      const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      let value = src[i];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      line[i] = value & 0xff;
+    }
+
+    for (let x = 0; x < width; x += 1) {
+      const sample = (channel) => line[x * bytesPerPixel + channel * (bitDepth / 8)];
+      let luma;
+      if (colorType === 3) {
+        const index = line[x] * 3;
+        luma = 0.299 * palette[index] + 0.587 * palette[index + 1] + 0.114 * palette[index + 2];
+      } else if (colorType === 2 || colorType === 6) {
+        luma = 0.299 * sample(0) + 0.587 * sample(1) + 0.114 * sample(2);
+      } else {
+        luma = sample(0);
+      }
+      pixels[y * width + x] = luma;
+    }
+
+    previous = Uint8Array.from(line);
+  }
+
+  return { width, height, pixels };
+}
+
+function buildHuffmanTable(counts, symbols) {
+  // Canonical codes, looked up by (length, code).
+  const table = new Map();
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length += 1) {
+    for (let i = 0; i < counts[length - 1]; i += 1) {
+      table.set((length << 16) | code, symbols[k]);
+      code += 1;
+      k += 1;
+    }
+    code <<= 1;
+  }
+  return table;
+}
+
+function createBitReader(buffer, start) {
+  let offset = start;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let hitMarker = false;
+
+  function readBit() {
+    if (bitCount === 0) {
+      let byte = 0;
+      if (!hitMarker && offset < buffer.length) {
+        byte = buffer[offset];
+        if (byte === 0xff) {
+          const next = buffer[offset + 1];
+          if (next === 0x00) offset += 2;
+          else {
+            // A marker ends the entropy-coded segment; pad with zeros.
+            hitMarker = true;
+            byte = 0;
+          }
+        } else {
+          offset += 1;
+        }
+      }
+      bitBuffer = byte;
+      bitCount = 8;
+    }
+    bitCount -= 1;
+    return (bitBuffer >> bitCount) & 1;
+  }
+
+  return {
+    readBit,
+    readBits(n) {
+      let value = 0;
+      for (let i = 0; i < n; i += 1) value = (value << 1) | readBit();
+      return value;
+    },
+    decode(table) {
+      let code = 0;
+      for (let length = 1; length <= 16; length += 1) {
+        code = (code << 1) | readBit();
+        const symbol = table.get((length << 16) | code);
+        if (symbol !== undefined) return symbol;
+      }
+      throw new Error('Code Huffman invalide');
+    },
+    // Skip to the RSTn marker that follows a restart interval.
+    restart() {
+      bitCount = 0;
+      hitMarker = false;
+      while (offset < buffer.length && !(buffer[offset] === 0xff && buffer[offset + 1] >= 0xd0 && buffer[offset + 1] <= 0xd7)) {
+        offset += 1;
+      }
+      offset += 2;
+    },
+    // Offset of the marker that ends the scan.
+    end() {
+      while (offset < buffer.length && !(buffer[offset] === 0xff && buffer[offset + 1] !== 0x00
+        && !(buffer[offset + 1] >= 0xd0 && buffer[offset + 1] <= 0xd7))) {
+        offset += 1;
+      }
+      return offset;
+    }
+  };
+}
+
+function extend(value, size) {
+  return value < 1 << (size - 1) ? value - (1 << size) + 1 : value;
+}
+
+// { width, height, pixels } holding one DC value per 8x8 luma block, or null.
+export function decodeJpegDc(buffer) {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset += 1;
+      continue;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0xff) {
+      offset += marker === 0xff ? 1 : 2;
+      continue;
+    }
+    if (marker === 0xd9) break;
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const data = buffer.subarray(offset + 4, offset + 2 + length);
+    offset += 2 + length;
+
+    if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+      const components = [];
+      for (let i = 0; i < data[5]; i += 1) {
+        components.push({ id: data[6 + i * 3], h: data[7 + i * 3] >> 4, v: data[7 + i * 3] & 15 });
+      }
+      frame = {
+        progressive: marker === 0xc2,
+        height: data.readUInt16BE(1),
+        width: data.readUInt16BE(3),
+        components
+      };
+    } else if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      // Lossless, hierarchical or arithmetic coding.
+      return null;
+    } else if (marker === 0xc4) {
+      let p = 0;
+      while (p < data.length) {
+        const tableClass = data[p] >> 4;
+        const id = data[p] & 15;
+        const counts = data.subarray(p + 1, p + 17);
+        const total = counts.reduce((sum, n) => sum + n, 0);
+        const table = buildHuffmanTable(counts, data.subarray(p + 17, p + 17 + total));
+        (tableClass === 0 ? dcTables : acTables)[id] = table;
+        p += 17 + total;
+      }
+    } else if (marker === 0xdd) {
+      restartInterval = data.readUInt16BE(0);
+    } else if (marker === 0xda) {
+      if (!frame || !frame.width || !frame.height) return null;
+      const result = decodeDcScan(buffer, offset, data, frame, dcTables, acTables, restartInterval);
+      if (result.image) return result.image;
+      offset = result.end;
+    }
+  }
+
+  return null;
+}
+
+function decodeDcScan(buffer, start, header, frame, dcTables, acTables, restartInterval) {
+  const scanComponents = [];
+  for (let i = 0; i < header[0]; i += 1) {
+    const component = frame.components.find((c) => c.id === header[1 + i * 2]);
+    if (!component) return { end: start };
+    scanComponents.push({ component, dc: dcTables[header[2 + i * 2] >> 4], ac: acTables[header[2 + i * 2] & 15] });
+  }
+  const p = 1 + header[0] * 2;
+  const spectralStart = header[p];
+  const spectralEnd = header[p + 1];
+  const approxHigh = header[p + 2] >> 4;
+  const approxLow = header[p + 2] & 15;
+
+  const luma = frame.components[0];
+  const reader = createBitReader(buffer, start);
+  const usable = spectralStart === 0 && approxHigh === 0 && scanComponents.some((s) => s.component === luma);
+  if (!usable) return { end: reader.end() };
+
+  const hMax = Math.max(...frame.components.map((c) => c.h));
+  const vMax = Math.max(...frame.components.map((c) => c.v));
+  const mcusX = Math.ceil(frame.width / (8 * hMax));
+  const mcusY = Math.ceil(frame.height / (8 * vMax));
+  const lumaCols = Math.ceil(Math.ceil((frame.width * luma.h) / hMax) / 8);
+  const lumaRows = Math.ceil(Math.ceil((frame.height * luma.v) / vMax) / 8);
+  const pixels = new Float32Array(lumaCols * lumaRows);
+
+  const predictors = new Map(scanComponents.map((s) => [s.component, 0]));
+  const sequentialAc = !frame.progressive;
+
+  const decodeBlock = (scan, row, col) => {
+    const size = reader.decode(scan.dc);
+    const predictor = predictors.get(scan.component) + (size ? extend(reader.readBits(size), size) : 0);
+    predictors.set(scan.component, predictor);
+
+    if (sequentialAc) {
+      for (let k = 1; k < 64;) {
+        const rs = reader.decode(scan.ac);
+        const run = rs >> 4;
+        const bits = rs & 15;
+        if (!bits) {
+          if (run !== 15) break;
+          k += 16;
+          continue;
+        }
+        k += run;
+        reader.readBits(bits);
+        k += 1;
+      }
+    }
+
+    if (scan.component === luma && row < lumaRows && col < lumaCols) {
+      pixels[row * lumaCols + col] = predictor * (1 << approxLow);
+    }
+  };
+
+  try {
+    let restartsLeft = restartInterval;
+    const nextUnit = () => {
+      if (!restartInterval) return;
+      if (restartsLeft === 0) {
+        reader.restart();
+        for (const key of predictors.keys()) predictors.set(key, 0);
+        restartsLeft = restartInterval;
+      }
+      restartsLeft -= 1;
+    };
+
+    if (scanComponents.length === 1) {
+      // Non-interleaved: blocks in raster order over the component itself.
+      const { component } = scanComponents[0];
+      const cols = Math.ceil(Math.ceil((frame.width * component.h) / hMax) / 8);
+      const rows = Math.ceil(Math.ceil((frame.height * component.v) / vMax) / 8);
+      for (let row = 0; row < rows; row += 1) {
+        for (let col = 0; col < cols; col += 1) {
+          nextUnit();
+          decodeBlock(scanComponents[0], row, col);
+        }
+      }
+    } else {
+      for (let my = 0; my < mcusY; my += 1) {
+        for (let mx = 0; mx < mcusX; mx += 1) {
+          nextUnit();
+          for (const scan of scanComponents) {
+            for (let by = 0; by < scan.component.v; by += 1) {
+              for (let bx = 0; bx < scan.component.h; bx += 1) {
+                decodeBlock(scan, my * scan.component.v + by, mx * scan.component.h + bx);
+              }
+            }
+          }
+        }
+      }
+    }
+  } catch {
+    return { end: reader.end() };
+  }
+
+  return { end: reader.end(), image: { width: lumaCols, height: lumaRows, pixels } };
+}
+
+export function decodeImageLuma(buffer) {
+  if (!Buffer.isBuffer(buffer)) return null;
+  try {
+    return decodePng(buffer) || decodeJpegDc(buffer);
+  } catch {
+    return null;
+  }
+}
+
+// Box-filter down (or nearest-neighbour up) to width x height.
+function resample({ width, height, pixels }, targetWidth, targetHeight) {
+  const out = new Float32Array(targetWidth * targetHeight);
+  for (let ty = 0; ty < targetHeight; ty += 1) {
+    const y0 = Math.floor((ty * height) / targetHeight);
+    const y1 = Math.max(y0 + 1, Math.floor(((ty + 1) * height) / targetHeight));
+    for (let tx = 0; tx < targetWidth; tx += 1) {
+      const x0 = Math.floor((tx * width) / targetWidth);
+      const x1 = Math.max(x0 + 1, Math.floor(((tx + 1) * width) / targetWidth));
+      let sum = 0;
+      for (let y = y0; y < y1; y += 1) {
+        for (let x = x0; x < x1; x += 1) sum += pixels[y * width + x];
+      }
+      out[ty * targetWidth + tx] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return out;
+}
+
+// dHash: shrink to 9x8 and record whether each pixel is brighter than its
+// right-hand neighbour.
+export function dHash(image) {
+  if (!image?.width || !image?.height) return null;
+  const small = resample(image, 9, 8);
+  let hex = '';
+  for (let y = 0; y < 8; y += 1) {
+    let byte = 0;
+    for (let x = 0; x < 8; x += 1) {
+      byte = (byte << 1) | (small[y * 9 + x] > small[y * 9 + x + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+export function imageHashFromBuffer(buffer) {
+  return dHash(decodeImageLuma(buffer));
+}
+
+function popcount(n) {
+  let value = n - ((n >>> 1) & 0x55555555);
+  value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+  return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+// 64-bit hash as two 32-bit halves.
+function splitHash(hex) {
+  return [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8), 16)];
+}
+
+function isHash(value) {
+  return typeof value === 'string' && /^[0-9a-f]{16}$/.test(value);
+}
+
+export function hammingDistance(a, b) {
+  if (!isHash(a) || !isHash(b)) return 64;
+  const [ah, al] = splitHash(a);
+  const [bh, bl] = splitHash(b);
+  return popcount(ah ^ bh) + popcount(al ^ bl);
+}
+
+function parsedHashes(item, ignore) {
+  return (Array.isArray(item?.imageHashes) ? item.imageHashes : [])
+    .filter((hash) => isHash(hash) && !ignore.has(hash))
+    .map(splitHash);
+}
+
+function countShared(a, b, maxDistance) {
+  let count = 0;
+  for (const [ah, al] of a) {
+    if (b.some(([bh, bl]) => popcount(ah ^ bh) + popcount(al ^ bl) <= maxDistance)) count += 1;
+  }
+  return count;
+}
+
+// Photos of `a` with a near-identical photo in `b`, generic hashes excluded.
+export function sharedPhotoCount(a, b, { maxDistance = DEFAULT_MAX_HASH_DISTANCE, ignore = new Set() } = {}) {
+  return countShared(parsedHashes(a, ignore), parsedHashes(b, ignore), maxDistance);
+}
+
+// Hashes carried by more than `maxListings` listings.
+export function genericPhotoHashes(items = [], maxListings = GENERIC_PHOTO_LISTING_COUNT) {
+  const counts = new Map();
+  for (const item of items) {
+    for (const hash of new Set(Array.isArray(item?.imageHashes) ? item.imageHashes : [])) {
+      counts.set(hash, (counts.get(hash) || 0) + 1);
+    }
+  }
+  return new Set([...counts].filter(([, count]) => count > maxListings).map(([hash]) => hash));
+}
+
+// Listing ID -> [{ id, count }] of the other listings sharing photos with it,
+// most shared photos first.
+export function findSamePhotoListings(items = [], { maxDistance = DEFAULT_MAX_HASH_DISTANCE, skipPair = () => false } = {}) {
+  const ignore = genericPhotoHashes(items);
+  const entries = items
+    .map((item) => ({ item, hashes: parsedHashes(item, ignore) }))
+    .filter((entry) => entry.hashes.length);
+  const result = new Map();
+
+  for (let i = 0; i < entries.length; i += 1) {
+    for (let j = i + 1; j < entries.length; j += 1) {
+      const a = entries[i];
+      const b = entries[j];
+      const count = countShared(a.hashes, b.hashes, maxDistance);
+      if (!count || skipPair(a.item, b.item)) continue;
+      for (const [from, to] of [[a.item, b.item], [b.item, a.item]]) {
+        const key = String(from.id);
+        result.set(key, [...(result.get(key) || []), { id: String(to.id), count }]);
+      }
+    }
+  }
+
+  for (const matches of result.values()) matches.sort((x, y) => y.count - x.count);
+  return result;
+}
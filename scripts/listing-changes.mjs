@@ -0,0 +1,65 @@
+// Field-level change log for tracked listings: which fields a provider changed
+// in which scan, with the old and new values. The tracker merge overwrites the
+// listing with the latest scan, so this log is the only trace of earlier values.
+
+export const MAX_CHANGE_LOG_ENTRIES = 50;
+
+export const CHANGE_LOG_FIELDS = [
+  'title',
+  'objectType',
+  'address',
+  'rooms',
+  'surfaceM2',
+  'netRentChf',
+  'chargesChf',
+  'parkingChf',
+  'totalChf',
+  'movingDateRaw',
+  'entryDateText',
+  'photos'
+];
+
+function isEmpty(value) {
+  return value == null || value === '' || (Array.isArray(value) && !value.length);
+}
+
+function normalizeValue(field, value) {
+  if (isEmpty(value)) return null;
+  if (field === 'photos') return [...new Set(value.map((url) => String(url).trim()).filter(Boolean))];
+  if (typeof value === 'number') return value;
+  const n = Number(value);
+  if (['rooms', 'surfaceM2', 'netRentChf', 'chargesChf', 'parkingChf', 'totalChf'].includes(field) && Number.isFinite(n)) return n;
+  return String(value).replace(/\s+/g, ' ').trim() || null;
+}
+
+function sameValue(field, a, b) {
+  if (field === 'photos') {
+    return a.length === b.length && a.every((url) => b.includes(url));
+  }
+  return a === b;
+}
+
+// `before` / `after` carry the listing fields plus `photos` (remote image URLs).
+// A field the new scan left empty is not logged: a provider omitting a value
+// on one page is far more common than the value really disappearing. Neither
+// is a field filled in for the first time: detail enrichment or a newly
+// parsed field is not an edit by the provider.
+export function diffListingFields(before = {}, after = {}) {
+  const changes = [];
+
+  for (const field of CHANGE_LOG_FIELDS) {
+    const to = normalizeValue(field, after[field]);
+    if (to == null) continue;
+    const from = normalizeValue(field, before[field]);
+    if (from == null || sameValue(field, from, to)) continue;
+    changes.push({ field, from, to });
+  }
+
+  return changes;
+}
+
+export function appendChangeLog(log = [], changes = [], at, max = MAX_CHANGE_LOG_ENTRIES) {
+  const entries = Array.isArray(log) ? log : [];
+  if (!changes.length) return entries;
+  return [...entries, { at, changes }].slice(-max);
+}
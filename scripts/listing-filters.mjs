@@ -1,3 +1,5 @@
+import { budgetRentChf, resolveRentBasis } from './rent-breakdown.mjs';
+
 function toPositiveNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) && n > 0 ? n : null;
@@ -8,9 +10,19 @@ function positiveConfigNumber(value, fallback) {
   return Number.isFinite(n) && n > 0 ? n : fallback;
 }
 
+// Budget limits apply to the rent picked by `filters.rentBasis` (gross with
+// mandatory parking by default, or net).
 export function isBudgetEligible(item, config) {
   const maxBudget = positiveConfigNumber(config.filters?.maxTotalChf, 1400);
-  return item.totalChf != null && Number(item.totalChf) <= maxBudget;
+  const rent = budgetRentChf(item, resolveRentBasis(config));
+  return rent != null && rent <= maxBudget;
+}
+
+export function isAboveMinBudget(item, config) {
+  const minBudget = Number(config.filters?.minTotalChf ?? 0);
+  if (!(minBudget > 0)) return true;
+  const rent = budgetRentChf(item, resolveRentBasis(config));
+  return rent != null && rent >= minBudget;
 }
 
 export function derivePriority(item, config) {
@@ -21,7 +33,7 @@ export function derivePriority(item, config) {
   const budget = positiveConfigNumber(config.filters?.maxTotalChf, 1400);
   const minRooms = positiveConfigNumber(config.filters?.minRoomsPreferred, 2);
   const rooms = Number(item.rooms ?? 0);
-  const total = Number(item.totalChf ?? 999999);
+  const total = budgetRentChf(item, resolveRentBasis(config)) ?? 999999;
 
   if (total <= budget && rooms >= minRooms) return 'A';
   return 'B';
@@ -45,3 +57,32 @@ export function isSizeEligible(item, config) {
 
   return surface >= minSurface;
 }
+
+function optionalLimit(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+export function resolveCommuteLimits(config = {}) {
+  return {
+    maxTransitMinutes: optionalLimit(config.filters?.maxTransitMinutes),
+    maxDriveMinutes: optionalLimit(config.filters?.maxDriveMinutes)
+  };
+}
+
+// Hard commute limits from the workplace address. A listing whose travel
+// time is unknown (no address, routing failed) is kept.
+export function commuteEligibility(item, config) {
+  const { maxTransitMinutes, maxDriveMinutes } = resolveCommuteLimits(config);
+  const transit = toPositiveNumber(item?.transitMinutes);
+  const drive = toPositiveNumber(item?.driveMinutes);
+
+  if (maxTransitMinutes != null && transit != null && transit > maxTransitMinutes) {
+    return { eligible: false, reason: `Trajet en transports publics : ${Math.round(transit)} min (max ${maxTransitMinutes})` };
+  }
+  if (maxDriveMinutes != null && drive != null && drive > maxDriveMinutes) {
+    return { eligible: false, reason: `Trajet en voiture : ${Math.round(drive)} min (max ${maxDriveMinutes})` };
+  }
+  return { eligible: true, reason: '' };
+}
@@ -0,0 +1,233 @@
+// Cross-source duplicate matcher. Instead of exact key buckets (which split
+// 1474 / 1476 CHF or "Av." / "Avenue" apart), two listings get a 0-1 score from
+// address tokens, map coordinates, shared photos, rooms, surface and rent, and
+// are merged when the score reaches the profile threshold. Every score comes
+// with the reasons behind it so a merge can be explained in the dashboard.
+import { sharedPhotoCount } from './image-hash.mjs';
+
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.8;
+
+const WEIGHTS = { address: 0.35, coordinates: 0.25, photos: 0.3, rooms: 0.15, surface: 0.1, price: 0.15 };
+
+// Rent further apart than this is never the same flat, whatever the address says.
+const MAX_PRICE_DELTA_RATIO = 0.2;
+// Surfaces further apart than both of these are two flats of the same building.
+const MAX_SURFACE_DELTA_RATIO = 0.1;
+const MAX_SURFACE_DELTA_M2 = 5;
+
+const ADDRESS_ABBREVIATIONS = {
+  av: 'avenue',
+  ave: 'avenue',
+  rte: 'route',
+  bd: 'boulevard',
+  boul: 'boulevard',
+  pl: 'place',
+  ch: 'chemin',
+  chem: 'chemin',
+  imp: 'impasse',
+  r: 'rue',
+  st: 'saint',
+  ste: 'sainte',
+  str: 'strasse'
+};
+
+const ADDRESS_STOPWORDS = new Set(['de', 'du', 'des', 'la', 'le', 'les', 'l', 'd', 'a', 'en', 'suisse', 'switzerland', 'schweiz']);
+
+function toNumber(value) {
+  const n = Number(value);
+  return value != null && value !== '' && Number.isFinite(n) ? n : null;
+}
+
+function toPositive(value) {
+  const n = toNumber(value);
+  return n != null && n > 0 ? n : null;
+}
+
+function normalizeText(value = '') {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function expandToken(token) {
+  if (ADDRESS_ABBREVIATIONS[token]) return ADDRESS_ABBREVIATIONS[token];
+  // Bahnhofstr. -> bahnhofstrasse
+  return token.length > 4 && token.endsWith('str') ? `${token}asse` : token;
+}
+
+// Street tokens plus house numbers. The town (the area, or what follows a
+// postal code) and the country are dropped: every listing of a town shares
+// them, so they say nothing about the building.
+export function addressTokens(item = {}) {
+  const words = [];
+  const town = new Set(normalizeText(item.area).split(' ').filter(Boolean));
+
+  for (const part of String(item.address || '').split(',')) {
+    const tokens = normalizeText(part).split(' ').filter(Boolean);
+    // A part reading only "CH" is the country, not "chemin".
+    if (tokens.length === 1 && tokens[0] === 'ch') continue;
+    for (const token of tokens) {
+      if (/^\d{4}$/.test(token)) break;
+      if (ADDRESS_STOPWORDS.has(token) || town.has(token)) continue;
+      words.push(expandToken(token));
+    }
+  }
+
+  const numbers = new Set();
+  const names = new Set();
+  for (const word of words) {
+    const house = word.match(/^(\d{1,3})[a-z]?$/);
+    if (house) numbers.add(house[1]);
+    else if (!/^\d+$/.test(word)) names.add(word);
+  }
+  return { names, numbers };
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const value of a) if (b.has(value)) shared += 1;
+  return shared / (a.size + b.size - shared);
+}
+
+// Different house numbers on the same street are different buildings.
+export function addressSimilarity(a, b) {
+  const ta = addressTokens(a);
+  const tb = addressTokens(b);
+  if (!ta.names.size || !tb.names.size) return null;
+
+  const names = jaccard(ta.names, tb.names);
+  if (!ta.numbers.size || !tb.numbers.size) return names;
+  return [...ta.numbers].some((n) => tb.numbers.has(n)) ? names : names * 0.5;
+}
+
+function distanceMeters(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function coordinatesOf(item) {
+  const lat = toNumber(item?.mapLat);
+  const lon = toNumber(item?.mapLon);
+  return lat != null && lon != null ? { lat, lon } : null;
+}
+
+// 1 up to `full`, 0 from `none`, linear in between.
+function linearScore(value, full, none) {
+  if (value <= full) return 1;
+  if (value >= none) return 0;
+  return (none - value) / (none - full);
+}
+
+function relativeDelta(a, b) {
+  return Math.abs(a - b) / Math.max(a, b);
+}
+
+function pct(value) {
+  return `${Math.round(value * 100)} %`;
+}
+
+// { score, match, reasons, veto } — `score` is the weighted mean of the signals
+// both listings carry. A location signal (address, coordinates or a shared
+// photo) and at least one of rooms / surface / rent are required, otherwise the
+// score is 0. `ignorePhotos` holds the scan's generic photo hashes.
+export function scoreListingSimilarity(a = {}, b = {}, threshold = DEFAULT_SIMILARITY_THRESHOLD, { ignorePhotos = new Set() } = {}) {
+  const components = {};
+  const reasons = [];
+  const result = (veto) => ({ score: 0, match: false, reasons: [veto], veto, components });
+
+  const roomsA = toPositive(a.rooms);
+  const roomsB = toPositive(b.rooms);
+  if (roomsA != null && roomsB != null) {
+    if (Math.floor(roomsA) !== Math.floor(roomsB)) return result(`pièces différentes (${roomsA} / ${roomsB})`);
+    components.rooms = roomsA === roomsB ? 1 : 0.6;
+    reasons.push(roomsA === roomsB ? `pièces: ${roomsA}` : `pièces: ${roomsA} / ${roomsB}`);
+  }
+
+  const priceA = toPositive(a.totalChf);
+  const priceB = toPositive(b.totalChf);
+  if (priceA != null && priceB != null) {
+    const delta = relativeDelta(priceA, priceB);
+    if (delta > MAX_PRICE_DELTA_RATIO) return result(`loyers trop éloignés (CHF ${priceA} / ${priceB})`);
+    components.price = linearScore(delta, 0.02, 0.1);
+    reasons.push(priceA === priceB ? `loyer: CHF ${priceA}` : `loyer: CHF ${priceA} / ${priceB}`);
+  }
+
+  const surfaceA = toPositive(a.surfaceM2);
+  const surfaceB = toPositive(b.surfaceM2);
+  if (surfaceA != null && surfaceB != null) {
+    if (Math.abs(surfaceA - surfaceB) > MAX_SURFACE_DELTA_M2 && relativeDelta(surfaceA, surfaceB) > MAX_SURFACE_DELTA_RATIO) {
+      return result(`surfaces différentes (${surfaceA} / ${surfaceB} m²)`);
+    }
+    const delta = Math.abs(surfaceA - surfaceB) <= 2 ? 0 : relativeDelta(surfaceA, surfaceB);
+    components.surface = linearScore(delta, 0.03, 0.15);
+    reasons.push(surfaceA === surfaceB ? `surface: ${surfaceA} m²` : `surface: ${surfaceA} / ${surfaceB} m²`);
+  }
+
+  const address = addressSimilarity(a, b);
+  if (address != null) {
+    components.address = address;
+    reasons.unshift(`adresse: ${pct(address)}`);
+  }
+
+  const ca = coordinatesOf(a);
+  const cb = coordinatesOf(b);
+  if (ca && cb) {
+    const meters = distanceMeters(ca, cb);
+    components.coordinates = linearScore(meters, 25, 200);
+    reasons.splice(address != null ? 1 : 0, 0, `coordonnées à ${Math.round(meters)} m`);
+  }
+
+  // Only a shared photo counts: portals crop and pick photos differently, so
+  // no overlap says nothing.
+  const photos = sharedPhotoCount(a, b, { ignore: ignorePhotos });
+  if (photos) {
+    components.photos = 1;
+    reasons.push(`photos identiques: ${photos}`);
+  }
+
+  const hasLocation = components.address != null || components.coordinates != null || components.photos != null;
+  const hasDetails = components.rooms != null || components.price != null || components.surface != null;
+  if (!hasLocation || !hasDetails) return result('pas assez de données communes');
+
+  let total = 0;
+  let weight = 0;
+  for (const [key, value] of Object.entries(components)) {
+    total += WEIGHTS[key] * value;
+    weight += WEIGHTS[key];
+  }
+
+  const score = Math.round((total / weight) * 100) / 100;
+  return { score, match: score >= threshold, reasons, veto: null, components };
+}
+
+// Highest-scoring candidate at or above the threshold, or null.
+export function findBestMatch(
+  item,
+  candidates = [],
+  { threshold = DEFAULT_SIMILARITY_THRESHOLD, skip = () => false, ignorePhotos = new Set() } = {}
+) {
+  let best = null;
+
+  for (const candidate of candidates) {
+    if (candidate === item || skip(candidate)) continue;
+    const similarity = scoreListingSimilarity(item, candidate, threshold, { ignorePhotos });
+    if (similarity.match && (!best || similarity.score > best.score)) {
+      best = { candidate, score: similarity.score, reasons: similarity.reasons };
+    }
+  }
+
+  return best;
+}
+
+export function resolveSimilarityThreshold(config = {}) {
+  const value = Number(config.filters?.dedupSimilarityThreshold);
+  return Number.isFinite(value) && value > 0 && value <= 1 ? value : DEFAULT_SIMILARITY_THRESHOLD;
+}
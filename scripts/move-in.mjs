@@ -0,0 +1,127 @@
+// Move-in availability of a listing against the profile's window
+// (`filters.moveInEarliest` / `filters.moveInDeadline`, ISO dates). The
+// listing side comes from the provider's availability field or the entry date
+// of the detail page: a date, "de suite" (available now) or "à convenir"
+// (negotiable). Dates are compared as ISO `YYYY-MM-DD` strings.
+
+const MONTHS = {
+  janvier: 1, fevrier: 2, mars: 3, avril: 4, mai: 5, juin: 6, juillet: 7, aout: 8, septembre: 9, octobre: 10, novembre: 11, decembre: 12,
+  januar: 1, februar: 2, marz: 3, april: 4, juni: 6, juli: 7, august: 8, oktober: 10, dezember: 12
+};
+const MONTH_NAMES = Object.keys(MONTHS).join('|');
+
+const IMMEDIATE = /\b(de suite|tout de suite|immediatement|immediat|des maintenant|disponible maintenant|sofort|per sofort|ab sofort)\b/;
+const NEGOTIABLE = /\b(a convenir|a discuter|a negocier|sur demande|nach vereinbarung|auf anfrage)\b/;
+
+function normalizeText(value = '') {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function isoDate(year, month, day) {
+  let y = Number(year);
+  const m = Number(month);
+  const d = Number(day);
+  if (![y, m, d].every(Number.isInteger)) return null;
+  if (y < 100) y += 2000;
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+export function todayIso(now = new Date()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+// "2026-12-01", "01.12.2026", "1/12/26", "1er décembre 2026", "1. Dezember
+// 2026", "décembre 2026" (the 1st) → ISO date, or null.
+export function parseMoveInDateText(value = '') {
+  const text = normalizeText(value);
+  if (!text) return null;
+
+  const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return isoDate(iso[1], iso[2], iso[3]);
+
+  const numeric = text.match(/\b(\d{1,2})[./-](\d{1,2})[./-](\d{4}|\d{2})\b/);
+  if (numeric) return isoDate(numeric[3], numeric[2], numeric[1]);
+
+  const named = text.match(new RegExp(String.raw`\b(\d{1,2})(?:er|\.)?\s+(${MONTH_NAMES})\s+(\d{4})\b`));
+  if (named) return isoDate(named[3], MONTHS[named[2]], named[1]);
+
+  const monthYear = text.match(new RegExp(String.raw`\b(${MONTH_NAMES})\s+(\d{4})\b`));
+  if (monthYear) return isoDate(monthYear[2], MONTHS[monthYear[1]], 1);
+
+  return null;
+}
+
+// `{ kind: 'immediate' | 'date' | 'negotiable', date }` for a provider's
+// availability text, or null when it says nothing usable. A date already past
+// means the flat is free now.
+export function parseAvailability(value = '', now = new Date()) {
+  const text = normalizeText(value);
+  if (!text) return null;
+
+  const today = todayIso(now);
+  const date = parseMoveInDateText(text);
+  if (date) return date <= today ? { kind: 'immediate', date: today } : { kind: 'date', date };
+  if (IMMEDIATE.test(text)) return { kind: 'immediate', date: today };
+  if (NEGOTIABLE.test(text)) return { kind: 'negotiable', date: null };
+  return null;
+}
+
+// Entry date of the detail page first, then the provider's availability
+// fields.
+export function listingAvailability(item = {}, now = new Date()) {
+  for (const value of [item.entryDateText, item.availabilityText, item.movingDateRaw]) {
+    const availability = parseAvailability(value, now);
+    if (availability) return availability;
+  }
+  return null;
+}
+
+function configDate(value) {
+  if (value == null || value === '') return null;
+  return parseMoveInDateText(value);
+}
+
+export function resolveMoveInWindow(config = {}) {
+  return {
+    earliest: configDate(config?.filters?.moveInEarliest),
+    deadline: configDate(config?.filters?.moveInDeadline)
+  };
+}
+
+export function formatMoveInDate(iso) {
+  const [year, month, day] = String(iso || '').split('-');
+  return year && month && day ? `${day}.${month}.${year}` : '';
+}
+
+function availabilityLabel(availability) {
+  return availability.kind === 'immediate' ? 'de suite' : `le ${formatMoveInDate(availability.date)}`;
+}
+
+// Whether the listing can be moved into within the profile's window. Unknown
+// and negotiable availability pass: only a stated date can rule a flat out.
+export function moveInEligibility(item, config, now = new Date()) {
+  const availability = listingAvailability(item, now);
+  const { earliest, deadline } = resolveMoveInWindow(config);
+  const meta = {
+    eligible: true,
+    reason: '',
+    availableFrom: availability?.date ?? null,
+    availability: availability?.kind ?? null
+  };
+
+  if (!availability?.date) return meta;
+  if (earliest && availability.date < earliest) {
+    return { ...meta, eligible: false, reason: `Entrée ${availabilityLabel(availability)}, avant le ${formatMoveInDate(earliest)}` };
+  }
+  if (deadline && availability.date > deadline) {
+    return { ...meta, eligible: false, reason: `Entrée ${availabilityLabel(availability)}, après le ${formatMoveInDate(deadline)}` };
+  }
+  return meta;
+}
@@ -0,0 +1,39 @@
+// Time-stamped rent history per tracked listing. The scan only appends a point
+// when the total rent changes, so the history stays short.
+
+export const MAX_PRICE_HISTORY = 30;
+
+function toPrice(value) {
+  const n = Number(value);
+  return value != null && value !== '' && Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Listings tracked before price history existed start from their known price.
+export function priceHistoryOf(item = {}) {
+  if (Array.isArray(item.priceHistory)) {
+    return item.priceHistory.filter((point) => point && toPrice(point.totalChf) != null && point.at);
+  }
+  const price = toPrice(item.totalChf);
+  return price != null ? [{ at: item.firstSeenAt || null, totalChf: price }] : [];
+}
+
+export function recordPrice(history = [], totalChf, at) {
+  const price = toPrice(totalChf);
+  if (price == null) return history;
+  if (history.length && history[history.length - 1].totalChf === price) return history;
+  return [...history, { at, totalChf: price }].slice(-MAX_PRICE_HISTORY);
+}
+
+// Most recent change, when it lowered the rent: { amountChf, fromChf, toChf, at }.
+export function lastPriceDrop(history = []) {
+  if (history.length < 2) return null;
+  const previous = history[history.length - 2];
+  const last = history[history.length - 1];
+  if (!(last.totalChf < previous.totalChf)) return null;
+  return {
+    amountChf: previous.totalChf - last.totalChf,
+    fromChf: previous.totalChf,
+    toChf: last.totalChf,
+    at: last.at
+  };
+}
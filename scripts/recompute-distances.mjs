@@ -3,6 +3,7 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import https from 'node:https';
 import { fileURLToPath } from 'node:url';
+import { migrateProfileFiles } from './schema-migrations.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -125,6 +126,7 @@ async function fetchTransitMinutes(listingAddress, workAddress, cache) {
 
 async function main() {
   console.log(`Recomputing distances for profile: ${PROFILE}`);
+  await migrateProfileFiles({ dataDir: DATA_DIR, configPath: CONFIG_PATH, trackerPath: TRACKER_PATH });
   
   const config = await readJsonSafe(CONFIG_PATH, {});
   const tracker = await readJsonSafe(TRACKER_PATH, { listings: [] });
@@ -0,0 +1,132 @@
+// Relisting detection: a listing that disappears and comes back under a new
+// provider ID (anibis and flatfox do this on every repost) is matched against
+// recently removed tracker entries so status, notes and history carry over.
+import { emptyDedupOverrides, isSplitPair } from './dedup-overrides.mjs';
+import { sharedPhotoCount } from './image-hash.mjs';
+
+export const DEFAULT_RELISTING_WINDOW_DAYS = 30;
+
+// Same building is not enough: coordinates only count when rooms and rent
+// agree too.
+const MAX_COORDINATE_DISTANCE_M = 30;
+const MAX_PRICE_DELTA_RATIO = 0.1;
+// One shared photo may be the building's facade or the agency's logo: it only
+// counts when rooms and rent agree too.
+const MIN_SHARED_PHOTOS = 2;
+
+const MATCH_RANK = { dedupKey: 3, images: 2, photos: 2, coordinates: 1 };
+
+function toNumber(value) {
+  const n = Number(value);
+  return value != null && value !== '' && Number.isFinite(n) ? n : null;
+}
+
+function distanceMeters(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function coordinatesOf(item) {
+  const lat = toNumber(item?.mapLat);
+  const lon = toNumber(item?.mapLon);
+  return lat != null && lon != null ? { lat, lon } : null;
+}
+
+function roomsAgree(a, b) {
+  const ra = toNumber(a?.rooms);
+  const rb = toNumber(b?.rooms);
+  return ra == null || rb == null ? null : Math.floor(ra) === Math.floor(rb);
+}
+
+function priceAgrees(a, b) {
+  const pa = toNumber(a?.totalChf);
+  const pb = toNumber(b?.totalChf);
+  if (!pa || !pb) return null;
+  return Math.abs(pa - pb) / Math.max(pa, pb) <= MAX_PRICE_DELTA_RATIO;
+}
+
+function detailsAgree(a, b) {
+  const checks = [roomsAgree(a, b), priceAgrees(a, b)].filter((x) => x != null);
+  return checks.length > 0 && checks.every(Boolean);
+}
+
+export function coordinatesMatch(a, b) {
+  const ca = coordinatesOf(a);
+  const cb = coordinatesOf(b);
+  if (!ca || !cb || distanceMeters(ca, cb) > MAX_COORDINATE_DISTANCE_M) return false;
+  return detailsAgree(a, b);
+}
+
+// Same photos re-uploaded under new URLs (perceptual hash). `ignore` holds the
+// scan's generic hashes (placeholders, logos).
+export function photosMatch(a, b, ignore = new Set()) {
+  const count = sharedPhotoCount(a, b, { ignore });
+  if (count >= MIN_SHARED_PHOTOS) return true;
+  return count > 0 && detailsAgree(a, b);
+}
+
+function remoteImages(item) {
+  return [
+    ...(Array.isArray(item?.imageUrlsRemote) ? item.imageUrlsRemote : []),
+    ...(Array.isArray(item?.imageUrls) ? item.imageUrls : [])
+  ].filter((url) => /^https?:\/\//i.test(String(url || '')));
+}
+
+export function sharesImage(a, b) {
+  const urls = new Set(remoteImages(a));
+  return remoteImages(b).some((url) => urls.has(url));
+}
+
+// Why `item` looks like a relisting of `previous`, or null.
+export function relistingMatchReason(item, previous, dedupKeyOf = () => null, { ignorePhotos = new Set() } = {}) {
+  const key = dedupKeyOf(item);
+  if (key && key === dedupKeyOf(previous)) return 'dedupKey';
+  if (sharesImage(item, previous)) return 'images';
+  if (photosMatch(item, previous, ignorePhotos)) return 'photos';
+  if (coordinatesMatch(item, previous)) return 'coordinates';
+  return null;
+}
+
+// Tracker entries a new listing may replace: missing from this scan, not
+// already relisted or merged into another listing, and either still active or
+// removed within the window. A still-active entry may only be missing because
+// its source failed, so findRelisting only lets the same source take it over.
+export function isRelistingCandidate(old, { presentIds, now = Date.now(), windowDays = DEFAULT_RELISTING_WINDOW_DAYS }) {
+  if (!old?.id || presentIds.has(String(old.id)) || old.relistedAs || old.duplicateOf) return false;
+  if (String(old.filterReason || '').startsWith('Doublon')) return false;
+  if (!old.isRemoved) return old.active !== false;
+
+  const removedAt = new Date(old.removedAt || 0).getTime();
+  return Number.isFinite(removedAt) && now - removedAt <= windowDays * 24 * 60 * 60 * 1000;
+}
+
+// Best match first by signal strength, then the most recently seen entry.
+// Pairs split by hand in the dashboard are never linked.
+export function findRelisting(
+  item,
+  candidates = [],
+  dedupKeyOf = () => null,
+  { overrides = emptyDedupOverrides(), ignorePhotos = new Set() } = {}
+) {
+  let best = null;
+
+  for (const candidate of candidates) {
+    if (!candidate.isRemoved && String(candidate.source || '') !== String(item.source || '')) continue;
+    if (isSplitPair(overrides, candidate.id, item.id)) continue;
+    const reason = relistingMatchReason(item, candidate, dedupKeyOf, { ignorePhotos });
+    if (!reason) continue;
+
+    const seenAt = new Date(candidate.removedAt || candidate.firstSeenAt || 0).getTime() || 0;
+    if (!best
+      || MATCH_RANK[reason] > MATCH_RANK[best.reason]
+      || (MATCH_RANK[reason] === MATCH_RANK[best.reason] && seenAt > best.seenAt)) {
+      best = { candidate, reason, seenAt };
+    }
+  }
+
+  return best ? { candidate: best.candidate, reason: best.reason } : null;
+}
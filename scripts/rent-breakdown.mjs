@@ -0,0 +1,130 @@
+// Rent breakdown of a listing. `totalChf` stays the gross monthly rent (net +
+// charges) every source agrees on; next to it a listing carries what the
+// provider tells apart: `netRentChf`, `chargesChf` (acompte / forfait) and
+// `parkingChf`, a parking space the tenant has to rent with the flat. Unknown
+// parts are null, never 0.
+
+export const RENT_BASES = ['gross', 'net'];
+export const DEFAULT_RENT_BASIS = 'gross';
+
+const CURRENCY = String.raw`(?:CHF|SFr\.?|Fr\.?)?\s*`;
+// 1'390.- / 1 390.00 / 1’390.– / 210
+const AMOUNT = String.raw`(\d{1,3}(?:['’‘  ]\d{3})+|\d+)(?:[.,](?:\d{2}|-|–))?`;
+
+const NET_PATTERNS = [
+  new RegExp(String.raw`loyer\s+(?:mensuel\s+)?net(?:\s+mensuel)?\s*:?\s*${CURRENCY}${AMOUNT}`, 'i'),
+  new RegExp(String.raw`nettomiete\s*:?\s*${CURRENCY}${AMOUNT}`, 'i')
+];
+const GROSS_PATTERNS = [
+  new RegExp(String.raw`loyer\s+(?:mensuel\s+)?brut(?:\s+mensuel)?\s*:?\s*${CURRENCY}${AMOUNT}`, 'i'),
+  new RegExp(String.raw`bruttomiete\s*:?\s*${CURRENCY}${AMOUNT}`, 'i'),
+  new RegExp(String.raw`${CURRENCY}${AMOUNT}[^\d\n]{0,15}charges\s+comprises`, 'i')
+];
+// "Charges: 2 mois de garantie", "Acompte 1er mois": a bare small number
+// after "charges" is not an amount. Charges need a currency or a ".-" / ".00"
+// suffix, and a plausible value.
+const MIN_CHARGES_CHF = 20;
+const MONEY_MARKER = /(?:CHF|SFr|Fr\.?)\s*\d|\d[.,](?:\d{2}|-|–)/i;
+const CHARGES_PATTERNS = [
+  new RegExp(String.raw`\+\s*${CURRENCY}${AMOUNT}\s*(?:de\s+|d['’]\s*)?(?:charges|acompte)`, 'i'),
+  new RegExp(String.raw`(?:acompte\s+(?:de\s+|sur\s+(?:les\s+)?)?charges|forfait\s+(?:de\s+)?charges|charges(?:\s+(?:mensuelles|forfaitaires|acompte|forfait))?|acompte|frais\s+accessoires|nebenkosten)\s*:?\s*\+?\s*${CURRENCY}${AMOUNT}`, 'i')
+];
+// "+ charges", "charges CHF 150.- en sus", "zzgl. Nebenkosten": the price the
+// provider shows is the net rent, charges come on top.
+const CHARGES_ON_TOP = /\+[^+\n]{0,25}?(?:charges|acompte|nebenkosten|\bnk\b)|(?:charges|nebenkosten)[^\n]{0,25}?(?:en\s+sus|en\s+plus|non\s+comprises|exclusives?)|\bplus\s+(?:les\s+)?charges|zzgl\.?\s*(?:nebenkosten|nk\b)/i;
+const PARKING = String.raw`(?:place\s+de\s+parc|parking|garage|place\s+(?:int[ée]rieure|ext[ée]rieure)|parkplatz|einstellplatz|tiefgaragenplatz)`;
+const MANDATORY = String.raw`(?:obligatoire|obligatorisch|impos[ée]e?)`;
+const PARKING_PATTERNS = [
+  new RegExp(String.raw`${PARKING}[^.\n\d]{0,40}?${MANDATORY}[^.\n\d]{0,20}?${CURRENCY}${AMOUNT}`, 'i'),
+  new RegExp(String.raw`${CURRENCY}${AMOUNT}[^.\n\d]{0,20}?${PARKING}\s+${MANDATORY}`, 'i')
+];
+
+export function parseChfAmount(value = '') {
+  const digits = String(value ?? '').replace(/[.,](?:\d{2}|-|–)$/, '').replace(/[^0-9]/g, '');
+  const n = digits ? Number(digits) : NaN;
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function firstAmount(text, patterns, { minAmount = 0, requireMarker = false } = {}) {
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(new RegExp(pattern.source, `${pattern.flags}g`))) {
+      const amount = parseChfAmount(match[1]);
+      if (amount == null || amount < minAmount) continue;
+      if (requireMarker && !MONEY_MARKER.test(match[0])) continue;
+      return amount;
+    }
+  }
+  return null;
+}
+
+// Net rent, charges, mandatory parking and gross rent spelled out in a
+// description ("Loyer net CHF 1'390.- + charges CHF 210.-", "place de parc
+// obligatoire CHF 120.-"). Parts the text does not state are null.
+export function parseRentBreakdownText(texts = []) {
+  const text = (Array.isArray(texts) ? texts : [texts]).filter(Boolean).join('\n');
+  return {
+    netRentChf: firstAmount(text, NET_PATTERNS),
+    chargesChf: firstAmount(text, CHARGES_PATTERNS, { minAmount: MIN_CHARGES_CHF, requireMarker: true }),
+    parkingChf: firstAmount(text, PARKING_PATTERNS),
+    grossChf: firstAmount(text, GROSS_PATTERNS),
+    chargesOnTop: CHARGES_ON_TOP.test(text)
+  };
+}
+
+function amountOrNull(value) {
+  const n = Number(value);
+  return value != null && value !== '' && Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// Fill in the part that follows from the other two (gross = net + charges).
+// Without charges the net rent is the only price known, so it stands in for
+// the gross one as before. A total below net + charges was the net rent
+// shown as the price, so it is recomputed.
+export function completeRentBreakdown({ netRentChf = null, chargesChf = null, parkingChf = null, totalChf = null } = {}) {
+  let net = amountOrNull(netRentChf);
+  let charges = amountOrNull(chargesChf);
+  let total = amountOrNull(totalChf);
+  const parking = amountOrNull(parkingChf) || null;
+
+  if (net != null && charges != null && (total == null || net + charges > total)) total = net + charges;
+  if (total == null && net != null) total = net;
+  if (net == null && total != null && charges != null && total > charges) net = total - charges;
+  if (charges == null && total != null && net != null && total >= net) charges = total - net;
+
+  return { netRentChf: net, chargesChf: charges, parkingChf: parking, totalChf: total };
+}
+
+// Fill the parts of `item` still unknown from a parsed text breakdown. When
+// the text says charges come on top and neither side names the net rent, the
+// provider's lone price is the net one.
+export function applyRentBreakdown(item, parsed = {}) {
+  const loneNetPrice = parsed.chargesOnTop
+    && item.netRentChf == null && item.chargesChf == null
+    && parsed.netRentChf == null && parsed.grossChf == null;
+  const next = completeRentBreakdown({
+    netRentChf: item.netRentChf ?? parsed.netRentChf ?? (loneNetPrice ? item.totalChf : null),
+    chargesChf: item.chargesChf ?? parsed.chargesChf,
+    parkingChf: item.parkingChf ?? parsed.parkingChf,
+    totalChf: loneNetPrice ? null : item.totalChf ?? parsed.grossChf
+  });
+  Object.assign(item, next);
+  return item;
+}
+
+export function resolveRentBasis(config = {}) {
+  const basis = String(config?.filters?.rentBasis || '').toLowerCase();
+  return RENT_BASES.includes(basis) ? basis : DEFAULT_RENT_BASIS;
+}
+
+// The rent budget filters and the score compare: the gross rent plus any
+// mandatory parking, or the net rent. A listing that does not give its net
+// rent is compared on its gross rent.
+export function budgetRentChf(item = {}, basis = DEFAULT_RENT_BASIS) {
+  const total = amountOrNull(item.totalChf);
+  if (basis === 'net') return amountOrNull(item.netRentChf) ?? total;
+  return total != null ? total + (amountOrNull(item.parkingChf) ?? 0) : null;
+}
+
+export function rentBasisLabel(basis = DEFAULT_RENT_BASIS) {
+  return basis === 'net' ? 'loyer net' : 'loyer brut';
+}
@@ -0,0 +1,137 @@
+// Shared request scheduler: requests to different hosts run side by side,
+// requests to the same host respect that host's concurrency and minimum
+// spacing between starts (Nominatim, OSRM and transport.opendata publish
+// strict usage limits).
+
+export const DEFAULT_HOST_LIMITS = {
+  'nominatim.openstreetmap.org': { concurrency: 1, minIntervalMs: 1100 },
+  'router.project-osrm.org': { concurrency: 1, minIntervalMs: 1000 },
+  'transport.opendata.ch': { concurrency: 1, minIntervalMs: 350 },
+  'photon.komoot.io': { concurrency: 1, minIntervalMs: 500 }
+};
+
+export const DEFAULT_SCHEDULER_OPTIONS = {
+  maxConcurrency: 8,
+  defaults: { concurrency: 2, minIntervalMs: 250 },
+  hosts: DEFAULT_HOST_LIMITS
+};
+
+function toLimit(value, fallback, min) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= min ? n : fallback;
+}
+
+function normalizeHostLimits(limits = {}, fallback = DEFAULT_SCHEDULER_OPTIONS.defaults) {
+  return {
+    concurrency: Math.floor(toLimit(limits?.concurrency, fallback.concurrency, 1)),
+    minIntervalMs: toLimit(limits?.minIntervalMs, fallback.minIntervalMs, 0)
+  };
+}
+
+// Merge a profile's `network` block over the defaults; host entries are
+// merged one by one so overriding one host keeps the others' limits.
+export function resolveSchedulerOptions(network = {}) {
+  const defaults = normalizeHostLimits(network?.defaults, DEFAULT_SCHEDULER_OPTIONS.defaults);
+  const hosts = {};
+
+  for (const [host, limits] of Object.entries({ ...DEFAULT_HOST_LIMITS, ...(network?.hosts || {}) })) {
+    hosts[String(host).toLowerCase().replace(/^www\./, '')] = normalizeHostLimits(limits, defaults);
+  }
+
+  return {
+    maxConcurrency: Math.floor(toLimit(network?.maxConcurrency, DEFAULT_SCHEDULER_OPTIONS.maxConcurrency, 1)),
+    defaults,
+    hosts
+  };
+}
+
+export function hostKeyFromUrl(url = '') {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+export function createRequestScheduler(options = {}, clock = { now: () => Date.now() }) {
+  const resolved = resolveSchedulerOptions(options);
+  const hostStates = new Map();
+  let active = 0;
+
+  function limitsForHost(host) {
+    if (resolved.hosts[host]) return resolved.hosts[host];
+    const suffix = Object.keys(resolved.hosts).find((key) => host.endsWith(`.${key}`));
+    return suffix ? resolved.hosts[suffix] : resolved.defaults;
+  }
+
+  function stateForHost(host) {
+    if (!hostStates.has(host)) {
+      hostStates.set(host, { host, limits: limitsForHost(host), queue: [], active: 0, nextStartAt: 0, timer: null });
+    }
+    return hostStates.get(host);
+  }
+
+  function pumpAll() {
+    for (const state of hostStates.values()) pump(state);
+  }
+
+  function pump(state) {
+    while (state.queue.length && state.active < state.limits.concurrency && active < resolved.maxConcurrency) {
+      const delay = state.nextStartAt - clock.now();
+      if (delay > 0) {
+        if (!state.timer) {
+          state.timer = setTimeout(() => {
+            state.timer = null;
+            pump(state);
+          }, delay);
+        }
+        return;
+      }
+
+      const job = state.queue.shift();
+      state.active += 1;
+      active += 1;
+      state.nextStartAt = clock.now() + state.limits.minIntervalMs;
+
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          state.active -= 1;
+          active -= 1;
+          pumpAll();
+        });
+    }
+  }
+
+  return {
+    run(url, task) {
+      return new Promise((resolve, reject) => {
+        const state = stateForHost(hostKeyFromUrl(url));
+        state.queue.push({ task, resolve, reject });
+        pump(state);
+      });
+    },
+    limitsForHost
+  };
+}
+
+// Run `worker` over `items` with at most `limit` calls in flight; results keep
+// the input order. Per-host pacing is left to the request scheduler.
+export async function mapWithConcurrency(items = [], limit = 4, worker = async (x) => x) {
+  const list = [...items];
+  const results = new Array(list.length);
+  let next = 0;
+
+  async function lane() {
+    while (next < list.length) {
+      const index = next;
+      next += 1;
+      results[index] = await worker(list[index], index);
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(Math.floor(Number(limit)) || 1, list.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
@@ -0,0 +1,122 @@
+// Per-source / per-area scan health: requests, parsed vs kept items, errors
+// and durations. Providers run concurrently, so the current source and area
+// are tracked with AsyncLocalStorage instead of being threaded through every
+// scraper signature.
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const MAX_ERRORS_PER_BUCKET = 5;
+
+function newBucket() {
+  return {
+    requests: 0,
+    failedRequests: 0,
+    parsed: 0,
+    kept: 0,
+    errorCount: 0,
+    errors: [],
+    durationMs: 0
+  };
+}
+
+function pushError(bucket, message) {
+  bucket.errorCount += 1;
+  if (bucket.errors.length < MAX_ERRORS_PER_BUCKET) bucket.errors.push(message);
+}
+
+export function sourceHealthStatus(source = {}) {
+  const kept = Number(source.kept || 0);
+  if (source.errorCount > 0 && kept === 0) return 'error';
+  if (kept === 0 && !source.requests) return 'idle';
+  if (kept === 0) return 'empty';
+  if (source.errorCount > 0 || source.failedRequests > 0) return 'warning';
+  return 'ok';
+}
+
+export function createScanHealth(now = () => Date.now()) {
+  const storage = new AsyncLocalStorage();
+  const sources = new Map();
+  const startedAt = now();
+
+  async function timed(bucket, fn) {
+    const start = now();
+    try {
+      return await fn();
+    } finally {
+      bucket.durationMs += now() - start;
+    }
+  }
+
+  function currentBuckets() {
+    const ctx = storage.getStore();
+    return ctx ? [ctx.source, ctx.area].filter(Boolean) : [];
+  }
+
+  return {
+    // `fn` returns the provider's items: their count is the source's `kept`.
+    // `parsed` comes from recordItems() when the scraper reports it.
+    async runSource(id, label, fn) {
+      const source = { id, label, ...newBucket(), countedItems: false, areas: new Map() };
+      sources.set(id, source);
+
+      return storage.run({ source, area: null }, () => timed(source, async () => {
+        try {
+          const items = await fn();
+          source.kept = items.length;
+          if (!source.countedItems) source.parsed = items.length;
+          return items;
+        } catch (err) {
+          pushError(source, String(err?.message || err));
+          throw err;
+        }
+      }));
+    },
+
+    async withArea(label, fn) {
+      const ctx = storage.getStore();
+      if (!ctx?.source) return fn();
+
+      const key = String(label || '').trim() || '—';
+      if (!ctx.source.areas.has(key)) ctx.source.areas.set(key, { area: key, ...newBucket() });
+      const area = ctx.source.areas.get(key);
+      return storage.run({ source: ctx.source, area }, () => timed(area, fn));
+    },
+
+    // Call when a request starts; the returned callback closes it (with the
+    // error, if any). Buckets are captured now so late callbacks stay correct.
+    startRequest() {
+      const buckets = currentBuckets();
+      for (const bucket of buckets) bucket.requests += 1;
+      return (err) => {
+        if (!err) return;
+        for (const bucket of buckets) bucket.failedRequests += 1;
+      };
+    },
+
+    recordItems(parsed, kept) {
+      for (const bucket of currentBuckets()) {
+        bucket.parsed += parsed;
+        bucket.kept += kept;
+      }
+      const ctx = storage.getStore();
+      if (ctx?.source) ctx.source.countedItems = true;
+    },
+
+    recordError(message) {
+      for (const bucket of currentBuckets()) pushError(bucket, String(message));
+    },
+
+    report() {
+      const finishedAt = now();
+      return {
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date(finishedAt).toISOString(),
+        durationMs: finishedAt - startedAt,
+        sources: [...sources.values()].map(({ countedItems, areas, ...source }) => ({
+          ...source,
+          status: sourceHealthStatus(source),
+          areas: [...areas.values()]
+        }))
+      };
+    }
+  };
+}
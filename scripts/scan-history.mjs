@@ -0,0 +1,161 @@
+// Compact per-scan records (scan-history.json) so past scans can be listed
+// and any two of them compared. A record only stores what changed since the
+// previous scan; diffs between distant scans replay the records in between.
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import { writeJsonAtomic } from './tracker-store.mjs';
+
+export const MAX_SCAN_HISTORY = 200;
+
+// Fields whose change marks a listing as "changed" between two scans.
+export const SCAN_CHANGE_FIELDS = [
+  'title',
+  'url',
+  'address',
+  'rooms',
+  'surfaceM2',
+  'netRentChf',
+  'chargesChf',
+  'parkingChf',
+  'totalChf',
+  'movingDateRaw'
+];
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function configHash(config = {}) {
+  return crypto.createHash('sha1').update(stableStringify(config)).digest('hex').slice(0, 12);
+}
+
+function sameValue(a, b) {
+  return (a ?? null) === (b ?? null);
+}
+
+export function changedFields(before = {}, after = {}) {
+  return SCAN_CHANGE_FIELDS.filter((field) => !sameValue(before[field], after[field]));
+}
+
+function isActiveListing(item) {
+  return item && item.active !== false && !item.isRemoved && item.display !== false;
+}
+
+// `previous` / `current` are the visible listings of two consecutive scans.
+export function buildScanRecord({ generatedAt, previous = [], current = [], config = {}, scanHealth = null }) {
+  const before = new Map(previous.filter(isActiveListing).map((item) => [String(item.id), item]));
+  const after = new Map(current.filter(isActiveListing).map((item) => [String(item.id), item]));
+
+  const newIds = [...after.keys()].filter((id) => !before.has(id));
+  const removedIds = [...before.keys()].filter((id) => !after.has(id));
+  const changes = {};
+
+  for (const [id, item] of after) {
+    if (!before.has(id)) continue;
+    const fields = changedFields(before.get(id), item);
+    if (fields.length) changes[id] = fields;
+  }
+
+  const sourceCounts = {};
+  for (const item of after.values()) {
+    const source = String(item.source || 'inconnu');
+    sourceCounts[source] = (sourceCounts[source] || 0) + 1;
+  }
+
+  return {
+    id: generatedAt,
+    generatedAt,
+    configHash: configHash(config),
+    totalCount: after.size,
+    newIds,
+    removedIds,
+    changedIds: Object.keys(changes),
+    changes,
+    sourceCounts,
+    failedSources: (scanHealth?.sources || [])
+      .filter((source) => source.status === 'error')
+      .map((source) => source.id)
+  };
+}
+
+// Newest last, as written to disk.
+export function appendScanRecord(history = [], record, max = MAX_SCAN_HISTORY) {
+  return [...history.filter((entry) => entry?.id !== record.id), record].slice(-max);
+}
+
+export function summarizeScanRecord(record = {}) {
+  return {
+    id: record.id,
+    generatedAt: record.generatedAt,
+    configHash: record.configHash,
+    totalCount: record.totalCount ?? 0,
+    newCount: record.newIds?.length ?? 0,
+    removedCount: record.removedIds?.length ?? 0,
+    changedCount: record.changedIds?.length ?? 0,
+    sourceCounts: record.sourceCounts || {},
+    failedSources: record.failedSources || []
+  };
+}
+
+// State after scan `fromId` vs state after scan `toId`: a listing added then
+// removed in between cancels out, one removed then back counts as changed.
+export function diffScanRecords(history = [], fromId, toId) {
+  let fromIndex = history.findIndex((entry) => entry.id === fromId);
+  let toIndex = history.findIndex((entry) => entry.id === toId);
+  if (fromIndex < 0 || toIndex < 0) return null;
+  if (fromIndex > toIndex) [fromIndex, toIndex] = [toIndex, fromIndex];
+
+  const state = new Map();
+  const fields = new Map();
+  const addFields = (id, list = []) => {
+    fields.set(id, [...new Set([...(fields.get(id) || []), ...list])]);
+  };
+
+  for (const record of history.slice(fromIndex + 1, toIndex + 1)) {
+    for (const id of record.newIds || []) {
+      if (state.get(id) === 'removed') {
+        state.set(id, 'changed');
+        addFields(id, ['relisted']);
+      } else {
+        state.set(id, 'added');
+      }
+    }
+    for (const id of record.removedIds || []) {
+      if (state.get(id) === 'added') state.delete(id);
+      else state.set(id, 'removed');
+    }
+    for (const id of record.changedIds || []) {
+      if (!state.has(id)) state.set(id, 'changed');
+      if (state.get(id) === 'changed') addFields(id, record.changes?.[id]);
+    }
+  }
+
+  const idsWith = (status) => [...state].filter(([, value]) => value === status).map(([id]) => id);
+
+  return {
+    from: history[fromIndex].id,
+    to: history[toIndex].id,
+    scanCount: toIndex - fromIndex,
+    configChanged: history[fromIndex].configHash !== history[toIndex].configHash,
+    addedIds: idsWith('added'),
+    removedIds: idsWith('removed'),
+    changed: idsWith('changed').map((id) => ({ id, fields: fields.get(id) || [] }))
+  };
+}
+
+export async function readScanHistory(filePath) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return Array.isArray(parsed?.scans) ? parsed.scans : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function writeScanHistory(filePath, scans) {
+  await writeJsonAtomic(filePath, { scans });
+}
@@ -0,0 +1,167 @@
+// Schema versions for the per-profile data files (watch-config.json,
+// tracker.json, latest-listings.json). Each file carries a `schemaVersion`;
+// files without one are version 0. MIGRATIONS[n] upgrades a file from version
+// n to n + 1 and is applied in order, so an old profile always ends in the
+// same state. A file written by newer code is refused rather than rewritten.
+import fs from 'node:fs/promises';
+import { withProfileLock, writeJsonAtomic } from './tracker-store.mjs';
+
+export const SCHEMA_KINDS = ['config', 'tracker', 'latest'];
+
+function listingArrays(kind, doc) {
+  if (kind === 'tracker') return [doc.listings];
+  if (kind === 'latest') return [doc.all, doc.matching, doc.newListings];
+  return [];
+}
+
+function forEachListing(kind, doc, fn) {
+  for (const list of listingArrays(kind, doc)) {
+    if (!Array.isArray(list)) continue;
+    for (const item of list) {
+      if (item && typeof item === 'object') fn(item);
+    }
+  }
+}
+
+export const MIGRATIONS = [
+  {
+    description: 'preferences.workAddress → workplaceAddress; drop isPearl, withinHardBudget and transportToLausanne',
+    config(doc) {
+      const preferences = doc.preferences && typeof doc.preferences === 'object' ? doc.preferences : {};
+      if (!preferences.workplaceAddress && preferences.workAddress) {
+        preferences.workplaceAddress = preferences.workAddress;
+      }
+      delete preferences.workAddress;
+      delete preferences.transportToLausanne;
+      doc.preferences = preferences;
+    },
+    listing(item) {
+      delete item.isPearl;
+      delete item.withinHardBudget;
+    }
+  },
+  {
+    description: 'preferences.*Preferred flags → scoring.amenities points (false keeps no bonus)',
+    config(doc) {
+      const preferences = doc.preferences && typeof doc.preferences === 'object' ? doc.preferences : {};
+      const scoring = doc.scoring && typeof doc.scoring === 'object' ? doc.scoring : {};
+      const amenities = scoring.amenities && typeof scoring.amenities === 'object' ? scoring.amenities : {};
+      const preferenceAmenities = {
+        natureViewPreferred: 'view',
+        washingMachinePreferred: 'washingMachine',
+        bathtubPreferred: 'bathtub'
+      };
+
+      for (const [preference, key] of Object.entries(preferenceAmenities)) {
+        if (preferences[preference] === false && amenities[key]?.present == null) {
+          amenities[key] = { ...(amenities[key] || {}), present: 0 };
+        }
+        delete preferences[preference];
+      }
+
+      if (Object.keys(amenities).length) doc.scoring = { ...scoring, amenities };
+      doc.preferences = preferences;
+    }
+  },
+  {
+    description: 'listing rentChf → netRentChf (kept only when charges were known), unknown charges as null, parkingChf',
+    listing(item) {
+      const charges = Number(item.chargesChf);
+      const hasCharges = Number.isFinite(charges) && charges > 0;
+      // Without charges, rentChf was the only price known, not a net rent.
+      item.netRentChf = hasCharges && item.rentChf != null ? item.rentChf : null;
+      item.chargesChf = hasCharges ? charges : null;
+      item.parkingChf = item.parkingChf ?? null;
+      delete item.rentChf;
+
+      for (const entry of Array.isArray(item.changeLog) ? item.changeLog : []) {
+        for (const change of Array.isArray(entry?.changes) ? entry.changes : []) {
+          if (change?.field === 'rentChf') change.field = 'netRentChf';
+        }
+      }
+    }
+  },
+  {
+    description: 'drop the filters.moveInDeadline placeholder (2026-03-01) default configs carried before the move-in filter read it',
+    config(doc) {
+      if (doc.filters && typeof doc.filters === 'object' && doc.filters.moveInDeadline === '2026-03-01') {
+        delete doc.filters.moveInDeadline;
+      }
+    }
+  }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS.length;
+
+const FILE_LABELS = { config: 'watch-config.json', tracker: 'tracker.json', latest: 'latest-listings.json' };
+
+export function schemaVersionOf(doc) {
+  const version = Number(doc?.schemaVersion ?? 0);
+  return Number.isInteger(version) && version >= 0 ? version : 0;
+}
+
+export function assertSupportedSchema(kind, doc) {
+  const version = schemaVersionOf(doc);
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `${FILE_LABELS[kind] || kind} utilise le schéma v${version}, plus récent que celui de ce code (v${CURRENT_SCHEMA_VERSION}). Mettez le projet à jour.`
+    );
+  }
+  return version;
+}
+
+// Upgrade `doc` in place to the current version: { doc, from, to, migrated }.
+export function migrateDocument(kind, doc) {
+  if (!SCHEMA_KINDS.includes(kind)) throw new Error(`Type de fichier inconnu: ${kind}`);
+  const from = assertSupportedSchema(kind, doc);
+
+  for (let version = from; version < CURRENT_SCHEMA_VERSION; version += 1) {
+    const migration = MIGRATIONS[version];
+    migration[kind]?.(doc);
+    if (migration.listing) forEachListing(kind, doc, migration.listing);
+  }
+
+  doc.schemaVersion = CURRENT_SCHEMA_VERSION;
+  return { doc, from, to: CURRENT_SCHEMA_VERSION, migrated: from !== CURRENT_SCHEMA_VERSION };
+}
+
+// Fresh documents are written at the current version.
+export function withSchemaVersion(doc) {
+  return { ...doc, schemaVersion: CURRENT_SCHEMA_VERSION };
+}
+
+async function readJsonOrNull(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Bring a profile's config, tracker and latest files to the current version on
+// disk, under the profile lock. Missing or unreadable files are left alone.
+// Throws when one of them comes from newer code. Returns the upgraded kinds
+// with their original version.
+export async function migrateProfileFiles(paths) {
+  const files = { config: paths.configPath, tracker: paths.trackerPath, latest: paths.latestPath };
+
+  return withProfileLock(paths.dataDir, async () => {
+    const docs = [];
+    for (const [kind, filePath] of Object.entries(files)) {
+      const doc = filePath ? await readJsonOrNull(filePath) : null;
+      if (!doc || typeof doc !== 'object') continue;
+      // Check every file before rewriting any of them.
+      assertSupportedSchema(kind, doc);
+      docs.push({ kind, filePath, doc });
+    }
+
+    const upgraded = [];
+    for (const { kind, filePath, doc } of docs) {
+      const result = migrateDocument(kind, doc);
+      if (!result.migrated) continue;
+      await writeJsonAtomic(filePath, result.doc);
+      upgraded.push({ kind, from: result.from, to: result.to });
+    }
+    return upgraded;
+  });
+}
@@ -0,0 +1,137 @@
+// Scoring weights per profile (`scoring` in watch-config.json). Every field is
+// optional: missing or invalid values fall back to the defaults below, which
+// are the weights the scraper used before they became configurable.
+import { AMENITIES } from './amenities.mjs';
+
+export const DEFAULT_SCORING_MODEL = {
+  stage: { offMarket: 20, earlyMarket: 8 },
+  budget: { withinPoints: 45, overPenaltyStepChf: 50, overPenaltyExponent: 1.12, minPoints: -20 },
+  rooms: { atLeastMinPoints: 30, belowMinPoints: 15, belowMinFloorRooms: 1.5, smallPoints: 5 },
+  studioPenalty: 4,
+  delivery: { withinOneYearPoints: 10 },
+  travel: { freeMinutes: 30, minutesPerPoint: 5 },
+  zoneBonuses: [
+    { area: 'Vevey', points: 5 },
+    { area: 'La Tour-de-Peilz', points: 4 },
+    { area: 'Corseaux', points: 4 },
+    { area: 'Corsier-sur-Vevey', points: 4 }
+  ],
+  // Per amenity: `present` when the listing says it has it, `absent` when it
+  // says it has not. Unknown amenities score nothing.
+  amenities: {
+    balcony: { present: 3, absent: 0 },
+    washingMachine: { present: 3, absent: 0 },
+    bathtub: { present: 2, absent: 0 },
+    lift: { present: 1, absent: 0 },
+    parking: { present: 1, absent: 0 },
+    garden: { present: 2, absent: 0 },
+    view: { present: 3, absent: 0 },
+    petsAllowed: { present: 0, absent: 0 },
+    dishwasher: { present: 1, absent: 0 },
+    fireplace: { present: 0, absent: 0 },
+    wheelchairAccessible: { present: 0, absent: 0 }
+  },
+  labels: {
+    stage: 'Stage',
+    budget: 'Budget',
+    rooms: 'Pièces',
+    type: 'Type',
+    delivery: 'Livraison',
+    zone: 'Zone',
+    travel: 'Trajet Liip',
+    amenities: 'Équipement'
+  }
+};
+
+function numberOr(value, fallback, { min = -Infinity, max = Infinity } = {}) {
+  if (value === null || value === undefined || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+function numbersOf(raw, defaults, bounds = {}) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const out = {};
+  for (const [key, fallback] of Object.entries(defaults)) {
+    out[key] = numberOr(source[key], fallback, bounds[key]);
+  }
+  return out;
+}
+
+function resolveZoneBonuses(raw) {
+  if (!Array.isArray(raw)) return DEFAULT_SCORING_MODEL.zoneBonuses.map((zone) => ({ ...zone }));
+  return raw
+    .map((zone) => ({ area: String(zone?.area || '').trim(), points: numberOr(zone?.points, 0) }))
+    .filter((zone) => zone.area && zone.points !== 0);
+}
+
+function resolveAmenityPoints(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const out = {};
+  for (const { key } of AMENITIES) {
+    out[key] = numbersOf(source[key], DEFAULT_SCORING_MODEL.amenities[key] || { present: 0, absent: 0 });
+  }
+  return out;
+}
+
+function resolveLabels(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const out = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_SCORING_MODEL.labels)) {
+    const value = String(source[key] ?? '').trim();
+    out[key] = value || fallback;
+  }
+  return out;
+}
+
+// Complete, validated scoring model for a profile config.
+export function resolveScoringModel(config = {}) {
+  const raw = config?.scoring && typeof config.scoring === 'object' ? config.scoring : {};
+  const defaults = DEFAULT_SCORING_MODEL;
+
+  return {
+    stage: numbersOf(raw.stage, defaults.stage),
+    budget: numbersOf(raw.budget, defaults.budget, {
+      overPenaltyStepChf: { min: 1 },
+      overPenaltyExponent: { min: 0.1, max: 3 }
+    }),
+    rooms: numbersOf(raw.rooms, defaults.rooms, { belowMinFloorRooms: { min: 0 } }),
+    studioPenalty: numberOr(raw.studioPenalty, defaults.studioPenalty),
+    delivery: numbersOf(raw.delivery, defaults.delivery),
+    travel: numbersOf(raw.travel, defaults.travel, { freeMinutes: { min: 0 }, minutesPerPoint: { min: 1 } }),
+    zoneBonuses: resolveZoneBonuses(raw.zoneBonuses),
+    amenities: resolveAmenityPoints(raw.amenities),
+    labels: resolveLabels(raw.labels)
+  };
+}
+
+export function formatPoints(points) {
+  return `${points >= 0 ? '+' : ''}${points}`;
+}
+
+// Budget points for a rent over budget: shrinks with the overshoot, never
+// below `budget.minPoints`.
+export function overBudgetPoints(overChf, model = resolveScoringModel()) {
+  const { withinPoints, overPenaltyStepChf, overPenaltyExponent, minPoints } = model.budget;
+  const penalty = Math.max(1, Math.floor(Math.pow(overChf / overPenaltyStepChf, overPenaltyExponent)));
+  return Math.max(minPoints, withinPoints - penalty);
+}
+
+// Points for a listing's amenity flags, one entry per scored amenity.
+export function amenityPoints(amenities = {}, model = resolveScoringModel()) {
+  const out = [];
+  for (const { key, label } of AMENITIES) {
+    const flag = amenities?.[key];
+    if (typeof flag !== 'boolean') continue;
+    const points = model.amenities[key][flag ? 'present' : 'absent'];
+    if (points) out.push({ key, label: flag ? label : `${label} : non`, points });
+  }
+  return out;
+}
+
+// Malus for a commute above `travel.freeMinutes`: 1 point per full
+// `travel.minutesPerPoint` minutes beyond it.
+export function travelMalus(minutes, model = resolveScoringModel()) {
+  const over = Math.max(0, minutes - model.travel.freeMinutes);
+  return Math.floor(over / model.travel.minutesPerPoint);
+}
@@ -5,10 +5,75 @@ import https from 'node:https';
 import crypto from 'node:crypto';
 import { fileURLToPath } from 'node:url';
 import {
+  commuteEligibility,
   derivePriority,
+  isAboveMinBudget,
   isBudgetEligible,
   isSizeEligible
 } from './listing-filters.mjs';
+import {
+  extractField,
+  nodeText,
+  parseHtmlDocument,
+  selectAll
+} from './html-select.mjs';
+import {
+  createCassette,
+  isCassetteMiss,
+  resolveCassetteOptions
+} from './http-cassette.mjs';
+import { createScanHealth } from './scan-health.mjs';
+import { lastPriceDrop, priceHistoryOf, recordPrice } from './price-history.mjs';
+import { appendChangeLog, diffListingFields } from './listing-changes.mjs';
+import { findBestMatch, resolveSimilarityThreshold } from './listing-similarity.mjs';
+import { findSamePhotoListings, genericPhotoHashes, imageHashFromBuffer } from './image-hash.mjs';
+import {
+  applyImageRetention,
+  collectImageGarbage,
+  referencedImageNames,
+  resolveImageRetention
+} from './image-archive.mjs';
+import {
+  applyManualMerges,
+  emptyDedupOverrides,
+  isSplitPair,
+  readDedupOverrides,
+  resolveMergeTarget
+} from './dedup-overrides.mjs';
+import {
+  DEFAULT_RELISTING_WINDOW_DAYS,
+  findRelisting,
+  isRelistingCandidate
+} from './relisting.mjs';
+import { mergeUserEdits, snapshotUserFields, withProfileLock, writeJsonAtomic } from './tracker-store.mjs';
+import { CURRENT_SCHEMA_VERSION, migrateProfileFiles } from './schema-migrations.mjs';
+import { amenityPoints, formatPoints, overBudgetPoints, resolveScoringModel, travelMalus } from './scoring-model.mjs';
+import { amenitiesFromFields, extractAmenities, mergeAmenities } from './amenities.mjs';
+import {
+  applyRentBreakdown,
+  budgetRentChf,
+  completeRentBreakdown,
+  parseRentBreakdownText,
+  rentBasisLabel,
+  resolveRentBasis
+} from './rent-breakdown.mjs';
+import { moveInEligibility } from './move-in.mjs';
+import {
+  appendScanRecord,
+  buildScanRecord,
+  readScanHistory,
+  writeScanHistory
+} from './scan-history.mjs';
+import {
+  createRequestScheduler,
+  mapWithConcurrency,
+  resolveSchedulerOptions
+} from './request-scheduler.mjs';
+import {
+  SOURCE_DEFINITIONS,
+  buildSourcePriorityMap,
+  resolveSourceToggles
+} from './source-registry.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -44,7 +109,10 @@ function profilePaths(profile) {
     trackerPath: path.join(dataDir, 'tracker.json'),
     latestPath: path.join(dataDir, 'latest-listings.json'),
     geocodeCachePath: path.join(dataDir, 'geocode-cache.json'),
-    routeCachePath: path.join(dataDir, 'route-cache.json')
+    routeCachePath: path.join(dataDir, 'route-cache.json'),
+    scanHistoryPath: path.join(dataDir, 'scan-history.json'),
+    dedupOverridesPath: path.join(dataDir, 'dedup-overrides.json'),
+    imageHashCachePath: path.join(dataDir, 'image-hashes.json')
   };
 }
 
@@ -55,18 +123,43 @@ const {
   trackerPath: TRACKER_PATH,
   latestPath: LATEST_PATH,
   geocodeCachePath: GEOCODE_CACHE_PATH,
-  routeCachePath: ROUTE_CACHE_PATH
+  routeCachePath: ROUTE_CACHE_PATH,
+  scanHistoryPath: SCAN_HISTORY_PATH,
+  dedupOverridesPath: DEDUP_OVERRIDES_PATH,
+  imageHashCachePath: IMAGE_HASH_CACHE_PATH
 } = profilePaths(PROFILE);
 
 const STATUSES = ['À contacter', 'Visite', 'Dossier', 'Relance', 'Accepté', 'Refusé', 'Sans réponse'];
-const SOURCE_PRIORITY = {
-  'immobilier.ch': 30,
-  'naef.ch': 27,
-  'bernard-nicod.ch': 26,
-  'flatfox.ch': 20,
-  'retraitespopulaires.ch': 18,
-  'anibis.ch': 15
-};
+const SOURCE_PRIORITY = buildSourcePriorityMap();
+// Replaced in main() once the profile's `network` limits are known.
+let requestScheduler = createRequestScheduler();
+// `--record` / `--replay` (or APART_HTTP_CASSETTE): see http-cassette.mjs.
+const httpCassette = createCassette(resolveCassetteOptions(process.argv.slice(2), process.env, path.join(DATA_DIR, 'cassette')));
+// A replay must leave the profile alone: its tracker, latest listings and scan
+// history go to `replay-output/` inside the cassette directory instead.
+const REPLAY_OUTPUT_DIR = httpCassette.mode === 'replay' ? path.join(httpCassette.dir, 'replay-output') : '';
+const scanHealth = createScanHealth();
+
+// Every outgoing request: cassette (record/replay), then per-host scheduling,
+// counted against the source/area currently being scanned.
+function scheduledRequest(kind, url, task) {
+  const done = scanHealth.startRequest();
+  return httpCassette.wrap(kind, url, () => requestScheduler.run(url, task)).then(
+    (value) => {
+      done();
+      return value;
+    },
+    (err) => {
+      done(err);
+      throw err;
+    }
+  );
+}
+
+function warnScan(message) {
+  console.error(`WARN ${message}`);
+  scanHealth.recordError(message);
+}
 
 const DEFAULT_NON_SPECULATIVE_GROUPS = [];
 
@@ -116,22 +209,24 @@ function imageExtFromContentType(value = '') {
   return IMAGE_EXT_BY_CONTENT_TYPE[raw] || '';
 }
 
-async function fetchBinary(url) {
-  const res = await fetch(url, {
-    headers: {
-      'user-agent':
-        'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-      accept: 'image/*,*/*;q=0.8'
-    }
-  });
+function fetchBinary(url) {
+  return scheduledRequest('binary', url, async () => {
+    const res = await fetch(url, {
+      headers: {
+        'user-agent':
+          'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+        accept: 'image/*,*/*;q=0.8'
+      }
+    });
 
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status} on ${url}`);
-  }
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status} on ${url}`);
+    }
 
-  const buf = Buffer.from(await res.arrayBuffer());
-  const contentType = res.headers.get('content-type') || '';
-  return { buffer: buf, contentType };
+    const buf = Buffer.from(await res.arrayBuffer());
+    const contentType = res.headers.get('content-type') || '';
+    return { buffer: buf, contentType };
+  });
 }
 
 async function findExistingImageFile(baseNoExt = '') {
@@ -147,6 +242,11 @@ function toLocalImageWebPath(filePath = '') {
   return `/data/${rel}`;
 }
 
+function localImageFilePath(webPath = '') {
+  const rel = String(webPath || '').replace(/^\/data\//, '');
+  return path.join(LEGACY_DATA_DIR, ...rel.split('/'));
+}
+
 function uniqueStrings(values = []) {
   const out = [];
   const seen = new Set();
@@ -212,14 +312,15 @@ async function localizeVisibleListingImages(listings = [], config = {}) {
 
   const urlToLocal = new Map();
   const maxPerListing = resolveMaxArchivedImagesPerListing(config);
+  const concurrency = Math.max(1, Number(config?.network?.listingConcurrency ?? 4));
 
-  for (const item of listings) {
+  await mapWithConcurrency(listings, concurrency, async (item) => {
     const preservedLocal = localImageUrlsFromItem(item);
     const remoteUrls = remoteImageUrlsFromItem(item).slice(0, maxPerListing);
 
     if (!remoteUrls.length) {
       applyListingImageFields(item, { localUrls: preservedLocal, remoteUrls: [] });
-      continue;
+      return;
     }
 
     const localized = [];
@@ -259,6 +360,31 @@ async function localizeVisibleListingImages(listings = [], config = {}) {
       localUrls: [...preservedLocal, ...localized].slice(0, maxPerListing),
       remoteUrls
     });
+  });
+}
+
+// Perceptual hash of every archived photo (`imageHashes`), cached by file name
+// since an archived file is never rewritten. Formats the decoder does not
+// handle are cached as null; unreadable files are retried next scan.
+async function hashArchivedImages(listings = [], cache = {}) {
+  for (const item of listings) {
+    const hashes = [];
+
+    for (const localUrl of localImageUrlsFromItem(item)) {
+      const name = path.basename(localUrl);
+      if (!(name in cache)) {
+        let buffer;
+        try {
+          buffer = await fs.readFile(localImageFilePath(localUrl));
+        } catch {
+          continue;
+        }
+        cache[name] = imageHashFromBuffer(buffer);
+      }
+      if (cache[name]) hashes.push(cache[name]);
+    }
+
+    item.imageHashes = uniqueStrings(hashes);
   }
 }
 
@@ -325,6 +451,20 @@ function publicationEligibility(item, config) {
   };
 }
 
+function applyMoveInEligibility(item, config) {
+  const meta = moveInEligibility(item, config);
+  item.moveInEligible = meta.eligible;
+  item.moveInFilterReason = meta.reason;
+  item.availableFrom = meta.availableFrom;
+  item.availability = meta.availability;
+}
+
+function applyCommuteEligibility(item, config) {
+  const meta = commuteEligibility(item, config);
+  item.commuteEligible = meta.eligible;
+  item.commuteFilterReason = meta.reason;
+}
+
 function locationEligibility() {
   return { eligible: true, reason: '' };
 }
@@ -392,14 +532,22 @@ function inferAreaFromAddressStrict(address = '') {
   return '';
 }
 
+// immobilier.ch cards show "CHF 1'450.-/mois (+ 180.- charges)": the amount
+// is the net rent when charges follow, the only known price otherwise.
 function parsePrice(raw = '') {
   const text = stripTags(raw);
   const rentMatch = text.match(/CHF\s*([\d'\s]+)\.?-?\/?mois/i);
   const chargesMatch = text.match(/\(\+\s*([\d'\s]+)\.?-?\s*charges\)/i);
-  const rentChf = rentMatch ? chfToNumber(rentMatch[1]) : null;
-  const chargesChf = chargesMatch ? chfToNumber(chargesMatch[1]) : 0;
-  const totalChf = rentChf != null ? rentChf + (chargesChf || 0) : null;
-  return { priceRaw: text, rentChf, chargesChf, totalChf };
+  const rent = rentMatch ? chfToNumber(rentMatch[1]) : null;
+  const chargesChf = chargesMatch ? chfToNumber(chargesMatch[1]) : null;
+  return {
+    priceRaw: text,
+    ...completeRentBreakdown({
+      netRentChf: chargesChf != null ? rent : null,
+      chargesChf,
+      totalChf: rent != null ? rent + (chargesChf || 0) : null
+    })
+  };
 }
 
 function toAbsoluteUrl(value = '') {
@@ -420,71 +568,105 @@ function toAbsoluteUrlForHost(value = '', host = '') {
   return `${base}/${clean}`;
 }
 
+// Off-market leads (projects, pension-fund pre-registrations) usually have
+// neither rent nor room count yet: score them on stage and delivery instead.
+function isOffMarketLead(item = {}) {
+  return String(item?.listingStage || '').toLowerCase() === 'off_market'
+    && item.totalChf == null
+    && toPositiveNumber(item.rooms) == null;
+}
+
+function scoreOffMarketLead(item, model, referenceDate = new Date()) {
+  const { labels } = model;
+  const reasons = [`${labels.budget}: 0 (lead sans loyer annoncé)`, `${labels.rooms}: 0 (typologie pas encore connue)`];
+  const yearMatch = String(item?.deliveryText || '').match(/\b(20\d{2})\b/);
+
+  if (!yearMatch) {
+    reasons.push(`${labels.delivery}: 0 (date inconnue)`);
+    return { score: 0, reasons };
+  }
+
+  const yearsAhead = Number(yearMatch[1]) - referenceDate.getFullYear();
+  if (yearsAhead <= 1) {
+    const points = model.delivery.withinOneYearPoints;
+    reasons.push(`${labels.delivery}: ${formatPoints(points)} (${item.deliveryText})`);
+    return { score: points, reasons };
+  }
+
+  reasons.push(`${labels.delivery}: +0 (${item.deliveryText})`);
+  return { score: 0, reasons };
+}
+
 function computeScore(item, config) {
   const budget = config.filters?.maxTotalChf ?? 1400;
   const minRooms = config.filters?.minRoomsPreferred ?? 2;
+  const model = resolveScoringModel(config);
+  const { labels } = model;
   let score = 0;
   const reasons = [];
 
   const listingStage = String(item?.listingStage || '').toLowerCase();
   if (listingStage === 'off_market') {
-    score += 20;
-    reasons.push('Stage: +20 (signal off-market)');
+    score += model.stage.offMarket;
+    reasons.push(`${labels.stage}: ${formatPoints(model.stage.offMarket)} (signal off-market)`);
   } else if (listingStage === 'early_market') {
-    score += 8;
-    reasons.push('Stage: +8 (direct régie)');
+    score += model.stage.earlyMarket;
+    reasons.push(`${labels.stage}: ${formatPoints(model.stage.earlyMarket)} (direct régie)`);
   }
 
-  if (item.totalChf != null) {
-    const total = Number(item.totalChf);
-
-    if (total <= budget) {
-      score += 45;
-      reasons.push(`Budget: +45 (<= CHF ${budget})`);
+  if (isOffMarketLead(item)) {
+    const lead = scoreOffMarketLead(item, model);
+    score += lead.score;
+    reasons.push(...lead.reasons);
+  } else {
+    const rentBasis = resolveRentBasis(config);
+    const rent = budgetRentChf(item, rentBasis);
+    const basisNote = rentBasis === 'net'
+      ? `, ${rentBasisLabel(rentBasis)}`
+      : (toPositiveNumber(item.parkingChf) != null ? ', parking obligatoire compris' : '');
+
+    if (rent != null) {
+      if (rent <= budget) {
+        score += model.budget.withinPoints;
+        reasons.push(`${labels.budget}: ${formatPoints(model.budget.withinPoints)} (<= CHF ${budget}${basisNote})`);
+      } else {
+        const over = rent - budget;
+        const budgetScore = overBudgetPoints(over, model);
+        score += budgetScore;
+        reasons.push(`${labels.budget}: ${formatPoints(budgetScore)} (CHF +${Math.round(over)} au-dessus du budget${basisNote})`);
+      }
     } else {
-      const over = total - budget;
-      const penalty = Math.max(1, Math.floor(Math.pow(over / 50, 1.12)));
-      const budgetScore = Math.max(-20, 45 - penalty);
-      score += budgetScore;
-      reasons.push(`Budget: ${budgetScore >= 0 ? '+' : ''}${budgetScore} (CHF +${Math.round(over)} au-dessus du budget)`);
+      reasons.push(`${labels.budget}: 0 (loyer total inconnu)`);
     }
-  } else {
-    reasons.push('Budget: 0 (loyer total inconnu)');
-  }
 
-  const rooms = item.rooms ?? 0;
-  if (rooms >= minRooms) {
-    score += 30;
-    reasons.push(`Pièces: +30 (${rooms} >= ${minRooms})`);
-  } else if (rooms >= 1.5) {
-    score += 15;
-    reasons.push(`Pièces: +15 (${rooms}, sous le minimum)`);
-  } else {
-    score += 5;
-    reasons.push(`Pièces: +5 (petite surface)`);
-  }
+    const rooms = item.rooms ?? 0;
+    if (rooms >= minRooms) {
+      score += model.rooms.atLeastMinPoints;
+      reasons.push(`${labels.rooms}: ${formatPoints(model.rooms.atLeastMinPoints)} (${rooms} >= ${minRooms})`);
+    } else if (rooms >= model.rooms.belowMinFloorRooms) {
+      score += model.rooms.belowMinPoints;
+      reasons.push(`${labels.rooms}: ${formatPoints(model.rooms.belowMinPoints)} (${rooms}, sous le minimum)`);
+    } else {
+      score += model.rooms.smallPoints;
+      reasons.push(`${labels.rooms}: ${formatPoints(model.rooms.smallPoints)} (petite surface)`);
+    }
 
-  if (/studio/i.test(item.objectType || '')) {
-    score -= 4;
-    reasons.push('Type: -4 (studio)');
+    if (model.studioPenalty && /studio/i.test(item.objectType || '')) {
+      score -= model.studioPenalty;
+      reasons.push(`${labels.type}: ${formatPoints(-model.studioPenalty)} (studio)`);
+    }
   }
 
   const areaKey = normalizeAreaToken(item.area || '');
-  if (areaKey === 'vevey') {
-    score += 5;
-    reasons.push('Zone: +5 (Vevey)');
-  }
-  if (areaKey === 'la tour peilz') {
-    score += 4;
-    reasons.push('Zone: +4 (La Tour-de-Peilz)');
+  for (const zone of model.zoneBonuses) {
+    if (!areaKey || normalizeAreaToken(zone.area) !== areaKey) continue;
+    score += zone.points;
+    reasons.push(`${labels.zone}: ${formatPoints(zone.points)} (${zone.area})`);
   }
-  if (areaKey === 'corseaux') {
-    score += 4;
-    reasons.push('Zone: +4 (Corseaux)');
-  }
-  if (areaKey === 'corsier sur vevey') {
-    score += 4;
-    reasons.push('Zone: +4 (Corsier-sur-Vevey)');
+
+  for (const amenity of amenityPoints(item.amenities, model)) {
+    score += amenity.points;
+    reasons.push(`${labels.amenities}: ${formatPoints(amenity.points)} (${amenity.label})`);
   }
 
   const transit = toPositiveNumber(item.transitMinutes);
@@ -492,17 +674,16 @@ function computeScore(item, config) {
   const referenceTravel = transit ?? drive;
 
   if (referenceTravel != null) {
-    const over = Math.max(0, referenceTravel - 30);
-    const malus = Math.floor(over / 5);
+    const malus = travelMalus(referenceTravel, model);
 
     if (malus > 0) {
       score -= malus;
-      reasons.push(`Trajet Liip: -${malus} (${Math.round(referenceTravel)} min, -1 pt / 5 min au-delà de 30)`);
+      reasons.push(`${labels.travel}: -${malus} (${Math.round(referenceTravel)} min, -1 pt / ${model.travel.minutesPerPoint} min au-delà de ${model.travel.freeMinutes})`);
     } else {
-      reasons.push(`Trajet Liip: +0 (${Math.round(referenceTravel)} min)`);
+      reasons.push(`${labels.travel}: +0 (${Math.round(referenceTravel)} min)`);
     }
   } else {
-    reasons.push('Trajet Liip: 0 (durée inconnue)');
+    reasons.push(`${labels.travel}: 0 (durée inconnue)`);
   }
 
   return { score, reasons };
@@ -618,6 +799,19 @@ function parseMoveInDateFromObjectApi(payload) {
   return null;
 }
 
+// The availability line as written ("Disponibilité : de suite", "Date
+// d'entrée : à convenir"), for the move-in filter.
+function parseAvailabilityTextFromObjectApi(payload) {
+  const extraProperties = Array.isArray(payload?.extraProperties) ? payload.extraProperties : [];
+
+  for (const line of extraProperties) {
+    const clean = stripTags(String(line || '')).replace(/\s+/g, ' ').trim();
+    if (/(date\s+d['']?entr(?:é|e)e|disponibilit(?:é|e)|disponible)/i.test(clean)) return clean;
+  }
+
+  return null;
+}
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -772,7 +966,8 @@ async function fetchTransitMinutes(workAddress, listingAddress, routeCache) {
   }
 }
 
-let lastGeocodeRequestAt = 0;
+// Concurrent listings often share an address; share the pending lookup too.
+const geocodeInFlight = new Map();
 
 function toFiniteCoordinate(value) {
   if (value == null) return null;
@@ -782,6 +977,13 @@ function toFiniteCoordinate(value) {
   return Number.isFinite(n) ? n : null;
 }
 
+function parseLatLon(latValue, lonValue) {
+  const lat = toFiniteCoordinate(latValue);
+  const lon = toFiniteCoordinate(lonValue);
+  if (lat == null || lon == null) return null;
+  return { lat, lon };
+}
+
 async function geocodeAddress(query, geocodeCache) {
   if (!query) return null;
 
@@ -795,23 +997,22 @@ async function geocodeAddress(query, geocodeCache) {
     }
   }
 
-  const parseLatLon = (latValue, lonValue) => {
-    const lat = toFiniteCoordinate(latValue);
-    const lon = toFiniteCoordinate(lonValue);
-    if (lat == null || lon == null) return null;
-    return { lat, lon };
-  };
+  if (geocodeInFlight.has(key)) return geocodeInFlight.get(key);
 
-  const elapsed = Date.now() - lastGeocodeRequestAt;
-  if (elapsed < 1100) {
-    await sleep(1100 - elapsed);
+  const pending = lookupGeocode(query, key, geocodeCache);
+  geocodeInFlight.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    geocodeInFlight.delete(key);
   }
+}
 
+async function lookupGeocode(query, key, geocodeCache) {
   try {
     const payload = await fetchJson(
       `https://nominatim.openstreetmap.org/search?format=jsonv2&limit=1&q=${encodeURIComponent(query)}`
     );
-    lastGeocodeRequestAt = Date.now();
 
     if (Array.isArray(payload) && payload.length) {
       const point = parseLatLon(payload[0]?.lat, payload[0]?.lon);
@@ -895,17 +1096,32 @@ function mergeNotesWithEntryDate(notes = '', moveInDate = null) {
   return current ? `${current}\n${line}`.trim() : line;
 }
 
-async function fetchMoveInDate(objectId) {
-  if (!objectId) return { fetched: false, date: null };
+// Amenities and rent details from the object API: the free-text description
+// plus the "extra properties" lines (Balcon, Ascenseur, Place de parc
+// obligatoire CHF 120.-, ...).
+function objectApiTexts(payload) {
+  const extraProperties = Array.isArray(payload?.extraProperties) ? payload.extraProperties : [];
+  return [payload?.title, payload?.description, ...extraProperties].map((x) => stripTags(String(x || '')));
+}
+
+function parseAmenitiesFromObjectApi(payload) {
+  return extractAmenities(objectApiTexts(payload));
+}
+
+async function fetchObjectDetails(objectId) {
+  if (!objectId) return { fetched: false, date: null, availabilityText: null, amenities: {}, rent: {} };
 
   try {
     const payload = await fetchJson(`https://www.immobilier.ch/api/objects/${objectId}?lang=fr`);
     return {
       fetched: true,
-      date: parseMoveInDateFromObjectApi(payload)
+      date: parseMoveInDateFromObjectApi(payload),
+      availabilityText: parseAvailabilityTextFromObjectApi(payload),
+      amenities: parseAmenitiesFromObjectApi(payload),
+      rent: parseRentBreakdownText(objectApiTexts(payload))
     };
   } catch {
-    return { fetched: false, date: null };
+    return { fetched: false, date: null, availabilityText: null, amenities: {}, rent: {} };
   }
 }
 
@@ -932,7 +1148,9 @@ async function isListingUrlStillLive(url) {
           return false;
         }
         return true;
-      } catch {
+      } catch (err) {
+        // Not recorded in the replayed cassette: unknown, keep the listing.
+        if (isCassetteMiss(err)) return true;
         // API error (404, network) — treat as removed since we know the page
         // shell persists even after removal
         return false;
@@ -971,7 +1189,7 @@ async function isListingUrlStillLive(url) {
 }
 
 function fetchHtml(url) {
-  return new Promise((resolve, reject) => {
+  return scheduledRequest('html', url, () => new Promise((resolve, reject) => {
     const req = https.get(
       url,
       {
@@ -1000,11 +1218,11 @@ function fetchHtml(url) {
     req.setTimeout(20000, () => {
       req.destroy(new Error(`Timeout on ${url}`));
     });
-  });
+  }));
 }
 
 function fetchJson(url) {
-  return new Promise((resolve, reject) => {
+  return scheduledRequest('json', url, () => new Promise((resolve, reject) => {
     const req = https.get(
       url,
       {
@@ -1037,11 +1255,13 @@ function fetchJson(url) {
     req.setTimeout(20000, () => {
       req.destroy(new Error(`Timeout on ${url}`));
     });
-  });
+  }));
 }
 
-function fetchHtmlWithRedirects(url, maxRedirects = 5) {
-  return new Promise((resolve, reject) => {
+// One scheduled request per hop, so a redirect never waits on a slot held by
+// the request that produced it.
+function requestHtmlOnce(url) {
+  return scheduledRequest('html-hop', url, () => new Promise((resolve, reject) => {
     const req = https.get(
       url,
       {
@@ -1051,36 +1271,13 @@ function fetchHtmlWithRedirects(url, maxRedirects = 5) {
           accept: 'text/html,application/xhtml+xml'
         }
       },
-      async (res) => {
+      (res) => {
         let raw = '';
         res.on('data', (chunk) => {
           raw += chunk;
         });
-        res.on('end', async () => {
-          const code = Number(res.statusCode || 0);
-
-          if (code >= 300 && code < 400 && res.headers.location) {
-            if (maxRedirects <= 0) {
-              reject(new Error(`Too many redirects on ${url}`));
-              return;
-            }
-
-            try {
-              const nextUrl = new URL(res.headers.location, url).toString();
-              const redirected = await fetchHtmlWithRedirects(nextUrl, maxRedirects - 1);
-              resolve(redirected);
-            } catch (err) {
-              reject(err);
-            }
-            return;
-          }
-
-          if (code >= 400) {
-            reject(new Error(`HTTP ${code} on ${url}`));
-            return;
-          }
-
-          resolve({ html: raw, finalUrl: url, statusCode: code });
+        res.on('end', () => {
+          resolve({ html: raw, statusCode: Number(res.statusCode || 0), location: res.headers.location || null });
         });
       }
     );
@@ -1089,7 +1286,29 @@ function fetchHtmlWithRedirects(url, maxRedirects = 5) {
     req.setTimeout(30000, () => {
       req.destroy(new Error(`Timeout on ${url}`));
     });
-  });
+  }));
+}
+
+async function fetchHtmlWithRedirects(url, maxRedirects = 5) {
+  let currentUrl = url;
+
+  for (let hop = 0; ; hop += 1) {
+    const { html, statusCode: code, location } = await requestHtmlOnce(currentUrl);
+
+    if (code >= 300 && code < 400 && location) {
+      if (hop >= maxRedirects) {
+        throw new Error(`Too many redirects on ${currentUrl}`);
+      }
+      currentUrl = new URL(location, currentUrl).toString();
+      continue;
+    }
+
+    if (code >= 400) {
+      throw new Error(`HTTP ${code} on ${currentUrl}`);
+    }
+
+    return { html, finalUrl: currentUrl, statusCode: code };
+  }
 }
 
 function shouldRetryAnibisRequest(err) {
@@ -1252,11 +1471,10 @@ function parseAnibisListing(raw, fallbackAreaLabel = '') {
     rooms,
     surfaceM2,
     priceRaw: formattedPriceText,
-    rentChf: totalChf,
-    chargesChf: 0,
-    totalChf,
+    ...applyRentBreakdown({ totalChf }, parseRentBreakdownText([description])),
     imageUrl: imageUrls[0] || null,
     imageUrls,
+    amenities: extractAmenities([title, description]),
     source: 'anibis.ch',
     publishedAt: raw?.timestamp || null
   };
@@ -1321,7 +1539,7 @@ async function scrapeAnibisQuery(query, fallbackAreaLabel = '', maxPages = 2, re
       const pageData = parseAnibisSearchDataFromHtml(pageRes.html);
       parsePageData(pageData);
     } catch (err) {
-      console.error(`WARN anibis query="${query}" page=${page}: ${err.message}`);
+      warnScan(`anibis query="${query}" page=${page}: ${err.message}`);
     }
   }
 
@@ -1347,15 +1565,14 @@ async function scrapeAnibisListings(config) {
 
     const query = `${areaLabel} ${querySuffix}`.trim();
 
-    try {
-      const listings = await scrapeAnibisQuery(query, areaLabel, maxPagesPerArea, requestOptions);
-      for (const item of listings) {
-        if (!isTargetAreaCity(item.area || '', targetAreaSet)) continue;
-        out.push(item);
+    await scanHealth.withArea(areaLabel, async () => {
+      try {
+        const listings = await scrapeAnibisQuery(query, areaLabel, maxPagesPerArea, requestOptions);
+        out.push(...keepTargetAreaItems(listings, targetAreaSet));
+      } catch (err) {
+        warnScan(`anibis area="${areaLabel}": ${err.message}`);
       }
-    } catch (err) {
-      console.error(`WARN anibis area="${areaLabel}": ${err.message}`);
-    }
+    });
   }
 
   return out;
@@ -1398,27 +1615,31 @@ function parseListingsFromHtml(html, areaLabel) {
     const inferredArea = inferAreaFromAddress(address, areaLabel);
     const agencyUrl = toAbsoluteUrlForHost(agencyLinkMatch?.[1] || '', 'https://www.immobilier.ch');
     const agencyName = stripTags(agencyAltMatch?.[1] || '');
-    const { priceRaw, rentChf, chargesChf, totalChf } = parsePrice(titlePriceMatch?.[1] || '');
+    const { priceRaw, netRentChf, chargesChf, parkingChf, totalChf } = parsePrice(titlePriceMatch?.[1] || '');
+
+    const title = slugToTitle(href);
 
     out.push({
       id,
       sourceId: id,
       url,
-      title: slugToTitle(href),
+      title,
       objectType,
       address,
       area: inferredArea,
       rooms,
       surfaceM2,
       priceRaw,
-      rentChf,
+      netRentChf,
       chargesChf,
+      parkingChf,
       totalChf,
       imageUrl,
       imageUrls,
       agencyName: agencyName || null,
       agencyUrl: agencyUrl || null,
       providerName: agencyName || null,
+      amenities: extractAmenities([title, objectType]),
       source: 'immobilier.ch',
       publishedAt: null
     });
@@ -1522,6 +1743,13 @@ function isTargetAreaCity(city = '', targetAreaSet) {
   return targetAreaSet.has(key);
 }
 
+// Area filter shared by the scrapers; also feeds parsed/kept to the scan report.
+function keepTargetAreaItems(items = [], targetAreaSet) {
+  const kept = items.filter((item) => isTargetAreaCity(item?.area || '', targetAreaSet));
+  scanHealth.recordItems(items.length, kept.length);
+  return kept;
+}
+
 function resolveImmobilierCanton(area = {}, config = {}) {
   const explicit = String(area?.canton || config?.canton || '').trim().toLowerCase();
   if (explicit) return explicit;
@@ -1651,6 +1879,46 @@ async function resolveImmobilierSlugForArea(area = {}, config = {}) {
   return candidates[0] || fallback;
 }
 
+async function scrapeImmobilierListings(config) {
+  const out = [];
+  const targetAreaSet = buildTargetAreaSet(config?.areas || []);
+
+  for (const area of config?.areas || []) {
+    const canton = resolveImmobilierCanton(area, config);
+    const areaLabel = String(area?.label || '').trim();
+    const configuredSlug = normalizeSlugCandidate(area?.slug || '');
+
+    await scanHealth.withArea(areaLabel, async () => {
+      const immobilierSlug = await resolveImmobilierSlugForArea(area, config);
+
+      if (immobilierSlug && configuredSlug && immobilierSlug !== configuredSlug) {
+        console.log(`INFO immobilier slug auto-resolved for "${areaLabel}": ${configuredSlug} -> ${immobilierSlug}`);
+      }
+
+      for (let page = 1; page <= (config.pagesPerArea || 1); page++) {
+        const url = `https://www.immobilier.ch/fr/louer/appartement/${canton}/${immobilierSlug || configuredSlug}/page-${page}`;
+        try {
+          const html = await fetchHtml(url);
+          out.push(...keepTargetAreaItems(parseListingsFromHtml(html, areaLabel), targetAreaSet));
+        } catch (err) {
+          warnScan(`${url}: ${err.message}`);
+        }
+      }
+    });
+  }
+
+  return out;
+}
+
+async function enrichImmobilierListing(item) {
+  const details = await fetchObjectDetails(item.sourceId || item.id);
+  item.entryDateText = details.date;
+  item.entryDateFetched = details.fetched;
+  if (details.fetched) item.availabilityText = details.availabilityText;
+  item.amenities = mergeAmenities(details.amenities, item.amenities);
+  applyRentBreakdown(item, details.rent);
+}
+
 function resolveFlatfoxAreaTokens(areas = []) {
   const tokens = new Set();
 
@@ -1685,6 +1953,22 @@ function parseFlatfoxPriceFromText(text = '') {
   return toPositiveNumber(chfToNumber(m[1] || ''));
 }
 
+// Flatfox `attributes[].name` → amenity key. Only present attributes are listed.
+const FLATFOX_AMENITY_ATTRIBUTES = {
+  balconygarden: 'balcony',
+  balcony: 'balcony',
+  garden: 'garden',
+  lift: 'lift',
+  parkingspace: 'parking',
+  garage: 'parking',
+  washingmachine: 'washingMachine',
+  dishwasher: 'dishwasher',
+  view: 'view',
+  petsallowed: 'petsAllowed',
+  fireplace: 'fireplace',
+  wheelchairaccessible: 'wheelchairAccessible'
+};
+
 function parseFlatfoxListing(raw, fallbackAreaLabel = '') {
   const sourceId = String(raw?.pk || '').trim();
   if (!sourceId) return null;
@@ -1698,13 +1982,16 @@ function parseFlatfoxListing(raw, fallbackAreaLabel = '') {
 
   const surfaceM2 = toPositiveNumber(raw?.surface_living) ?? toPositiveNumber(raw?.space_display);
 
-  const rentChf = toPositiveNumber(raw?.rent_net);
-  const chargesChf = toPositiveNumber(raw?.rent_charges) ?? 0;
+  const description = stripTags(raw?.description || '');
   const gross = toPositiveNumber(raw?.rent_gross);
   const priceDisplay = toPositiveNumber(raw?.price_display);
   const textPrice = parseFlatfoxPriceFromText(raw?.public_title || raw?.description_title || raw?.short_title || '');
-  const computedFromNet = rentChf != null ? rentChf + (chargesChf || 0) : null;
-  const totalChf = gross ?? priceDisplay ?? computedFromNet ?? textPrice;
+  const rent = applyRentBreakdown(completeRentBreakdown({
+    netRentChf: toPositiveNumber(raw?.rent_net),
+    chargesChf: toPositiveNumber(raw?.rent_charges),
+    totalChf: gross
+  }), parseRentBreakdownText([description]));
+  const totalChf = rent.totalChf ?? priceDisplay ?? textPrice;
 
   const city = String(raw?.city || fallbackAreaLabel || '').trim();
   const street = String(raw?.street || '').trim();
@@ -1731,6 +2018,13 @@ function parseFlatfoxListing(raw, fallbackAreaLabel = '') {
 
   const url = toAbsoluteUrlForHost(raw?.url || raw?.short_url || '', 'https://flatfox.ch');
   const title = stripTags(raw?.description_title || raw?.short_title || slugToTitle(raw?.slug || '') || 'Appartement');
+  const attributeNames = (Array.isArray(raw?.attributes) ? raw.attributes : [])
+    .map((attribute) => String(attribute?.name || attribute || '').toLowerCase())
+    .filter(Boolean);
+  const amenities = extractAmenities(
+    [title, description],
+    amenitiesFromFields(Object.fromEntries(attributeNames.map((name) => [name, true])), FLATFOX_AMENITY_ATTRIBUTES)
+  );
 
   return {
     id: `flatfox:${sourceId}`,
@@ -1743,14 +2037,16 @@ function parseFlatfoxListing(raw, fallbackAreaLabel = '') {
     rooms,
     surfaceM2,
     priceRaw: raw?.public_title || (totalChf != null ? `CHF ${totalChf}/mois` : ''),
-    rentChf,
-    chargesChf,
+    netRentChf: rent.netRentChf,
+    chargesChf: rent.chargesChf,
+    parkingChf: rent.parkingChf,
     totalChf,
     imageUrl: imageUrls[0] || null,
     imageUrls,
     agencyName: agencyName || null,
     agencyUrl: null,
     providerName: agencyName || null,
+    amenities,
     source: 'flatfox.ch',
     movingDateRaw: raw?.moving_date || null,
     publishedAt: raw?.published || raw?.created || null
@@ -1788,153 +2084,473 @@ async function scrapeFlatfoxListings(config) {
   const maxPages = Math.max(1, Number(config?.flatfox?.maxPagesPerArea ?? 3));
 
   for (const token of tokens) {
-    try {
-      const items = await scrapeFlatfoxPopularArea(token, '', maxPages);
-      for (const item of items) {
-        if (!isTargetAreaCity(item.area || '', targetAreaSet)) continue;
-        out.push(item);
+    await scanHealth.withArea(token, async () => {
+      try {
+        const items = await scrapeFlatfoxPopularArea(token, '', maxPages);
+        out.push(...keepTargetAreaItems(items, targetAreaSet));
+      } catch (err) {
+        warnScan(`flatfox area=${token}: ${err.message}`);
       }
-    } catch (err) {
-      console.error(`WARN flatfox area=${token}: ${err.message}`);
-    }
+    });
   }
 
   return out;
 }
 
-function extractJsonArrayVariable(html = '', variableName = '') {
-  const varToken = `var ${variableName}`;
-  const idx = String(html || '').indexOf(varToken);
-  if (idx < 0) return null;
-
-  const start = String(html || '').indexOf('[', idx);
-  if (start < 0) return null;
-
-  let depth = 0;
-  let inString = false;
-  let quote = '';
-  let escaped = false;
-
-  for (let i = start; i < html.length; i += 1) {
-    const ch = html[i];
-
-    if (inString) {
-      if (escaped) {
-        escaped = false;
-        continue;
-      }
-      if (ch === '\\') {
-        escaped = true;
-        continue;
-      }
-      if (ch === quote) {
-        inString = false;
-        quote = '';
-      }
-      continue;
-    }
-
-    if (ch === '"' || ch === "'") {
-      inString = true;
-      quote = ch;
-      continue;
-    }
+const IMMOSCOUT24_BASE_URL = 'https://www.immoscout24.ch';
+const IMMOSCOUT24_APARTMENT_CATEGORIES = new Set([
+  'APARTMENT', 'FLAT', 'DUPLEX', 'ATTIC', 'ROOF_FLAT', 'STUDIO', 'TERRACE_FLAT', 'LOFT', 'MAISONETTE'
+]);
 
-    if (ch === '[') {
-      depth += 1;
-      continue;
-    }
+function parseImmoScout24StateFromHtml(html = '') {
+  const match = String(html || '').match(/window\.__INITIAL_STATE__\s*=\s*(\{[\s\S]*?\})\s*;?\s*<\/script>/);
+  if (!match?.[1]) return null;
 
-    if (ch === ']') {
-      depth -= 1;
-      if (depth === 0) {
-        return html.slice(start, i + 1);
-      }
-    }
+  try {
+    // The state is a JS literal, not strict JSON: `undefined` shows up for empty fields.
+    return JSON.parse(match[1].replace(/:\s*undefined\b/g, ':null'));
+  } catch {
+    return null;
   }
-
-  return null;
 }
 
-function parseNaefListing(raw, fallbackAreaLabel = '') {
-  const sourceId = String(raw?.no_dossier || '').trim();
-  if (!sourceId) return null;
-
-  const naefTypeCode = String(raw?.type_code || '').trim().toUpperCase();
-  // Keep apartments only (Naef feed includes parking/commercial objects too).
-  if (naefTypeCode !== 'APP') return null;
+function resolveImmoScout24SearchResult(state) {
+  const result = state?.resultList?.search?.fullSearch?.result;
+  if (!result || !Array.isArray(result.listings)) return null;
+  return result;
+}
 
-  const typeText = `${raw?.type_designation_fr || ''} ${raw?.type_code || ''} ${raw?.intitule_plaquette || ''}`.toLowerCase();
-  if (/parking|garage|depot|dépôt|surface|bureau|commerce|arcade|atelier|immeuble|terrain/.test(typeText)) {
-    return null;
-  }
+function resolveImmoScout24AreaSlug(area = {}) {
+  const slug = String(area?.slug || '').trim().toLowerCase().replace(/_/g, '-');
+  if (slug) return slug;
+  return normalizeKeyText(area?.label || '').replace(/\s+/g, '-');
+}
 
-  const rooms = toPositiveNumber(String(raw?.nb_pieces || '').replace(',', '.'))
-    ?? parseRooms(raw?.intitule_plaquette || raw?.type_designation_fr || '');
+function immoScout24SearchUrl(areaSlug, page = 1) {
+  const url = new URL(`/fr/immobilier/louer/lieu-${encodeURIComponent(areaSlug)}`, IMMOSCOUT24_BASE_URL);
+  if (page > 1) url.searchParams.set('pn', String(page));
+  return url.toString();
+}
 
-  const totalChf = toPositiveNumber(raw?.loyer_mensuel_brut) ?? toPositiveNumber(raw?.loyer_mensuel_net);
-  const rentChf = toPositiveNumber(raw?.loyer_mensuel_net) ?? totalChf;
-  const chargesChf = totalChf != null && rentChf != null ? Math.max(0, totalChf - rentChf) : 0;
+// ImmoScout24 `characteristics` flags → amenity key.
+const IMMOSCOUT24_AMENITY_CHARACTERISTICS = {
+  hasBalcony: 'balcony',
+  hasTerrace: 'balcony',
+  hasElevator: 'lift',
+  hasParking: 'parking',
+  hasGarage: 'parking',
+  hasGarden: 'garden',
+  hasNiceView: 'view',
+  arePetsAllowed: 'petsAllowed',
+  hasWashingMachine: 'washingMachine',
+  hasDishwasher: 'dishwasher',
+  hasFireplace: 'fireplace',
+  isWheelchairAccessible: 'wheelchairAccessible'
+};
 
-  const city = String(raw?.adresse_localite || fallbackAreaLabel || '').trim();
-  const postcode = String(raw?.npa || '').trim();
-  const address = [raw?.adresse_rue, [postcode, city].filter(Boolean).join(' ')].map((x) => String(x || '').trim()).filter(Boolean).join(', ');
+function parseImmoScout24Listing(raw, fallbackAreaLabel = '') {
+  const listing = raw?.listing || raw;
+  const sourceId = String(listing?.id || raw?.id || '').trim();
+  if (!sourceId) return null;
 
-  const url = toAbsoluteUrlForHost(raw?.link || '', 'https://www.naef.ch');
-  if (!url || /\/vente\//i.test(url) || /\/location\/(parking|local|commerce|bureau|terrain)\//i.test(url)) return null;
+  if (String(listing?.offerType || '').toUpperCase() !== 'RENT') return null;
+  const categories = (Array.isArray(listing?.categories) ? listing.categories : [])
+    .map((x) => String(x || '').toUpperCase());
+  if (!categories.some((category) => IMMOSCOUT24_APARTMENT_CATEGORIES.has(category))) return null;
+
+  const localization = listing?.localization || {};
+  const localized = localization[localization.primary] || localization.fr || localization.de || {};
+  const title = stripTags(localized?.text?.title || '') || 'Appartement';
+
+  const characteristics = listing?.characteristics || {};
+  const rooms = toPositiveNumber(characteristics.numberOfRooms) ?? parseRooms(title);
+  const surfaceM2 = toPositiveNumber(characteristics.livingSpace);
+
+  const description = stripTags(localized?.text?.description || '');
+  const prices = listing?.prices?.rent || {};
+  const rent = applyRentBreakdown(completeRentBreakdown({
+    netRentChf: toPositiveNumber(prices.net),
+    chargesChf: toPositiveNumber(prices.extra),
+    totalChf: toPositiveNumber(prices.gross)
+  }), parseRentBreakdownText([description]));
+  const { totalChf } = rent;
+
+  const addr = listing?.address || {};
+  const city = String(addr.locality || fallbackAreaLabel || '').trim();
+  const street = String(addr.street || '').trim();
+  const zipcode = addr.postalCode != null ? String(addr.postalCode).trim() : '';
+  const address = [street, [zipcode, city].filter(Boolean).join(' ')].filter(Boolean).join(', ');
 
-  const imageUrls = [...new Set((Array.isArray(raw?.imgs) ? raw.imgs : [])
-    .map((x) => toAbsoluteUrlForHost(x, 'https://www.naef.ch'))
-    .filter(Boolean))].slice(0, 6);
+  const imageUrls = [...new Set(
+    (Array.isArray(localized?.attachments) ? localized.attachments : [])
+      .filter((attachment) => String(attachment?.type || '').toUpperCase() === 'IMAGE')
+      .map((attachment) => toAbsoluteUrlForHost(attachment?.url || '', IMMOSCOUT24_BASE_URL))
+      .filter((url) => url && !url.includes('{'))
+  )].slice(0, 6);
 
-  const publishedAtRaw = String(raw?.date_modification || '').trim();
-  const publishedAt = publishedAtRaw
-    ? new Date(publishedAtRaw.replace(' ', 'T')).toISOString()
-    : null;
+  const agencyName = stripTags(String(raw?.listerBranding?.legalName || raw?.listerBranding?.name || '')).trim();
+  const amenities = extractAmenities(
+    [title, description],
+    amenitiesFromFields(characteristics, IMMOSCOUT24_AMENITY_CHARACTERISTICS)
+  );
+  const citySlug = normalizeKeyText(city).replace(/\s+/g, '-') || 'suisse';
 
   return {
-    id: `naef:${sourceId}`,
+    id: `immoscout24:${sourceId}`,
     sourceId,
-    url,
-    title: stripTags(raw?.intitule_plaquette || raw?.type_designation_fr || 'Appartement'),
-    objectType: stripTags(raw?.type_designation_fr || (rooms != null ? `Appartement ${rooms} pièces` : 'Appartement')),
+    url: `${IMMOSCOUT24_BASE_URL}/fr/d/appartement-louer-${citySlug}/${sourceId}`,
+    title,
+    objectType: rooms != null ? `Appartement ${rooms} pièces` : 'Appartement',
     address,
     area: city,
     rooms,
-    surfaceM2: toPositiveNumber(raw?.surface_habitable),
-    priceRaw: totalChf != null ? `CHF ${Math.round(totalChf)}/mois` : '',
-    rentChf,
-    chargesChf,
+    surfaceM2,
+    priceRaw: totalChf != null ? `CHF ${totalChf}/mois` : '',
+    netRentChf: rent.netRentChf,
+    chargesChf: rent.chargesChf,
+    parkingChf: rent.parkingChf,
     totalChf,
     imageUrl: imageUrls[0] || null,
     imageUrls,
-    agencyName: 'Naef Immobilier',
-    agencyUrl: 'https://www.naef.ch',
-    providerName: 'Naef Immobilier',
-    source: 'naef.ch',
-    listingStage: 'early_market',
-    publishedAt: Number.isFinite(new Date(publishedAt).getTime()) ? publishedAt : null
+    agencyName: agencyName || null,
+    agencyUrl: null,
+    providerName: agencyName || null,
+    amenities,
+    source: 'immoscout24.ch',
+    movingDateRaw: characteristics.availableFrom || listing?.availableFrom || null,
+    publishedAt: listing?.meta?.createdAt || listing?.createdAt || listing?.lastUpdatedAt || null
   };
 }
 
-async function scrapeNaefListings(config) {
+async function scrapeImmoScout24Area(areaSlug, fallbackAreaLabel = '', maxPages = 3) {
   const out = [];
-  const targetAreaSet = buildTargetAreaSet(config?.areas || []);
+  let pageCount = maxPages;
+
+  for (let page = 1; page <= pageCount; page += 1) {
+    const html = await fetchHtml(immoScout24SearchUrl(areaSlug, page));
+    const result = resolveImmoScout24SearchResult(parseImmoScout24StateFromHtml(html));
+    if (!result || !result.listings.length) break;
+
+    for (const entry of result.listings) {
+      const parsed = parseImmoScout24Listing(entry, fallbackAreaLabel);
+      if (parsed) out.push(parsed);
+    }
+
+    const totalPages = Number(result.pageCount);
+    if (Number.isFinite(totalPages) && totalPages > 0) pageCount = Math.min(maxPages, totalPages);
+  }
+
+  return out;
+}
+
+async function scrapeImmoScout24Listings(config) {
+  const out = [];
+  const areas = Array.isArray(config?.areas) ? config.areas : [];
+  const targetAreaSet = buildTargetAreaSet(areas);
+  const maxPages = Math.max(1, Number(config?.immoscout24?.maxPagesPerArea ?? 3));
+
+  for (const area of areas) {
+    const areaSlug = resolveImmoScout24AreaSlug(area);
+    if (!areaSlug) continue;
+
+    const areaLabel = String(area?.label || '').trim();
+    await scanHealth.withArea(areaLabel || areaSlug, async () => {
+      try {
+        const items = await scrapeImmoScout24Area(areaSlug, areaLabel, maxPages);
+        out.push(...keepTargetAreaItems(items, targetAreaSet));
+      } catch (err) {
+        warnScan(`immoscout24 area=${areaSlug}: ${err.message}`);
+      }
+    });
+  }
+
+  return out;
+}
+
+const NEWHOME_BASE_URL = 'https://www.newhome.ch';
+const NEWHOME_DEFAULT_SEARCH_URL = 'https://www.newhome.ch/fr/louer/rechercher/appartement/lieu-{slug}/liste';
+const REGIE_NAME_RE = /r[ée]gie|g[ée]rance|immobili|fiduciaire|property|verwaltung|treuhand/i;
+
+function parseNewhomeSearchDataFromHtml(html = '') {
+  const nextDataMatch = String(html || '').match(/<script id="__NEXT_DATA__" type="application\/json">([\s\S]*?)<\/script>/);
+  if (!nextDataMatch?.[1]) return null;
 
   try {
-    const html = await fetchHtml('https://www.naef.ch/louer/appartements-maisons/');
-    const jsonArray = extractJsonArrayVariable(html, 'all_db_datas');
-    if (!jsonArray) return out;
-
-    const entries = JSON.parse(jsonArray);
-    for (const raw of entries) {
-      const parsed = parseNaefListing(raw);
-      if (!parsed) continue;
-      if (!isTargetAreaCity(parsed.area || '', targetAreaSet)) continue;
-      out.push(parsed);
+    return JSON.parse(nextDataMatch[1])?.props?.pageProps || null;
+  } catch {
+    return null;
+  }
+}
+
+// The search page props have moved around between newhome releases; rather than
+// pin one path, look for the first array whose entries look like listings.
+function findNewhomeListingArray(node, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 8) return null;
+
+  if (Array.isArray(node)) {
+    const looksLikeListings = node.length > 0 && node.every((entry) => (
+      entry && typeof entry === 'object' && (entry.id != null || entry.immocode != null)
+      && (entry.price != null || entry.rent != null || entry.rooms != null || entry.livingSpace != null)
+    ));
+    if (looksLikeListings) return node;
+  }
+
+  for (const value of Object.values(node)) {
+    const found = findNewhomeListingArray(value, depth + 1);
+    if (found) return found;
+  }
+
+  return null;
+}
+
+function resolveNewhomeListingStage(raw) {
+  const offerer = raw?.offerer || raw?.provider || raw?.contact || {};
+  const type = String(offerer?.type || raw?.offererType || '').toLowerCase();
+  const name = String(offerer?.name || offerer?.company || '').trim();
+
+  if (/private|privat|owner/.test(type)) return 'portal_market';
+  if (/agency|agence|regie|régie|broker|company/.test(type)) return 'early_market';
+  return REGIE_NAME_RE.test(name) ? 'early_market' : 'portal_market';
+}
+
+function parseNewhomeListing(raw, fallbackAreaLabel = '') {
+  const sourceId = String(raw?.immocode || raw?.id || '').trim();
+  if (!sourceId) return null;
+
+  const offerType = String(raw?.offerType || raw?.transactionType || 'rent').toLowerCase();
+  if (!/rent|miete|louer|location/.test(offerType)) return null;
+
+  const title = stripTags(raw?.title || raw?.headline || '') || 'Appartement';
+  const rooms = toPositiveNumber(String(raw?.rooms ?? raw?.numberOfRooms ?? '').replace(',', '.')) ?? parseRooms(title);
+  const surfaceM2 = toPositiveNumber(raw?.livingSpace ?? raw?.surface);
+
+  const description = stripTags(raw?.description || raw?.text || '');
+  const price = raw?.price && typeof raw.price === 'object' ? raw.price : {};
+  const rent = applyRentBreakdown(completeRentBreakdown({
+    netRentChf: toPositiveNumber(price.net ?? raw?.netRent),
+    chargesChf: toPositiveNumber(price.charges ?? price.additionalCosts ?? raw?.additionalCosts),
+    parkingChf: toPositiveNumber(price.parking ?? raw?.parkingCosts),
+    totalChf: toPositiveNumber(price.gross ?? raw?.grossRent ?? (typeof raw?.price !== 'object' ? raw?.price : null))
+  }), parseRentBreakdownText([description]));
+  const { totalChf } = rent;
+
+  const location = raw?.address || raw?.location || {};
+  const city = String(location.city || location.locality || fallbackAreaLabel || '').trim();
+  const street = String(location.street || '').trim();
+  const zipcode = location.zip != null ? String(location.zip).trim() : String(location.postalCode || '').trim();
+  const address = [street, [zipcode, city].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+
+  const imageUrls = [...new Set(
+    (Array.isArray(raw?.images) ? raw.images : [])
+      .map((img) => toAbsoluteUrlForHost(typeof img === 'string' ? img : (img?.url || img?.src || ''), NEWHOME_BASE_URL))
+      .filter(Boolean)
+  )].slice(0, 6);
+
+  const offerer = raw?.offerer || raw?.provider || raw?.contact || {};
+  const agencyName = stripTags(String(offerer?.name || offerer?.company || '')).trim();
+  const url = toAbsoluteUrlForHost(raw?.url || raw?.detailUrl || `/fr/louer/appartement/${sourceId}`, NEWHOME_BASE_URL);
+
+  return {
+    id: `newhome:${sourceId}`,
+    sourceId,
+    url,
+    title,
+    objectType: rooms != null ? `Appartement ${rooms} pièces` : 'Appartement',
+    address,
+    area: city,
+    rooms,
+    surfaceM2,
+    priceRaw: totalChf != null ? `CHF ${totalChf}/mois` : '',
+    netRentChf: rent.netRentChf,
+    chargesChf: rent.chargesChf,
+    parkingChf: rent.parkingChf,
+    totalChf,
+    imageUrl: imageUrls[0] || null,
+    imageUrls,
+    agencyName: agencyName || null,
+    agencyUrl: toAbsoluteUrlForHost(offerer?.url || offerer?.website || '', NEWHOME_BASE_URL) || null,
+    providerName: agencyName || null,
+    amenities: extractAmenities([title, description]),
+    source: 'newhome.ch',
+    listingStage: resolveNewhomeListingStage(raw),
+    movingDateRaw: raw?.availableFrom || raw?.availability || null,
+    publishedAt: raw?.publishedAt || raw?.publicationDate || raw?.createdAt || null
+  };
+}
+
+function newhomeSearchUrl(template, area = {}) {
+  const slug = String(area?.slug || '').trim().toLowerCase().replace(/_/g, '-')
+    || normalizeKeyText(area?.label || '').replace(/\s+/g, '-');
+  return slug ? template.replace('{slug}', encodeURIComponent(slug)) : null;
+}
+
+async function scrapeNewhomeListings(config) {
+  const out = [];
+  const areas = Array.isArray(config?.areas) ? config.areas : [];
+  const targetAreaSet = buildTargetAreaSet(areas);
+  const maxPages = Math.max(1, Number(config?.newhome?.maxPagesPerArea ?? 2));
+  const template = String(config?.newhome?.searchUrlTemplate || NEWHOME_DEFAULT_SEARCH_URL);
+
+  for (const area of areas) {
+    const firstUrl = newhomeSearchUrl(template, area);
+    if (!firstUrl) continue;
+    const areaLabel = String(area?.label || '').trim();
+
+    await scanHealth.withArea(areaLabel, async () => {
+      for (let page = 1; page <= maxPages; page += 1) {
+        try {
+          const html = await fetchHtml(withPageParam(firstUrl, page));
+          const listings = findNewhomeListingArray(parseNewhomeSearchDataFromHtml(html)) || [];
+          if (!listings.length) break;
+
+          const items = listings.map((raw) => parseNewhomeListing(raw, areaLabel)).filter(Boolean);
+          out.push(...keepTargetAreaItems(items, targetAreaSet));
+        } catch (err) {
+          warnScan(`newhome area="${areaLabel}" page=${page}: ${err.message}`);
+          break;
+        }
+      }
+    });
+  }
+
+  return out;
+}
+
+function extractJsonArrayVariable(html = '', variableName = '') {
+  const varToken = `var ${variableName}`;
+  const idx = String(html || '').indexOf(varToken);
+  if (idx < 0) return null;
+
+  const start = String(html || '').indexOf('[', idx);
+  if (start < 0) return null;
+
+  let depth = 0;
+  let inString = false;
+  let quote = '';
+  let escaped = false;
+
+  for (let i = start; i < html.length; i += 1) {
+    const ch = html[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+        continue;
+      }
+      if (ch === '\\') {
+        escaped = true;
+        continue;
+      }
+      if (ch === quote) {
+        inString = false;
+        quote = '';
+      }
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      inString = true;
+      quote = ch;
+      continue;
+    }
+
+    if (ch === '[') {
+      depth += 1;
+      continue;
+    }
+
+    if (ch === ']') {
+      depth -= 1;
+      if (depth === 0) {
+        return html.slice(start, i + 1);
+      }
     }
+  }
+
+  return null;
+}
+
+function parseNaefListing(raw, fallbackAreaLabel = '') {
+  const sourceId = String(raw?.no_dossier || '').trim();
+  if (!sourceId) return null;
+
+  const naefTypeCode = String(raw?.type_code || '').trim().toUpperCase();
+  // Keep apartments only (Naef feed includes parking/commercial objects too).
+  if (naefTypeCode !== 'APP') return null;
+
+  const typeText = `${raw?.type_designation_fr || ''} ${raw?.type_code || ''} ${raw?.intitule_plaquette || ''}`.toLowerCase();
+  if (/parking|garage|depot|dépôt|surface|bureau|commerce|arcade|atelier|immeuble|terrain/.test(typeText)) {
+    return null;
+  }
+
+  const rooms = toPositiveNumber(String(raw?.nb_pieces || '').replace(',', '.'))
+    ?? parseRooms(raw?.intitule_plaquette || raw?.type_designation_fr || '');
+
+  const rent = completeRentBreakdown({
+    netRentChf: toPositiveNumber(raw?.loyer_mensuel_net),
+    totalChf: toPositiveNumber(raw?.loyer_mensuel_brut)
+  });
+  const { totalChf } = rent;
+
+  const city = String(raw?.adresse_localite || fallbackAreaLabel || '').trim();
+  const postcode = String(raw?.npa || '').trim();
+  const address = [raw?.adresse_rue, [postcode, city].filter(Boolean).join(' ')].map((x) => String(x || '').trim()).filter(Boolean).join(', ');
+
+  const url = toAbsoluteUrlForHost(raw?.link || '', 'https://www.naef.ch');
+  if (!url || /\/vente\//i.test(url) || /\/location\/(parking|local|commerce|bureau|terrain)\//i.test(url)) return null;
+
+  const imageUrls = [...new Set((Array.isArray(raw?.imgs) ? raw.imgs : [])
+    .map((x) => toAbsoluteUrlForHost(x, 'https://www.naef.ch'))
+    .filter(Boolean))].slice(0, 6);
+
+  const publishedAtRaw = String(raw?.date_modification || '').trim();
+  const publishedAt = publishedAtRaw
+    ? new Date(publishedAtRaw.replace(' ', 'T')).toISOString()
+    : null;
+
+  return {
+    id: `naef:${sourceId}`,
+    sourceId,
+    url,
+    title: stripTags(raw?.intitule_plaquette || raw?.type_designation_fr || 'Appartement'),
+    objectType: stripTags(raw?.type_designation_fr || (rooms != null ? `Appartement ${rooms} pièces` : 'Appartement')),
+    address,
+    area: city,
+    rooms,
+    surfaceM2: toPositiveNumber(raw?.surface_habitable),
+    priceRaw: totalChf != null ? `CHF ${Math.round(totalChf)}/mois` : '',
+    netRentChf: rent.netRentChf,
+    chargesChf: rent.chargesChf,
+    parkingChf: rent.parkingChf,
+    totalChf,
+    imageUrl: imageUrls[0] || null,
+    imageUrls,
+    agencyName: 'Naef Immobilier',
+    agencyUrl: 'https://www.naef.ch',
+    providerName: 'Naef Immobilier',
+    amenities: extractAmenities([raw?.intitule_plaquette, raw?.type_designation_fr, raw?.descriptif_fr].map((x) => stripTags(x || ''))),
+    source: 'naef.ch',
+    listingStage: 'early_market',
+    publishedAt: Number.isFinite(new Date(publishedAt).getTime()) ? publishedAt : null
+  };
+}
+
+function parseNaefListingsFromHtml(html = '') {
+  const jsonArray = extractJsonArrayVariable(html, 'all_db_datas');
+  if (!jsonArray) return [];
+
+  return JSON.parse(jsonArray).map((raw) => parseNaefListing(raw)).filter(Boolean);
+}
+
+async function scrapeNaefListings(config) {
+  const out = [];
+  const targetAreaSet = buildTargetAreaSet(config?.areas || []);
+
+  try {
+    const html = await fetchHtml('https://www.naef.ch/louer/appartements-maisons/');
+    out.push(...keepTargetAreaItems(parseNaefListingsFromHtml(html), targetAreaSet));
   } catch (err) {
-    console.error(`WARN naef source: ${err.message}`);
+    warnScan(`naef source: ${err.message}`);
   }
 
   return out;
@@ -2002,9 +2618,7 @@ async function enrichBernardNicodFromDetail(item) {
 
     if (brut != null) {
       // Format B found — use explicit brut/net/acompte
-      item.totalChf = brut;
-      item.rentChf = net ?? item.rentChf;
-      item.chargesChf = acompte ?? (net != null ? Math.round(brut - net) : 0);
+      Object.assign(item, completeRentBreakdown({ netRentChf: net, chargesChf: acompte, totalChf: brut }));
       item.priceRaw = `CHF ${Math.round(brut)}/mois`;
     } else {
       // Format A fallback — look for separate "Charges:" line
@@ -2012,9 +2626,10 @@ async function enrichBernardNicodFromDetail(item) {
       const chargesBlockMatch = html.match(/Charges\s*:\s*(?:<[^>]*>\s*)*(?:CHF|Fr\.?)\s*([\d'\u2018\u2019`\s.,]+)/i);
       const structuredCharges = chargesBlockMatch ? parseBernardPrice(`CHF ${chargesBlockMatch[1]}`) : null;
       if (structuredCharges != null && structuredCharges > 0) {
-        const rentNet = item.totalChf ?? item.rentChf;
+        // The card price is the net rent in this format.
+        const rentNet = item.netRentChf ?? item.totalChf;
         if (rentNet != null) {
-          item.rentChf = rentNet;
+          item.netRentChf = rentNet;
           item.chargesChf = structuredCharges;
           item.totalChf = rentNet + structuredCharges;
           item.priceRaw = `CHF ${Math.round(item.totalChf)}/mois`;
@@ -2039,6 +2654,10 @@ async function enrichBernardNicodFromDetail(item) {
       item.objectType = `Appartement ${item.rooms} pièces`;
       item.title = item.title || item.objectType;
     }
+
+    const text = stripTags(html.match(/<main\b[\s\S]*?<\/main>/i)?.[0] || html);
+    item.parkingChf = item.parkingChf ?? parseRentBreakdownText([text]).parkingChf;
+    item.amenities = mergeAmenities(extractAmenities([text]), item.amenities);
   } catch (err) {
     // Detail fetch failed — keep card data
   }
@@ -2102,20 +2721,26 @@ function parseBernardNicodPropertyCard(rawTag = '', fallbackAreaLabel = '') {
     rooms,
     surfaceM2,
     priceRaw: stripTags(attrs.price || ''),
-    rentChf: totalChf,
-    chargesChf: 0,
+    netRentChf: null,
+    chargesChf: null,
+    parkingChf: null,
     totalChf,
     imageUrl: imageUrls[0] || null,
     imageUrls,
     agencyName: 'Bernard Nicod',
     agencyUrl: 'https://www.bernard-nicod.ch',
     providerName: 'Bernard Nicod',
+    amenities: extractAmenities([title]),
     source: 'bernard-nicod.ch',
     listingStage: 'early_market',
     publishedAt: null
   };
 }
 
+function extractBernardNicodCardTags(html = '') {
+  return [...String(html || '').matchAll(/<property-card\s+([^>]+)>/gi)].map((m) => m[1]);
+}
+
 function parseBernardLastPage(html = '') {
   const pages = [...String(html || '').matchAll(/page=(\d+)/gi)]
     .map((m) => Number(m[1]))
@@ -2139,17 +2764,13 @@ async function scrapeBernardNicodListings(config) {
         lastPage = Math.max(1, Math.min(maxPages, parseBernardLastPage(html)));
       }
 
-      const cardTags = [...html.matchAll(/<property-card\s+([^>]+)>/gi)].map((m) => m[1]);
+      const cardTags = extractBernardNicodCardTags(html);
       if (!cardTags.length) break;
 
-      for (const rawTag of cardTags) {
-        const parsed = parseBernardNicodPropertyCard(rawTag);
-        if (!parsed) continue;
-        if (!isTargetAreaCity(parsed.area || '', targetAreaSet)) continue;
-        out.push(parsed);
-      }
+      const parsed = cardTags.map((rawTag) => parseBernardNicodPropertyCard(rawTag)).filter(Boolean);
+      out.push(...keepTargetAreaItems(parsed, targetAreaSet));
     } catch (err) {
-      console.error(`WARN bernard-nicod page=${page}: ${err.message}`);
+      warnScan(`bernard-nicod page=${page}: ${err.message}`);
       break;
     }
   }
@@ -2162,124 +2783,635 @@ async function scrapeBernardNicodListings(config) {
   return out;
 }
 
-function parseDrupalSettingsJson(html = '') {
-  const match = String(html || '').match(/<script[^>]+data-drupal-selector="drupal-settings-json"[^>]*>([\s\S]*?)<\/script>/i);
-  if (!match?.[1]) return null;
+function parseDrupalSettingsJson(html = '') {
+  const match = String(html || '').match(/<script[^>]+data-drupal-selector="drupal-settings-json"[^>]*>([\s\S]*?)<\/script>/i);
+  if (!match?.[1]) return null;
+
+  try {
+    return JSON.parse(match[1]);
+  } catch {
+    return null;
+  }
+}
+
+function parseRetraitesListingsFromHtml(html = '') {
+  const settings = parseDrupalSettingsJson(html);
+  const markers = Array.isArray(settings?.markers) ? settings.markers : [];
+  return markers.map((marker) => parseRetraitesMarker(marker)).filter(Boolean);
+}
+
+function parseRetraitesMarker(marker = {}) {
+  const attrs = marker?.attributes || marker || {};
+  const uniqueId = String(attrs?.uniqueID || '').trim();
+  if (!uniqueId) return null;
+
+  // Only residential rentals
+  if (String(attrs?.offer_type || '').toUpperCase() !== 'RENT') return null;
+
+  const city = String(attrs?.city || '').trim();
+  const postalCode = String(attrs?.postal_code || '').trim();
+  const street = String(attrs?.street || '').trim();
+  const address = [street, [postalCode, city].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+
+  const rooms = toPositiveNumber(String(attrs?.rooms_number || '').replace(',', '.'));
+  const surfaceM2 = toPositiveNumber(attrs?.surface);
+
+  const rent = completeRentBreakdown({
+    netRentChf: toPositiveNumber(attrs?.price),
+    chargesChf: toPositiveNumber(attrs?.price_extra)
+  });
+  const { totalChf } = rent;
+
+  // Images: prefer medium > large > originals (medium loads fastest)
+  const pictureSizes = Array.isArray(attrs?.pictures?.sizes) ? attrs.pictures.sizes : [];
+  const medium = pictureSizes.flatMap((s) => Array.isArray(s?.m) ? s.m : []);
+  const large = pictureSizes.flatMap((s) => Array.isArray(s?.l) ? s.l : []);
+  const originals = Array.isArray(attrs?.pictures?.originals) ? attrs.pictures.originals : [];
+
+  const imageUrls = [...new Set([...medium, ...large, ...originals]
+    .map((x) => toAbsoluteUrlForHost(x, 'https://immobilier2.retraitespopulaires.ch'))
+    .filter(Boolean))].slice(0, 8);
+
+  const publishedAtRaw = String(attrs?.publication_date || '').trim();
+  const publishedAt = publishedAtRaw ? new Date(`${publishedAtRaw}T00:00:00+01:00`).toISOString() : null;
+
+  const availableDateRaw = String(attrs?.available_date || '').trim();
+  const linkRaw = String(attrs?.link || '').trim();
+
+  return {
+    id: `rp:${uniqueId}`,
+    sourceId: uniqueId,
+    url: toAbsoluteUrlForHost(linkRaw, 'https://www.retraitespopulaires.ch'),
+    title: rooms != null ? `Appartement ${rooms} pièces` : 'Appartement',
+    objectType: rooms != null ? `Appartement ${rooms} pièces` : 'Appartement',
+    address,
+    area: city,
+    rooms,
+    surfaceM2,
+    priceRaw: totalChf != null ? `CHF ${Math.round(totalChf)}/mois` : '',
+    netRentChf: rent.netRentChf,
+    chargesChf: rent.chargesChf,
+    parkingChf: rent.parkingChf,
+    totalChf,
+    imageUrl: imageUrls[0] || null,
+    imageUrls,
+    imageUrlsRemote: imageUrls,
+    imageUrlsLocal: [],
+    agencyName: stripTags(attrs?.agency_name || 'Retraites Populaires'),
+    agencyUrl: 'https://www.retraitespopulaires.ch',
+    providerName: stripTags(attrs?.agency_name || 'Retraites Populaires'),
+    amenities: extractAmenities([attrs?.title, attrs?.description].map((x) => stripTags(x || ''))),
+    source: 'retraitespopulaires.ch',
+    listingStage: 'early_market',
+    movingDateRaw: availableDateRaw || null,
+    publishedAt: Number.isFinite(new Date(publishedAt).getTime()) ? publishedAt : null
+  };
+}
+
+async function scrapeRetraitesPopulairesListings(config) {
+  const dedup = new Map();
+
+  const areas = Array.isArray(config?.areas) ? config.areas : [];
+  const targetAreaSet = buildTargetAreaSet(areas);
+  const rangeKm = Math.max(5, Math.min(30, Number(config?.retraitesListings?.rangeKm ?? 15)));
+
+  // One request per area - markers contain ALL results in range (no pagination needed)
+  for (const area of areas) {
+    const areaLabel = String(area?.label || '').trim();
+    if (!areaLabel) continue;
+
+    const params = new URLSearchParams({
+      place: areaLabel,
+      range: String(rangeKm),
+      type: '0',
+      sort_by: 'proximity_asc',
+      page: '0'
+    });
+
+    const url = `https://www.retraitespopulaires.ch/immobilier/louer/louer-un-appartement?${params.toString()}`;
+
+    await scanHealth.withArea(areaLabel, async () => {
+      try {
+        const html = await fetchHtml(url);
+
+        for (const item of keepTargetAreaItems(parseRetraitesListingsFromHtml(html), targetAreaSet)) {
+          const key = String(item.id);
+          if (!dedup.has(key) || listingQualityRank(item, new Map()) > listingQualityRank(dedup.get(key), new Map())) {
+            dedup.set(key, item);
+          }
+        }
+      } catch (err) {
+        warnScan(`retraites-populaires listings area="${areaLabel}": ${err.message}`);
+      }
+    });
+  }
+
+  return [...dedup.values()];
+}
+
+const RETRAITES_PROJECTS_URL = 'https://www.retraitespopulaires.ch/location/parc-immobilier-et-projets-neufs';
+
+function parseProjectDeliveryText(text = '') {
+  const clean = stripTags(String(text || '')).replace(/\s+/g, ' ');
+  const m = clean.match(/(?:livraison|mise en location|premi[eè]re?s? mises? en location|disponibles?|emm[ée]nagement|fin des travaux|ach[eè]vement)[^.]{0,60}?((?:(?:au\s+)?(?:printemps|[ée]t[ée]|automne|hiver|d[ée]but|fin|mi-?|courant|premier|second|\d(?:er|e)\s+(?:semestre|trimestre))\s+)?(?:\d{1,2}[./-]\d{1,2}[./-])?20\d{2})/i);
+  return m?.[1] ? m[1].replace(/\s+/g, ' ').trim() : null;
+}
+
+function resolveProjectArea(text = '', areas = []) {
+  const haystack = ` ${normalizeAreaToken(text)} `;
+
+  for (const area of areas) {
+    for (const candidate of [area?.label, area?.slug]) {
+      const token = normalizeAreaToken(String(candidate || '').replace(/-/g, ' '));
+      if (token && haystack.includes(` ${token} `)) return String(area?.label || candidate).trim();
+    }
+  }
+
+  const zipCity = stripTags(String(text || '')).match(/\b\d{4}\s+([A-ZÀ-Ý][\p{L}'’.-]+(?:[\s-][\p{L}'’.-]+){0,3})/u);
+  return zipCity?.[1] ? zipCity[1].trim() : '';
+}
+
+function parseRetraitesProjectCards(html = '') {
+  const source = String(html || '');
+  const linkRe = /<a\b[^>]*href="([^"#?]*\/parc-immobilier-et-projets-neufs\/[^"#?]+)"[^>]*>([\s\S]*?)<\/a>/gi;
+  const blocks = source.match(/<article\b[\s\S]*?<\/article>/gi) || [];
+  const out = [];
+  const seen = new Set();
+
+  const push = (href, block) => {
+    const url = toAbsoluteUrlForHost(href, 'https://www.retraitespopulaires.ch');
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+
+    const headingMatch = block.match(/<h[2-4][^>]*>([\s\S]*?)<\/h[2-4]>/i);
+    const imageMatch = block.match(/<img[^>]+(?:data-src|src)="([^"]+)"/i);
+    const slug = url.replace(/\/$/, '').split('/').pop() || '';
+
+    out.push({
+      slug,
+      url,
+      name: stripTags(headingMatch?.[1] || '') || slugToTitle(slug),
+      text: stripTags(block),
+      imageUrl: imageMatch?.[1] ? toAbsoluteUrlForHost(imageMatch[1], 'https://www.retraitespopulaires.ch') : null
+    });
+  };
+
+  for (const block of blocks) {
+    const link = block.match(/href="([^"#?]*\/parc-immobilier-et-projets-neufs\/[^"#?]+)"/i);
+    if (link?.[1]) push(decodeHtml(link[1]), block);
+  }
+
+  // Pages without <article> wrappers: fall back to the link markup itself.
+  for (const m of source.matchAll(linkRe)) {
+    push(decodeHtml(m[1]), m[0]);
+  }
+
+  return out;
+}
+
+function buildRetraitesProjectItem(card, area) {
+  const imageUrls = card.imageUrl ? [card.imageUrl] : [];
+
+  return {
+    id: `rp-projet:${card.slug}`,
+    sourceId: card.slug,
+    url: card.url,
+    title: card.name,
+    objectType: 'Projet neuf',
+    address: area,
+    area,
+    rooms: null,
+    surfaceM2: null,
+    priceRaw: '',
+    netRentChf: null,
+    chargesChf: null,
+    parkingChf: null,
+    totalChf: null,
+    imageUrl: imageUrls[0] || null,
+    imageUrls,
+    agencyName: 'Retraites Populaires',
+    agencyUrl: 'https://www.retraitespopulaires.ch',
+    providerName: 'Retraites Populaires',
+    source: 'retraitespopulaires.ch',
+    listingStage: 'off_market',
+    deliveryText: parseProjectDeliveryText(card.text),
+    publishedAt: null
+  };
+}
+
+async function enrichRetraitesProjectFromDetail(item, areas = []) {
+  try {
+    const html = await fetchHtml(item.url);
+    const body = html.match(/<main\b[\s\S]*?<\/main>/i)?.[0] || html;
+    const text = stripTags(body);
+
+    item.deliveryText = item.deliveryText || parseProjectDeliveryText(text);
+    if (!item.area) {
+      const area = resolveProjectArea(text, areas);
+      if (area) {
+        item.area = area;
+        item.address = area;
+      }
+    }
+
+    const rooms = [...text.matchAll(/(\d+(?:[.,]5)?)\s*pi[eè]ces/gi)]
+      .map((m) => Number(m[1].replace(',', '.')))
+      .filter((n) => Number.isFinite(n) && n > 0);
+    if (rooms.length) {
+      item.roomsRange = [Math.min(...rooms), Math.max(...rooms)];
+    }
+    item.amenities = mergeAmenities(extractAmenities([text]), item.amenities);
+  } catch {
+    // Detail fetch failed — keep card data
+  }
+}
+
+async function scrapeRetraitesPopulairesProjects(config) {
+  const out = [];
+  const areas = Array.isArray(config?.areas) ? config.areas : [];
+  const targetAreaSet = buildTargetAreaSet(areas);
+  const fetchDetails = config?.retraitesProjets?.fetchDetails !== false;
+
+  try {
+    const html = await fetchHtml(RETRAITES_PROJECTS_URL);
+    const cards = parseRetraitesProjectCards(html);
+
+    for (const card of cards) {
+      const item = buildRetraitesProjectItem(card, resolveProjectArea(card.text, areas));
+      // Skip the detail request when the card already names a non-target city.
+      if (item.area && !isTargetAreaCity(item.area, targetAreaSet)) continue;
+      if (fetchDetails) await enrichRetraitesProjectFromDetail(item, areas);
+      if (!isTargetAreaCity(item.area || '', targetAreaSet)) continue;
+      out.push(item);
+    }
+    scanHealth.recordItems(cards.length, out.length);
+  } catch (err) {
+    warnScan(`retraites-populaires projets: ${err.message}`);
+  }
+
+  return out;
+}
+
+// Pension-fund property pages: project lists rather than listing feeds.
+const INSTITUTIONAL_LEAD_SITES = {
+  cip: {
+    url: 'https://www.cipvd.ch/immobilier/projets-immobiliers',
+    host: 'https://www.cipvd.ch',
+    name: 'CIP – Caisse intercommunale de pensions'
+  },
+  cpev: {
+    url: 'https://www.cpev.ch/immobilier/projets',
+    host: 'https://www.cpev.ch',
+    name: "CPEV – Caisse de pensions de l'État de Vaud"
+  },
+  cpeg: {
+    url: 'https://www.cpeg.ch/immobilier/projets-de-construction/',
+    host: 'https://www.cpeg.ch',
+    name: "CPEG – Caisse de prévoyance de l'État de Genève"
+  }
+};
+
+const PRE_REGISTRATION_RE = /pr[ée]-?\s?inscri|inscri(?:ption|vez|re)|int[ée]ress[ée]|formulaire|liste d['’]attente/i;
+
+function splitInstitutionalLeadBlocks(html = '') {
+  const source = String(html || '');
+  const articles = source.match(/<article\b[\s\S]*?<\/article>/gi) || [];
+  if (articles.length) return articles;
+
+  const body = source.match(/<main\b[\s\S]*?<\/main>/i)?.[0] || source;
+  return body.split(/(?=<h[23]\b)/i).slice(1);
+}
+
+function parseInstitutionalLeadBlock(block = '', site = {}) {
+  const headingMatch = block.match(/<h[2-4][^>]*>([\s\S]*?)<\/h[2-4]>/i);
+  const name = stripTags(headingMatch?.[1] || '');
+  if (!name || name.length > 120) return null;
+
+  const links = [...block.matchAll(/<a\b[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi)]
+    .map((m) => ({ href: decodeHtml(m[1]), text: stripTags(m[2]) }))
+    .filter((link) => link.href && !/^(?:mailto|tel|javascript):/i.test(link.href));
+
+  const preRegistration = links.find((link) => PRE_REGISTRATION_RE.test(`${link.text} ${link.href}`));
+  const projectLink = links.find((link) => link !== preRegistration);
+  const imageMatch = block.match(/<img[^>]+(?:data-src|src)="([^"]+)"/i);
+
+  return {
+    name,
+    text: stripTags(block),
+    url: toAbsoluteUrlForHost(projectLink?.href || '', site.host),
+    preRegistrationUrl: toAbsoluteUrlForHost(preRegistration?.href || '', site.host),
+    imageUrl: imageMatch?.[1] ? toAbsoluteUrlForHost(decodeHtml(imageMatch[1]), site.host) : null
+  };
+}
+
+function parseInstitutionalLeadsFromHtml(html = '', site = {}) {
+  return splitInstitutionalLeadBlocks(html)
+    .map((block) => parseInstitutionalLeadBlock(block, site))
+    .filter(Boolean);
+}
+
+// The name slug keeps ids stable across scans. A name without ASCII letters,
+// or one that only differs from another lead's in accents or punctuation,
+// falls back to a hash of the project URL. `slugs` maps the slugs handed out
+// on this page to their lead, so the same lead seen twice keeps one id.
+function institutionalLeadSlug(lead, site, slugs) {
+  const key = lead.url || `${site.url}#${lead.name}`;
+  const slug = normalizeSlugCandidate(lead.name);
+  if (slug && (!slugs.has(slug) || slugs.get(slug) === key)) {
+    slugs.set(slug, key);
+    return slug;
+  }
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+}
+
+function buildInstitutionalLeadItem(lead, providerId, site, area, slugs = new Map()) {
+  const slug = institutionalLeadSlug(lead, site, slugs);
+  const imageUrls = lead.imageUrl ? [lead.imageUrl] : [];
+
+  return {
+    id: `${providerId}:${slug}`,
+    sourceId: slug,
+    url: lead.url || `${site.url}#${slug}`,
+    title: lead.name,
+    objectType: 'Projet institutionnel',
+    address: area,
+    area,
+    rooms: null,
+    surfaceM2: null,
+    priceRaw: '',
+    netRentChf: null,
+    chargesChf: null,
+    parkingChf: null,
+    totalChf: null,
+    imageUrl: imageUrls[0] || null,
+    imageUrls,
+    agencyName: site.name,
+    agencyUrl: site.host,
+    providerName: site.name,
+    source: new URL(site.host).hostname.replace(/^www\./, ''),
+    listingStage: 'off_market',
+    leadType: 'institutional',
+    deliveryText: parseProjectDeliveryText(lead.text),
+    preRegistrationUrl: lead.preRegistrationUrl || null,
+    publishedAt: null
+  };
+}
+
+async function scrapeInstitutionalLeads(providerId, config) {
+  const out = [];
+  const site = {
+    ...INSTITUTIONAL_LEAD_SITES[providerId],
+    ...(config?.institutionalLeads?.[providerId] || {})
+  };
+  const areas = Array.isArray(config?.areas) ? config.areas : [];
+  const targetAreaSet = buildTargetAreaSet(areas);
+  const seen = new Set();
+  const slugs = new Map();
+
+  try {
+    const html = await fetchHtml(site.url);
+    const leads = parseInstitutionalLeadsFromHtml(html, site);
+
+    for (const lead of leads) {
+      const area = resolveProjectArea(lead.text, areas);
+      if (!area || !isTargetAreaCity(area, targetAreaSet)) continue;
+
+      const item = buildInstitutionalLeadItem(lead, providerId, site, area, slugs);
+      if (seen.has(item.id)) continue;
+      seen.add(item.id);
+      out.push(item);
+    }
+    scanHealth.recordItems(leads.length, out.length);
+  } catch (err) {
+    warnScan(`${providerId} leads: ${err.message}`);
+  }
+
+  return out;
+}
+
+const REGIE_JSON_LD_TYPES = new Set([
+  'apartment', 'residence', 'accommodation', 'singlefamilyresidence', 'house', 'realestatelisting', 'offer', 'product'
+]);
+const DEFAULT_REGIE_SELECTORS = {
+  card: 'article',
+  title: 'h2, h3, h4',
+  price: '',
+  rooms: '',
+  surface: '',
+  address: 'address',
+  link: 'a@href',
+  image: 'img@src'
+};
+
+function normalizeRegieEntries(config = {}) {
+  const entries = Array.isArray(config?.regies) ? config.regies : [];
+
+  return entries
+    .map((entry) => (typeof entry === 'string' ? { url: entry } : entry))
+    .filter((entry) => isHttpUrl(entry?.url))
+    .map((entry) => {
+      const host = new URL(entry.url).hostname.replace(/^www\./, '');
+      return {
+        url: entry.url,
+        origin: new URL(entry.url).origin,
+        host,
+        name: String(entry.name || host).trim(),
+        selectors: { ...DEFAULT_REGIE_SELECTORS, ...(entry.selectors || {}) }
+      };
+    });
+}
+
+function flattenJsonLdNodes(value, out = []) {
+  if (Array.isArray(value)) {
+    for (const entry of value) flattenJsonLdNodes(entry, out);
+    return out;
+  }
+  if (!value || typeof value !== 'object') return out;
+
+  out.push(value);
+  if (value['@graph']) flattenJsonLdNodes(value['@graph'], out);
+  if (value.itemListElement) flattenJsonLdNodes(value.itemListElement, out);
+  if (value.item && typeof value.item === 'object') flattenJsonLdNodes(value.item, out);
+  if (value.itemOffered) flattenJsonLdNodes(value.itemOffered, out);
+  return out;
+}
+
+function extractJsonLdNodes(html = '') {
+  const out = [];
+  const regex = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+
+  while ((match = regex.exec(String(html || '')))) {
+    try {
+      flattenJsonLdNodes(JSON.parse(match[1].trim()), out);
+    } catch {
+      // Broken JSON-LD blocks are common on small sites; skip them.
+    }
+  }
+
+  return out;
+}
+
+function jsonLdTypes(node) {
+  return (Array.isArray(node?.['@type']) ? node['@type'] : [node?.['@type']])
+    .map((type) => String(type || '').toLowerCase());
+}
 
-  try {
-    return JSON.parse(match[1]);
-  } catch {
-    return null;
-  }
+function jsonLdNumber(value) {
+  if (value && typeof value === 'object') return jsonLdNumber(value.value ?? value.price ?? value.minValue);
+  return toPositiveNumber(String(value ?? '').replace(/[^\d.,]/g, '').replace(',', '.'));
 }
 
-function parseRetraitesMarker(marker = {}) {
-  const attrs = marker?.attributes || marker || {};
-  const uniqueId = String(attrs?.uniqueID || '').trim();
-  if (!uniqueId) return null;
+// schema.org amenityFeature entries as phrases for the amenity extractor; a
+// feature marked `value: false` reads as "sans <name>".
+function jsonLdAmenityTexts(features) {
+  return (Array.isArray(features) ? features : [features])
+    .filter((feature) => feature && typeof feature === 'object' && feature.name)
+    .map((feature) => {
+      const name = stripTags(String(feature.name));
+      return feature.value === false || feature.value === 'false' ? `sans ${name}` : name;
+    });
+}
 
-  // Only residential rentals
-  if (String(attrs?.offer_type || '').toUpperCase() !== 'RENT') return null;
+function parseRegieJsonLdListing(node, regie) {
+  if (!jsonLdTypes(node).some((type) => REGIE_JSON_LD_TYPES.has(type))) return null;
+
+  // An Offer wraps the dwelling (itemOffered); a dwelling may carry its offer.
+  const place = node.itemOffered && typeof node.itemOffered === 'object' ? node.itemOffered : node;
+  const offer = place === node ? (Array.isArray(node.offers) ? node.offers[0] : node.offers) || {} : node;
+  const name = stripTags(String(place.name || node.name || ''));
+  const url = toAbsoluteUrlForHost(String(node.url || place.url || ''), regie.origin);
+  if (!name || !url) return null;
+
+  const addr = place.address && typeof place.address === 'object' ? place.address : {};
+  const address = typeof place.address === 'string'
+    ? place.address
+    : [addr.streetAddress, [addr.postalCode, addr.addressLocality].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  const images = (Array.isArray(place.image) ? place.image : [place.image || node.image])
+    .map((img) => (typeof img === 'string' ? img : img?.url))
+    .filter(Boolean);
 
-  const city = String(attrs?.city || '').trim();
-  const postalCode = String(attrs?.postal_code || '').trim();
-  const street = String(attrs?.street || '').trim();
-  const address = [street, [postalCode, city].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  return {
+    title: name,
+    url,
+    address: stripTags(String(address || '')),
+    city: String(addr.addressLocality || '').trim(),
+    rooms: jsonLdNumber(place.numberOfRooms) ?? parseRooms(name),
+    surfaceM2: jsonLdNumber(place.floorSize) ?? parseAnibisSurfaceM2(name),
+    totalChf: jsonLdNumber(offer.priceSpecification ?? offer.price),
+    priceRaw: offer.price != null ? `CHF ${offer.price}` : '',
+    imageUrls: images.map((img) => toAbsoluteUrlForHost(img, regie.origin)),
+    text: stripTags(String(place.description || '')),
+    amenityTexts: jsonLdAmenityTexts(place.amenityFeature),
+    publishedAt: node.datePosted || node.datePublished || place.datePosted || null
+  };
+}
 
-  const rooms = toPositiveNumber(String(attrs?.rooms_number || '').replace(',', '.'));
-  const surfaceM2 = toPositiveNumber(attrs?.surface);
+function parseRegieHtmlCards(html = '', regie = {}) {
+  const { selectors } = regie;
+  const root = parseHtmlDocument(html);
+  const out = [];
 
-  const rentChf = toPositiveNumber(attrs?.price);
-  const chargesChf = toPositiveNumber(attrs?.price_extra) ?? 0;
-  const totalChf = rentChf != null ? rentChf + (chargesChf || 0) : null;
+  for (const card of selectAll(root, selectors.card)) {
+    const text = nodeText(card);
+    const title = extractField(card, selectors.title);
+    const href = extractField(card, selectors.link);
+    if (!title || !href) continue;
 
-  // Images: prefer medium > large > originals (medium loads fastest)
-  const pictureSizes = Array.isArray(attrs?.pictures?.sizes) ? attrs.pictures.sizes : [];
-  const medium = pictureSizes.flatMap((s) => Array.isArray(s?.m) ? s.m : []);
-  const large = pictureSizes.flatMap((s) => Array.isArray(s?.l) ? s.l : []);
-  const originals = Array.isArray(attrs?.pictures?.originals) ? attrs.pictures.originals : [];
+    const priceText = selectors.price ? extractField(card, selectors.price) : text;
+    const roomsText = selectors.rooms ? extractField(card, selectors.rooms) : `${title} ${text}`;
+    const surfaceText = selectors.surface ? extractField(card, selectors.surface) : text;
+    const image = extractField(card, selectors.image);
 
-  const imageUrls = [...new Set([...medium, ...large, ...originals]
-    .map((x) => toAbsoluteUrlForHost(x, 'https://immobilier2.retraitespopulaires.ch'))
-    .filter(Boolean))].slice(0, 8);
+    out.push({
+      title,
+      url: toAbsoluteUrlForHost(href, regie.origin),
+      address: selectors.address ? extractField(card, selectors.address) : '',
+      city: '',
+      rooms: parseRooms(roomsText) ?? toPositiveNumber(String(roomsText).replace(',', '.')),
+      surfaceM2: parseAnibisSurfaceM2(surfaceText) ?? (selectors.surface ? toPositiveNumber(chfToNumber(surfaceText)) : null),
+      totalChf: selectors.price ? toPositiveNumber(chfToNumber(priceText)) : parseFlatfoxPriceFromText(priceText),
+      priceRaw: selectors.price ? priceText : (priceText.match(/CHF\s*[\d'’\s.,]+[.-]*/i)?.[0] || '').trim(),
+      imageUrls: image ? [toAbsoluteUrlForHost(image, regie.origin)] : [],
+      text,
+      publishedAt: null
+    });
+  }
 
-  const publishedAtRaw = String(attrs?.publication_date || '').trim();
-  const publishedAt = publishedAtRaw ? new Date(`${publishedAtRaw}T00:00:00+01:00`).toISOString() : null;
+  return out;
+}
 
-  const availableDateRaw = String(attrs?.available_date || '').trim();
-  const linkRaw = String(attrs?.link || '').trim();
+// JSON-LD wins when the page has it; the card selectors are the fallback.
+function parseRegieListingsFromHtml(html = '', regie = {}) {
+  const fromJsonLd = extractJsonLdNodes(html)
+    .map((node) => parseRegieJsonLdListing(node, regie))
+    .filter(Boolean);
+  return fromJsonLd.length ? fromJsonLd : parseRegieHtmlCards(html, regie);
+}
+
+function buildRegieItem(fields, regie, area) {
+  const sourceId = normalizeSlugCandidate(new URL(fields.url).pathname.replace(/\/+$/, '').split('/').pop() || fields.title)
+    || normalizeSlugCandidate(fields.title);
+  const imageUrls = uniqueStrings(fields.imageUrls).slice(0, 6);
 
   return {
-    id: `rp:${uniqueId}`,
-    sourceId: uniqueId,
-    url: toAbsoluteUrlForHost(linkRaw, 'https://www.retraitespopulaires.ch'),
-    title: rooms != null ? `Appartement ${rooms} pièces` : 'Appartement',
-    objectType: rooms != null ? `Appartement ${rooms} pièces` : 'Appartement',
-    address,
-    area: city,
-    rooms,
-    surfaceM2,
-    priceRaw: totalChf != null ? `CHF ${Math.round(totalChf)}/mois` : '',
-    rentChf,
-    chargesChf,
-    totalChf,
+    id: `regie:${regie.host}:${sourceId}`,
+    sourceId,
+    url: fields.url,
+    title: fields.title,
+    objectType: fields.rooms != null ? `Appartement ${fields.rooms} pièces` : 'Appartement',
+    address: fields.address || area,
+    area,
+    rooms: fields.rooms,
+    surfaceM2: fields.surfaceM2,
+    priceRaw: fields.priceRaw || (fields.totalChf != null ? `CHF ${fields.totalChf}/mois` : ''),
+    ...applyRentBreakdown({ totalChf: fields.totalChf }, parseRentBreakdownText([fields.priceRaw, fields.text])),
     imageUrl: imageUrls[0] || null,
     imageUrls,
-    imageUrlsRemote: imageUrls,
-    imageUrlsLocal: [],
-    agencyName: stripTags(attrs?.agency_name || 'Retraites Populaires'),
-    agencyUrl: 'https://www.retraitespopulaires.ch',
-    providerName: stripTags(attrs?.agency_name || 'Retraites Populaires'),
-    source: 'retraitespopulaires.ch',
+    agencyName: regie.name,
+    agencyUrl: regie.origin,
+    providerName: regie.name,
+    amenities: extractAmenities([fields.title, fields.text, ...(fields.amenityTexts || [])]),
+    source: regie.host,
     listingStage: 'early_market',
-    movingDateRaw: availableDateRaw || null,
-    publishedAt: Number.isFinite(new Date(publishedAt).getTime()) ? publishedAt : null
+    publishedAt: fields.publishedAt
   };
 }
 
-async function scrapeRetraitesPopulairesListings(config) {
-  const dedup = new Map();
-
+async function scrapeRegieListings(config) {
+  const out = [];
   const areas = Array.isArray(config?.areas) ? config.areas : [];
   const targetAreaSet = buildTargetAreaSet(areas);
-  const rangeKm = Math.max(5, Math.min(30, Number(config?.retraitesListings?.rangeKm ?? 15)));
-
-  // One request per area - markers contain ALL results in range (no pagination needed)
-  for (const area of areas) {
-    const areaLabel = String(area?.label || '').trim();
-    if (!areaLabel) continue;
-
-    const params = new URLSearchParams({
-      place: areaLabel,
-      range: String(rangeKm),
-      type: '0',
-      sort_by: 'proximity_asc',
-      page: '0'
-    });
-
-    const url = `https://www.retraitespopulaires.ch/immobilier/louer/louer-un-appartement?${params.toString()}`;
-
-    try {
-      const html = await fetchHtml(url);
-      const settings = parseDrupalSettingsJson(html);
-      const markers = Array.isArray(settings?.markers) ? settings.markers : [];
-
-      for (const marker of markers) {
-        const parsed = parseRetraitesMarker(marker);
-        if (!parsed) continue;
-        if (!isTargetAreaCity(parsed.area || '', targetAreaSet)) continue;
+  const seen = new Set();
 
-        const key = String(parsed.id);
-        if (!dedup.has(key) || listingQualityRank(parsed, new Map()) > listingQualityRank(dedup.get(key), new Map())) {
-          dedup.set(key, parsed);
+  // Each régie gets its own bucket in the scan report, like an area.
+  for (const regie of normalizeRegieEntries(config)) {
+    await scanHealth.withArea(regie.host, async () => {
+      try {
+        const html = await fetchHtml(regie.url);
+        const candidates = parseRegieListingsFromHtml(html, regie);
+        let kept = 0;
+
+        for (const fields of candidates) {
+          const area = fields.city
+            || inferAreaFromAddressStrict(fields.address)
+            || resolveProjectArea(`${fields.address} ${fields.title} ${fields.text}`, areas);
+          if (!area || !isTargetAreaCity(area, targetAreaSet)) continue;
+
+          const item = buildRegieItem(fields, regie, area);
+          if (seen.has(item.id)) continue;
+          seen.add(item.id);
+          out.push(item);
+          kept += 1;
         }
+        scanHealth.recordItems(candidates.length, kept);
+      } catch (err) {
+        warnScan(`regie ${regie.host}: ${err.message}`);
       }
-    } catch (err) {
-      console.error(`WARN retraites-populaires listings area="${areaLabel}": ${err.message}`);
-    }
+    });
   }
 
-  return [...dedup.values()];
+  return out;
 }
 
 async function fetchFlatfoxListingById(sourceId, fallbackAreaLabel = '') {
@@ -2293,6 +3425,55 @@ async function fetchFlatfoxListingById(sourceId, fallbackAreaLabel = '') {
   }
 }
 
+async function recoverFlatfoxListings(missingKnown = [], config = {}) {
+  const recheckLimit = Math.max(0, Number(config.flatfox?.recheckKnownIdsLimit ?? 20));
+  const out = [];
+
+  for (const old of missingKnown.filter((x) => x?.sourceId).slice(0, recheckLimit)) {
+    const recovered = await fetchFlatfoxListingById(old.sourceId, old.area || '');
+    if (recovered) out.push(recovered);
+  }
+
+  return out;
+}
+
+function applyRawMoveInDate(item) {
+  const moveInDate = parseFlatfoxMoveInDate(item.movingDateRaw);
+  item.entryDateText = isStrictEntryDate(moveInDate) ? moveInDate : null;
+  item.entryDateFetched = Boolean(item.entryDateText);
+}
+
+// Scan behaviour per source. Metadata (label, default toggle, stage, priority)
+// lives in source-registry.mjs so the server and profile form share it.
+const PROVIDER_HANDLERS = {
+  immobilier: { scrape: scrapeImmobilierListings, enrich: enrichImmobilierListing },
+  flatfox: { scrape: scrapeFlatfoxListings, recover: recoverFlatfoxListings },
+  immoscout24: { scrape: scrapeImmoScout24Listings },
+  newhome: { scrape: scrapeNewhomeListings },
+  naef: { scrape: scrapeNaefListings },
+  bernardNicod: { scrape: scrapeBernardNicodListings },
+  retraitesListings: { scrape: scrapeRetraitesPopulairesListings },
+  retraitesProjets: { scrape: scrapeRetraitesPopulairesProjects },
+  cip: { scrape: (config) => scrapeInstitutionalLeads('cip', config) },
+  cpev: { scrape: (config) => scrapeInstitutionalLeads('cpev', config) },
+  cpeg: { scrape: (config) => scrapeInstitutionalLeads('cpeg', config) },
+  regies: { scrape: scrapeRegieListings },
+  anibis: { scrape: scrapeAnibisListings }
+};
+
+function buildProviderRegistry(handlers = {}) {
+  return SOURCE_DEFINITIONS.map((definition) => {
+    const handler = handlers[definition.id];
+    if (typeof handler?.scrape !== 'function') {
+      throw new Error(`Aucun scraper enregistré pour la source "${definition.id}"`);
+    }
+    return { enrich: applyRawMoveInDate, recover: null, ...definition, ...handler };
+  });
+}
+
+const PROVIDERS = buildProviderRegistry(PROVIDER_HANDLERS);
+const PROVIDERS_BY_ID = new Map(PROVIDERS.map((provider) => [provider.id, provider]));
+
 function buildAddressDedupKey(item) {
   const rawAddress = String(item?.address || '').trim();
   const areaKey = normalizeAreaToken(item?.area || '');
@@ -2331,7 +3512,7 @@ function listingQualityRank(item, trackerMap) {
   let score = 0;
 
   if (trackerMap?.has(String(item?.id))) score += 1000;
-  score += SOURCE_PRIORITY[item?.source] || 0;
+  score += SOURCE_PRIORITY[item?.source] || PROVIDERS_BY_ID.get(item?.providerId)?.priority || 0;
   score += Math.min(Array.isArray(item?.imageUrls) ? item.imageUrls.length : 0, 6);
   if (toPositiveNumber(item?.surfaceM2) != null) score += 2;
   if (toPositiveNumber(item?.totalChf) != null) score += 2;
@@ -2340,45 +3521,91 @@ function listingQualityRank(item, trackerMap) {
   return score;
 }
 
-function dedupeCrossSourceListings(items = [], trackerMap) {
-  const byKey = new Map();
-  const passthrough = [];
-  const removedIds = new Set();
-
-  for (const item of items) {
-    const key = buildCrossSourceDedupKey(item);
-    if (!key) {
-      passthrough.push({ ...item, duplicateSources: [item.source] });
-      continue;
-    }
+// Greedy clustering: each listing joins the most similar kept listing scoring
+// at least `threshold`, and the better-ranked of the two stays. Pairs split by
+// hand never join. `matches` holds the score and reasons per removed ID,
+// `losers` the listing each automatic merge hid.
+function dedupeCrossSourceListings(items = [], trackerMap, overrides = emptyDedupOverrides(), threshold, ignorePhotos = new Set()) {
+  const kept = [];
+  // Loser ID -> winner ID.
+  const removedIds = new Map();
+  const matches = new Map();
+  const losers = new Map();
+
+  // Coordinates and photo hashes are only computed after dedup; reuse the ones
+  // already tracked.
+  const located = items.map((item) => {
+    const tracked = trackerMap?.get(String(item.id));
+    if (!tracked) return item;
+    return {
+      ...item,
+      mapLat: item.mapLat ?? tracked.mapLat ?? null,
+      mapLon: item.mapLon ?? tracked.mapLon ?? null,
+      imageHashes: item.imageHashes || tracked.imageHashes || []
+    };
+  });
 
-    const existing = byKey.get(key);
-    if (!existing) {
-      byKey.set(key, { ...item, duplicateSources: [item.source] });
+  for (const item of located) {
+    const best = findBestMatch(item, kept, {
+      threshold,
+      skip: (candidate) => isSplitPair(overrides, candidate.id, item.id),
+      ignorePhotos
+    });
+    if (!best) {
+      kept.push({ ...item, duplicateSources: [item.source] });
       continue;
     }
 
+    const existing = best.candidate;
     const keepIncoming = listingQualityRank(item, trackerMap) > listingQualityRank(existing, trackerMap);
     const loser = keepIncoming ? existing : item;
     const winner = keepIncoming ? { ...item } : { ...existing };
 
-    const combined = new Set([
+    winner.duplicateSources = [...new Set([
       ...(Array.isArray(existing.duplicateSources) ? existing.duplicateSources : [existing.source]),
       item.source,
       winner.source
-    ]);
-
-    winner.duplicateSources = [...combined];
-    byKey.set(key, winner);
+    ])];
+    winner.amenities = mergeAmenities(winner.amenities, loser.amenities);
+    kept[kept.indexOf(existing)] = winner;
 
     // Track which IDs were deduped away so the merge loop can handle them
     if (loser.id && String(loser.id) !== String(winner.id)) {
-      removedIds.add(String(loser.id));
+      for (const [dropId, keepId] of removedIds) {
+        if (keepId === String(loser.id)) removedIds.set(dropId, String(winner.id));
+      }
+      removedIds.set(String(loser.id), String(winner.id));
+      matches.set(String(loser.id), { score: best.score, reasons: best.reasons });
+      losers.set(String(loser.id), loser);
     }
   }
 
-  const kept = [...byKey.values(), ...passthrough];
-  return { kept, removedIds };
+  const manual = applyManualMerges(kept, overrides, new Set(trackerMap?.keys() || []));
+  for (const [dropId, keepId] of manual.removed) {
+    removedIds.set(dropId, keepId);
+    matches.delete(dropId);
+  }
+
+  return { kept: manual.kept, removedIds, matches, losers };
+}
+
+// Hidden tracker entry for a listing merged into `mergedInto`. It stays in
+// the tracker so the dashboard can list it under the kept one and split it.
+function crossSourceDuplicateEntry(item, { mergedInto, match = null, manual = false, now }) {
+  return {
+    ...item,
+    status: normalizeStatus(item.status),
+    firstSeenAt: item.firstSeenAt || now,
+    active: false,
+    isRemoved: true,
+    removedAt: item.removedAt || now,
+    missingCount: 0,
+    isNew: false,
+    display: false,
+    duplicateOf: mergedInto,
+    dedupMatch: match,
+    filterReason: manual ? 'Fusionnée manuellement' : 'Doublon inter-source (dedup enrichie)'
+  };
 }
 
 function toMap(list = []) {
@@ -2391,7 +3618,15 @@ function makeSummary(latest) {
   lines.push(`Scan terminé: ${latest.totalCount} annonces actives analysées`);
   lines.push(`Nouvelles annonces: ${latest.newCount}`);
   lines.push(`Annonces retirées (conservées en grisé): ${latest.removedCount || 0}`);
+  if (latest.priceDropCount) lines.push(`Baisses de loyer: ${latest.priceDropCount}`);
+  if (latest.relistedCount) lines.push(`Remises en ligne (statut et notes repris): ${latest.relistedCount}`);
   lines.push(`Annonces pertinentes (budget/critères): ${latest.matchingCount}`);
+  const flaggedSources = (latest.scanHealth?.sources || [])
+    .filter((source) => source.status === 'error' || source.status === 'empty');
+  if (flaggedSources.length) {
+    const labels = flaggedSources.map((source) => `${source.label} (${source.status === 'error' ? 'erreurs' : '0 annonce'})`);
+    lines.push(`Sources à vérifier: ${labels.join(', ')}`);
+  }
   if (!top.length) {
     lines.push('Aucune nouvelle annonce pertinente au dernier scan.');
   } else {
@@ -2449,16 +3684,10 @@ function makeDefaultConfig(profile, base = null) {
   const isSaintMaurice = profile === 'saint-maurice';
 
   const template = base && typeof base === 'object' ? JSON.parse(JSON.stringify(base)) : {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
     name: 'Apartment Search',
     pagesPerArea: 2,
-    sources: {
-      immobilier: true,
-      flatfox: true,
-      naef: true,
-      bernardNicod: true,
-      retraitesListings: true,
-      anibis: false
-    },
+    sources: resolveSourceToggles({}),
     flatfox: { maxPagesPerArea: 3, recheckKnownIdsLimit: 20 },
     filters: {
       maxTotalChf: isSaintMaurice ? 1700 : 1400,
@@ -2467,12 +3696,10 @@ function makeDefaultConfig(profile, base = null) {
       minSurfaceM2Preferred: isFribourg ? 50 : 0,
       excludedObjectTypeKeywords: ['chambre', 'colocation', 'wg'],
       missingScansBeforeRemoved: 2,
-      moveInDeadline: '2026-03-01'
+      moveInEarliest: null,
+      moveInDeadline: null
     },
     preferences: {
-      natureViewPreferred: true,
-      washingMachinePreferred: true,
-      bathtubPreferred: true,
       workplaceAddress: isSaintMaurice
         ? 'Gare de Saint-Maurice, 1890 Saint-Maurice, Suisse'
         : DEFAULT_WORK_ADDRESS
@@ -2484,12 +3711,7 @@ function makeDefaultConfig(profile, base = null) {
   template.areas = defaultAreasForProfile(profile);
   template.sources = {
     ...(template.sources || {}),
-    immobilier: template.sources?.immobilier !== false,
-    flatfox: template.sources?.flatfox !== false,
-    naef: template.sources?.naef !== false,
-    bernardNicod: template.sources?.bernardNicod !== false,
-    retraitesListings: template.sources?.retraitesListings !== false,
-    anibis: !!template.sources?.anibis
+    ...resolveSourceToggles(template.sources)
   };
   template.flatfox = {
     maxPagesPerArea: 3,
@@ -2520,7 +3742,6 @@ function makeDefaultConfig(profile, base = null) {
       ...(template.preferences || {}),
       workplaceAddress: template.preferences?.workplaceAddress || 'Gare de Saint-Maurice, 1890 Saint-Maurice, Suisse'
     };
-    delete template.preferences.transportToLausanne;
   }
 
   return template;
@@ -2565,24 +3786,27 @@ async function bootstrapProfileData(profile) {
 }
 
 async function main() {
+  const scanStartedAt = Date.now();
   await bootstrapProfileData(PROFILE);
+  const upgraded = await migrateProfileFiles({
+    dataDir: DATA_DIR,
+    configPath: CONFIG_PATH,
+    trackerPath: TRACKER_PATH,
+    latestPath: LATEST_PATH
+  });
+  for (const { kind, from, to } of upgraded) {
+    console.log(`Schéma ${kind} migré: v${from} → v${to}`);
+  }
 
   const config = await readJsonSafe(CONFIG_PATH, null);
   if (!config) {
     throw new Error(`Config manquante: ${CONFIG_PATH}`);
   }
 
-  if (PROFILE === 'fribourg' || PROFILE === 'saint-maurice') {
-    config.sources = {
-      ...(config.sources || {})
-    };
-    if (typeof config.sources.immobilier !== 'boolean') config.sources.immobilier = true;
-    if (typeof config.sources.flatfox !== 'boolean') config.sources.flatfox = true;
-    if (typeof config.sources.naef !== 'boolean') config.sources.naef = true;
-    if (typeof config.sources.bernardNicod !== 'boolean') config.sources.bernardNicod = true;
-    if (typeof config.sources.retraitesListings !== 'boolean') config.sources.retraitesListings = true;
-    if (typeof config.sources.anibis !== 'boolean') config.sources.anibis = false;
-  }
+  config.sources = {
+    ...(config.sources || {}),
+    ...resolveSourceToggles(config.sources)
+  };
 
   if (PROFILE === 'saint-maurice') {
     config.filters = {
@@ -2594,22 +3818,21 @@ async function main() {
         : Number(config.filters?.maxPublishedAgeDays)
     };
 
-    const existingWorkAddress = config.preferences?.workplaceAddress || config.preferences?.workAddress;
     config.preferences = {
       ...(config.preferences || {})
     };
-    if (!existingWorkAddress) {
+    if (!config.preferences.workplaceAddress) {
       config.preferences.workplaceAddress = 'Gare de Saint-Maurice, 1890 Saint-Maurice, Suisse';
     }
-    delete config.preferences.transportToLausanne;
   }
 
+  requestScheduler = createRequestScheduler(resolveSchedulerOptions(config.network));
+  const listingConcurrency = Math.max(1, Number(config.network?.listingConcurrency ?? 4));
+
   const missingScansBeforeRemoved = Math.max(1, Number(config.filters?.missingScansBeforeRemoved ?? 2));
+  const maxArchivedImages = resolveMaxArchivedImagesPerListing(config);
 
-  const workAddress =
-    config.preferences?.workplaceAddress ||
-    config.preferences?.workAddress ||
-    DEFAULT_WORK_ADDRESS;
+  const workAddress = config.preferences?.workplaceAddress || DEFAULT_WORK_ADDRESS;
 
   const geocodeCache = await readJsonSafe(GEOCODE_CACHE_PATH, {});
   const routeCache = await readJsonSafe(ROUTE_CACHE_PATH, {});
@@ -2619,67 +3842,38 @@ async function main() {
   const prevIds = new Set((previousLatest.all || []).map((x) => String(x.id)));
 
   const tracker = await readJsonSafe(TRACKER_PATH, {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
     createdAt: new Date().toISOString(),
     statuses: STATUSES,
     listings: []
   });
 
   const trackerMap = toMap(tracker.listings || []);
+  const userFieldsBaseline = snapshotUserFields(tracker.listings || []);
+  const dedupOverrides = await readDedupOverrides(DEDUP_OVERRIDES_PATH);
   const targetAreaSet = buildTargetAreaSet(config.areas || []);
 
   const scraped = [];
+  const enabledProviders = PROVIDERS.filter((provider) => config.sources[provider.id]);
 
-  for (const area of config.areas || []) {
-    const canton = resolveImmobilierCanton(area, config);
-    const areaLabel = String(area?.label || '').trim();
-    const configuredSlug = normalizeSlugCandidate(area?.slug || '');
-    const immobilierSlug = await resolveImmobilierSlugForArea(area, config);
-
-    if (immobilierSlug && configuredSlug && immobilierSlug !== configuredSlug) {
-      console.log(`INFO immobilier slug auto-resolved for "${areaLabel}": ${configuredSlug} -> ${immobilierSlug}`);
+  // Providers run side by side; results are appended in registry order so
+  // id-level dedup stays deterministic.
+  const providerResults = await Promise.all(enabledProviders.map(async (provider) => {
+    try {
+      return await scanHealth.runSource(provider.id, provider.label, () => provider.scrape(config));
+    } catch (err) {
+      console.error(`WARN provider ${provider.id}: ${err.message}`);
+      return [];
     }
+  }));
 
-    for (let page = 1; page <= (config.pagesPerArea || 1); page++) {
-      const url = `https://www.immobilier.ch/fr/louer/appartement/${canton}/${immobilierSlug || configuredSlug}/page-${page}`;
-      try {
-        const html = await fetchHtml(url);
-        const items = parseListingsFromHtml(html, areaLabel);
-
-        // debug disabled
-        for (const item of items) {
-          if (!isTargetAreaCity(item.area || '', targetAreaSet)) continue;
-          scraped.push(item);
-        }
-      } catch (err) {
-        console.error(`WARN ${url}: ${err.message}`);
-      }
+  enabledProviders.forEach((provider, index) => {
+    for (const item of providerResults[index]) {
+      item.providerId = provider.id;
+      item.listingStage = item.listingStage || provider.listingStage;
+      scraped.push(item);
     }
-  }
-
-  if (config.sources?.flatfox !== false) {
-    const flatfoxItems = await scrapeFlatfoxListings(config);
-    scraped.push(...flatfoxItems);
-  }
-
-  if (config.sources?.naef !== false) {
-    const naefItems = await scrapeNaefListings(config);
-    scraped.push(...naefItems);
-  }
-
-  if (config.sources?.bernardNicod !== false) {
-    const bernardItems = await scrapeBernardNicodListings(config);
-    scraped.push(...bernardItems);
-  }
-
-  if (config.sources?.retraitesListings !== false) {
-    const rpListings = await scrapeRetraitesPopulairesListings(config);
-    scraped.push(...rpListings);
-  }
-
-  if (config.sources?.anibis !== false) {
-    const anibisItems = await scrapeAnibisListings(config);
-    scraped.push(...anibisItems);
-  }
+  });
 
   const dedupById = new Map();
   for (const item of scraped) {
@@ -2695,16 +3889,17 @@ async function main() {
     dedupById.set(key, incomingRank > existingRank ? item : existing);
   }
 
-  if (config.sources?.flatfox !== false) {
-    const recheckLimit = Math.max(0, Number(config.flatfox?.recheckKnownIdsLimit ?? 20));
-    const missingKnownFlatfox = (tracker.listings || [])
-      .filter((x) => x?.source === 'flatfox.ch' && x?.sourceId && !dedupById.has(String(x.id)))
-      .slice(0, recheckLimit);
+  for (const provider of enabledProviders) {
+    if (!provider.recover) continue;
+
+    const missingKnown = (tracker.listings || [])
+      .filter((x) => x?.source === provider.source && !dedupById.has(String(x.id)));
+    const recoveredItems = await provider.recover(missingKnown, config);
 
-    for (const old of missingKnownFlatfox) {
-      const recovered = await fetchFlatfoxListingById(old.sourceId, old.area || '');
-      if (!recovered) continue;
+    for (const recovered of recoveredItems) {
       if (!isTargetAreaCity(recovered.area || '', targetAreaSet)) continue;
+      recovered.providerId = provider.id;
+      recovered.listingStage = recovered.listingStage || provider.listingStage;
 
       const key = String(recovered.id);
       const existing = dedupById.get(key);
@@ -2714,29 +3909,75 @@ async function main() {
     }
   }
 
-  const { kept: crossSourceDeduped, removedIds: crossSourceRemovedIds } = dedupeCrossSourceListings([...dedupById.values()], trackerMap);
+  const similarityThreshold = resolveSimilarityThreshold(config);
+  // Placeholders, agency logos and facade shots found on many tracked
+  // listings say nothing about the flat.
+  const genericPhotos = genericPhotoHashes(tracker.listings || []);
+  const {
+    kept: crossSourceDeduped,
+    removedIds: crossSourceRemovedIds,
+    matches: crossSourceMatches,
+    losers: crossSourceLosers
+  } = dedupeCrossSourceListings([...dedupById.values()], trackerMap, dedupOverrides, similarityThreshold, genericPhotos);
   const dedup = new Map(crossSourceDeduped.map((item) => [String(item.id), item]));
-  const activeDedupKeys = new Set(
-    crossSourceDeduped
-      .map((item) => buildCrossSourceDedupKey(item))
-      .filter(Boolean)
-  );
 
   const now = new Date().toISOString();
   const merged = [];
+  const budgetBasisNote = resolveRentBasis(config) === 'net' ? ` (${rentBasisLabel('net')})` : '';
+
+  const relistingCandidates = (tracker.listings || []).filter((old) => isRelistingCandidate(old, {
+    presentIds: new Set(dedup.keys()),
+    now: Date.parse(now),
+    windowDays: Number(config.filters?.relistingWindowDays ?? DEFAULT_RELISTING_WINDOW_DAYS)
+  }));
+  // Old tracker ID -> new ID, for entries taken over by a relisting.
+  const relistedOldIds = new Map();
+
+  // The new listing carries on the follow-up of the entry it replaces.
+  const takeOverRelisting = (record, previous, reason) => {
+    relistingCandidates.splice(relistingCandidates.indexOf(previous), 1);
+    relistedOldIds.set(String(previous.id), String(record.id));
+
+    const priceHistory = recordPrice(priceHistoryOf(previous), record.totalChf, now);
+    const fieldChanges = diffListingFields(
+      { ...previous, photos: remoteImageUrlsFromItem(previous).slice(0, maxArchivedImages) },
+      { ...record, photos: remoteImageUrlsFromItem(record).slice(0, maxArchivedImages) }
+    );
+
+    Object.assign(record, {
+      status: normalizeStatus(previous.status || 'À contacter'),
+      notes: mergeNotesWithEntryDate(previous.notes || '', record.entryDateText),
+      pinned: !!previous.pinned,
+      firstSeenAt: previous.firstSeenAt || now,
+      priceHistory,
+      priceDrop: lastPriceDrop(priceHistory),
+      changeLog: appendChangeLog(previous.changeLog, fieldChanges, now),
+      relistedFromId: String(previous.id),
+      relistedAt: now,
+      relistingMatch: reason,
+      isNew: false
+    });
+  };
+
+  const relistedEntryFields = (old, newId) => ({
+    status: normalizeStatus(old.status),
+    active: false,
+    isRemoved: true,
+    removedAt: old.removedAt || now,
+    isNew: false,
+    display: false,
+    relistedAs: String(newId),
+    filterReason: 'Remise en ligne sous une nouvelle annonce'
+  });
 
   for (const item of dedup.values()) {
     item.priority = derivePriority(item, config);
     item.lastSeenAt = now;
 
-    const minBudget = Number(config.filters?.minTotalChf ?? 0);
-    const maxBudget = Number(config.filters?.maxTotalChf ?? 1400);
     item.excludedType = isExcludedType(item, config);
     item.sizeEligible = isSizeEligible(item, config);
     item.budgetEligible = isBudgetEligible(item, config);
-    item.isPearl = false;
-    item.withinHardBudget = item.budgetEligible;
-    item.aboveMinBudget = minBudget <= 0 || (item.totalChf != null && item.totalChf >= minBudget);
+    item.aboveMinBudget = isAboveMinBudget(item, config);
 
     const publicationMeta = publicationEligibility(item, config);
     item.publishedAgeDays = publicationMeta.ageDays;
@@ -2751,6 +3992,10 @@ async function main() {
     item.nonSpeculativeEligible = nonSpecMeta.eligible;
     item.nonSpeculativeFilterReason = nonSpecMeta.reason;
 
+    applyMoveInEligibility(item, config);
+    // Travel times are only known once the listing is enriched below.
+    applyCommuteEligibility(item, config);
+
     const isOffMarketListing = String(item.listingStage || '').toLowerCase() === 'off_market';
 
     item.display = isOffMarketListing
@@ -2760,57 +4005,81 @@ async function main() {
         && item.aboveMinBudget
         && item.budgetEligible
         && item.publicationEligible
+        && item.moveInEligible
+        && item.commuteEligible
         && item.locationEligible
         && item.nonSpeculativeEligible);
+  }
 
-    if (item.display) {
-      if (item.source === 'immobilier.ch') {
-        const moveIn = await fetchMoveInDate(item.sourceId || item.id);
-        item.entryDateText = moveIn.date;
-        item.entryDateFetched = moveIn.fetched;
-      } else {
-        const moveInDate = parseFlatfoxMoveInDate(item.movingDateRaw);
-        item.entryDateText = isStrictEntryDate(moveInDate) ? moveInDate : null;
-        item.entryDateFetched = Boolean(item.entryDateText);
-      }
+  // Move-in dates, geocoding and routes are the slow part of a scan: run them
+  // for several listings at once and let the scheduler pace each host.
+  const displayedItems = [...dedup.values()].filter((item) => item.display);
+  const enrichedItems = new Set(displayedItems);
+  await mapWithConcurrency(displayedItems, listingConcurrency, async (item) => {
+    const provider = PROVIDERS_BY_ID.get(item.providerId);
+    const isOffMarketListing = String(item.listingStage || '').toLowerCase() === 'off_market';
+    await (provider?.enrich || applyRawMoveInDate)(item);
 
-      const distanceMeta = await computeDistanceFromWork(item, workCoords, geocodeCache);
-      item.distanceKm = distanceMeta.distanceKm;
-      item.distanceText = distanceMeta.distanceText;
-      item.distanceComputed = distanceMeta.computed;
-      item.distanceFromWorkAddress = workAddress;
-      applyMapCoordinatesFromDistance(item, distanceMeta);
+    // Some sources only give the entry date on the detail page.
+    applyMoveInEligibility(item, config);
+    if (!item.moveInEligible && !isOffMarketListing) {
+      item.display = false;
+      return;
+    }
 
-      const driveMinutes = await fetchDrivingMinutes(workCoords, distanceMeta.listingCoords, routeCache);
-      const transitMinutes = await fetchTransitMinutes(workAddress, distanceMeta.listingAddress, routeCache);
+    const distanceMeta = await computeDistanceFromWork(item, workCoords, geocodeCache);
+    item.distanceKm = distanceMeta.distanceKm;
+    item.distanceText = distanceMeta.distanceText;
+    item.distanceComputed = distanceMeta.computed;
+    item.distanceFromWorkAddress = workAddress;
+    applyMapCoordinatesFromDistance(item, distanceMeta);
 
-      item.driveMinutes = toDurationMinutesOrNull(driveMinutes);
-      item.driveText = item.driveMinutes != null ? `${Math.round(item.driveMinutes)} min` : '';
-      item.transitMinutes = toDurationMinutesOrNull(transitMinutes);
-      item.transitText = item.transitMinutes != null ? `${Math.round(item.transitMinutes)} min` : '';
-    } else {
-      item.entryDateText = null;
-      item.entryDateFetched = false;
-      item.distanceKm = null;
-      item.distanceText = '';
-      item.distanceComputed = false;
-      item.distanceFromWorkAddress = workAddress;
-      item.driveMinutes = null;
-      item.driveText = '';
-      item.transitMinutes = null;
-      item.transitText = '';
-    }
+    const [driveMinutes, transitMinutes] = await Promise.all([
+      fetchDrivingMinutes(workCoords, distanceMeta.listingCoords, routeCache),
+      fetchTransitMinutes(workAddress, distanceMeta.listingAddress, routeCache)
+    ]);
+
+    item.driveMinutes = toDurationMinutesOrNull(driveMinutes);
+    item.driveText = item.driveMinutes != null ? `${Math.round(item.driveMinutes)} min` : '';
+    item.transitMinutes = toDurationMinutesOrNull(transitMinutes);
+    item.transitText = item.transitMinutes != null ? `${Math.round(item.transitMinutes)} min` : '';
+
+    applyCommuteEligibility(item, config);
+    if (!item.commuteEligible && !isOffMarketListing) item.display = false;
+  });
+
+  for (const item of dedup.values()) {
+    const minBudget = Number(config.filters?.minTotalChf ?? 0);
+    const maxBudget = Number(config.filters?.maxTotalChf ?? 1400);
+    const isOffMarketListing = String(item.listingStage || '').toLowerCase() === 'off_market';
 
     if (!item.display) {
+      // Listings hidden after enrichment keep what was fetched: the entry
+      // date or travel time behind their filter reason.
+      if (!enrichedItems.has(item)) {
+        item.entryDateText = null;
+        item.entryDateFetched = false;
+        item.distanceKm = null;
+        item.distanceText = '';
+        item.distanceComputed = false;
+        item.distanceFromWorkAddress = workAddress;
+        item.driveMinutes = null;
+        item.driveText = '';
+        item.transitMinutes = null;
+        item.transitText = '';
+      }
+
       if (item.excludedType) item.filterReason = 'Type exclu (chambre/colocation)';
       else if (!item.locationEligible) item.filterReason = item.locationFilterReason || 'Hors zones ciblées';
       else if (!item.nonSpeculativeEligible) item.filterReason = item.nonSpeculativeFilterReason || 'Bailleur hors liste non spéculative';
       else if (isOffMarketListing) item.filterReason = 'Signal off-market non prioritaire';
-      else if (!item.aboveMinBudget) item.filterReason = `En dessous de CHF ${minBudget}`;
+      else if (!item.aboveMinBudget) item.filterReason = `En dessous de CHF ${minBudget}${budgetBasisNote}`;
       else if (!item.sizeEligible) item.filterReason = 'Taille non prioritaire';
+      else if (!item.moveInEligible) item.filterReason = item.moveInFilterReason || "Date d'entrée hors délai";
+      else if (!item.commuteEligible) item.filterReason = item.commuteFilterReason || 'Trajet trop long';
       else if (!item.publicationEligible) {
         item.filterReason = `Annonce trop ancienne (> ${item.maxPublishedAgeDays} jours)`;
-      } else item.filterReason = `Au-dessus de CHF ${maxBudget}`;
+      } else item.filterReason = `Au-dessus de CHF ${maxBudget}${budgetBasisNote}`;
     } else {
       item.filterReason = '';
     }
@@ -2838,7 +4107,9 @@ async function main() {
         ? `${Math.round(transitMinutes)} min`
         : sanitizeTravelText(existing.transitText || '');
 
-      merged.push({
+      const priceHistory = recordPrice(priceHistoryOf(existing), item.totalChf, now);
+
+      const record = {
         ...existing,
         ...item,
         pinned: !!existing.pinned,
@@ -2853,18 +4124,37 @@ async function main() {
         mapLon: item.mapLon ?? existing.mapLon ?? null,
         mapAddress: item.mapAddress || existing.mapAddress || '',
         publishedAt: item.publishedAt || existing.publishedAt || null,
+        // Detail-page amenities are only fetched for displayed listings: a
+        // listing not enriched this scan keeps the earlier detail-page flags
+        // over its card text.
+        amenities: enrichedItems.has(item)
+          ? mergeAmenities(item.amenities, existing.amenities)
+          : mergeAmenities(existing.amenities, item.amenities),
         status: normalizeStatus(existing.status || 'À contacter'),
         notes: mergeNotesWithEntryDate(existing.notes || '', entryDateText),
         firstSeenAt: existing.firstSeenAt || now,
+        priceHistory,
+        priceDrop: lastPriceDrop(priceHistory),
         active: true,
         isRemoved: false,
         removedAt: null,
         missingCount: 0,
+        duplicateOf: null,
+        dedupMatch: null,
         isNew: !prevIds.has(String(item.id))
-      });
+      };
+
+      // Compare the scraped photos, not the archived copies kept on the record;
+      // the stored remote list is capped like the archive.
+      const fieldChanges = diffListingFields(
+        { ...existing, photos: remoteImageUrlsFromItem(existing).slice(0, maxArchivedImages) },
+        { ...record, photos: remoteImageUrlsFromItem(item).slice(0, maxArchivedImages) }
+      );
+      record.changeLog = appendChangeLog(existing.changeLog, fieldChanges, now);
+      merged.push(record);
     } else {
       const entryDateText = isStrictEntryDate(item.entryDateText) ? item.entryDateText : null;
-      merged.push({
+      const record = {
         ...item,
         entryDateText,
         distanceKm: item.distanceComputed ? item.distanceKm : null,
@@ -2880,31 +4170,44 @@ async function main() {
         status: 'À contacter',
         notes: mergeNotesWithEntryDate('', entryDateText),
         firstSeenAt: now,
+        priceHistory: recordPrice([], item.totalChf, now),
+        priceDrop: null,
         active: true,
         isRemoved: false,
         removedAt: null,
         missingCount: 0,
         isNew: true
+      };
+
+      const relisting = findRelisting(item, relistingCandidates, buildCrossSourceDedupKey, {
+        overrides: dedupOverrides,
+        ignorePhotos: genericPhotos
       });
+      if (relisting) takeOverRelisting(record, relisting.candidate, relisting.reason);
+
+      merged.push(record);
     }
   }
 
   for (const old of tracker.listings || []) {
+    if (relistedOldIds.has(String(old.id))) {
+      merged.push({ ...old, ...relistedEntryFields(old, relistedOldIds.get(String(old.id))) });
+      continue;
+    }
+
     if (!dedup.has(String(old.id))) {
       // If this listing was explicitly removed by cross-source dedup (enriched data
       // matched another active listing), mark it as a duplicate — not as "missing".
-      if (crossSourceRemovedIds.has(String(old.id))) {
-        merged.push({
-          ...old,
-          status: normalizeStatus(old.status),
-          active: false,
-          isRemoved: true,
-          removedAt: old.removedAt || now,
-          missingCount: 0,
-          isNew: false,
-          display: false,
-          filterReason: 'Doublon inter-source (dedup enrichie)'
-        });
+      const manualMergeTarget = resolveMergeTarget(dedupOverrides, old.id);
+      const mergedInto = crossSourceRemovedIds.get(String(old.id))
+        || (manualMergeTarget && (dedup.has(manualMergeTarget) || trackerMap.has(manualMergeTarget)) ? manualMergeTarget : null);
+      if (mergedInto) {
+        merged.push(crossSourceDuplicateEntry(old, {
+          mergedInto,
+          match: crossSourceMatches.get(String(old.id)) || null,
+          manual: mergedInto === manualMergeTarget,
+          now
+        }));
         continue;
       }
 
@@ -2951,21 +4254,27 @@ async function main() {
       const publicationMeta = publicationEligibility(old, config);
       const locationMeta = locationEligibility(old, config);
       const nonSpecMeta = nonSpeculativeEligibility(old, config);
+      const moveInMeta = moveInEligibility(old, config);
+      const commuteMeta = commuteEligibility(old, config);
 
       const refreshed = {
         excludedType: isExcludedType(old, config),
         sizeEligible: isSizeEligible(old, config),
         budgetEligible: isBudgetEligible(old, config),
-        isPearl: false,
-        withinHardBudget: isBudgetEligible(old, config),
-        aboveMinBudget: minBudget <= 0 || (old.totalChf != null && old.totalChf >= minBudget),
+        aboveMinBudget: isAboveMinBudget(old, config),
         publishedAgeDays: publicationMeta.ageDays,
         maxPublishedAgeDays: publicationMeta.maxAgeDays,
         publicationEligible: publicationMeta.eligible,
         locationEligible: locationMeta.eligible,
         locationFilterReason: locationMeta.reason,
         nonSpeculativeEligible: nonSpecMeta.eligible,
-        nonSpeculativeFilterReason: nonSpecMeta.reason
+        nonSpeculativeFilterReason: nonSpecMeta.reason,
+        moveInEligible: moveInMeta.eligible,
+        moveInFilterReason: moveInMeta.reason,
+        availableFrom: moveInMeta.availableFrom,
+        availability: moveInMeta.availability,
+        commuteEligible: commuteMeta.eligible,
+        commuteFilterReason: commuteMeta.reason
       };
 
       const isOffMarketListing = String(old.listingStage || '').toLowerCase() === 'off_market';
@@ -2977,6 +4286,8 @@ async function main() {
           && refreshed.aboveMinBudget
           && refreshed.budgetEligible
           && refreshed.publicationEligible
+          && refreshed.moveInEligible
+          && refreshed.commuteEligible
           && refreshed.locationEligible
           && refreshed.nonSpeculativeEligible);
 
@@ -2987,17 +4298,27 @@ async function main() {
         else if (!refreshed.locationEligible) refreshed.filterReason = refreshed.locationFilterReason || 'Hors zones ciblées';
         else if (!refreshed.nonSpeculativeEligible) refreshed.filterReason = refreshed.nonSpeculativeFilterReason || 'Bailleur hors liste non spéculative';
         else if (isOffMarketListing) refreshed.filterReason = 'Signal off-market non prioritaire';
-        else if (!refreshed.aboveMinBudget) refreshed.filterReason = `En dessous de CHF ${minBudget}`;
+        else if (!refreshed.aboveMinBudget) refreshed.filterReason = `En dessous de CHF ${minBudget}${budgetBasisNote}`;
         else if (!refreshed.sizeEligible) refreshed.filterReason = 'Taille non prioritaire';
+        else if (!refreshed.moveInEligible) refreshed.filterReason = refreshed.moveInFilterReason || "Date d'entrée hors délai";
+        else if (!refreshed.commuteEligible) refreshed.filterReason = refreshed.commuteFilterReason || 'Trajet trop long';
         else if (!refreshed.publicationEligible) {
           refreshed.filterReason = `Annonce trop ancienne (> ${refreshed.maxPublishedAgeDays} jours)`;
-        } else refreshed.filterReason = `Au-dessus de CHF ${maxBudget}`;
+        } else refreshed.filterReason = `Au-dessus de CHF ${maxBudget}${budgetBasisNote}`;
       } else {
         refreshed.filterReason = '';
       }
 
-      const oldDedupKey = buildCrossSourceDedupKey(old);
-      const duplicateOfActive = refreshed.display !== false && oldDedupKey && activeDedupKeys.has(oldDedupKey);
+      // A tracked listing missing from this scan that matches an active one is
+      // the same flat seen under another source.
+      const activeMatch = refreshed.display !== false
+        ? findBestMatch(old, crossSourceDeduped, {
+          threshold: similarityThreshold,
+          skip: (candidate) => isSplitPair(dedupOverrides, candidate.id, old.id),
+          ignorePhotos: genericPhotos
+        })
+        : null;
+      const duplicateOfActive = activeMatch ? String(activeMatch.candidate.id) : null;
       const excludedAnibisSale = isStoredAnibisSaleListing(old);
       const anibisSourceDisabled = String(old?.source || '') === 'anibis.ch' && config.sources?.anibis === false;
       let shouldRemove = duplicateOfActive || excludedAnibisSale || anibisSourceDisabled
@@ -3027,6 +4348,8 @@ async function main() {
           missingCount: nextMissing,
           isNew: false,
           display: false,
+          duplicateOf: duplicateOfActive,
+          dedupMatch: activeMatch ? { score: activeMatch.score, reasons: activeMatch.reasons } : null,
           filterReason: duplicateOfActive
             ? 'Doublon inter-source'
             : (excludedAnibisSale ? 'Annonce vente exclue (Anibis)' : 'Source Anibis désactivée')
@@ -3080,6 +4403,17 @@ async function main() {
     }
   }
 
+  // A merge between two listings both new in this scan hides one that the
+  // tracker does not know yet: keep it too, or "Séparer" could not undo it.
+  for (const [id, loser] of crossSourceLosers) {
+    if (trackerMap.has(id)) continue;
+    merged.push(crossSourceDuplicateEntry(loser, {
+      mergedInto: crossSourceRemovedIds.get(id),
+      match: crossSourceMatches.get(id) || null,
+      now
+    }));
+  }
+
   for (const item of merged) {
     const scoreMeta = computeScore(item, config);
     item.score = scoreMeta.score;
@@ -3096,45 +4430,185 @@ async function main() {
   });
 
   normalizeListingImageFields(merged);
-
-  const visibleActive = merged.filter((x) => x.active && x.display !== false);
-  const visibleRemoved = merged.filter((x) => !x.active && x.display !== false && x.isRemoved);
-  const visibleAll = merged.filter((x) => x.display !== false);
+  const imagesReleased = applyImageRetention(merged, resolveImageRetention(config), Date.parse(now));
 
   // Archive images only while flats are still visible/active.
-  await localizeVisibleListingImages(visibleActive, config);
+  const archived = merged.filter((x) => x.active && x.display !== false);
+  await localizeVisibleListingImages(archived, config);
+
+  const imageHashCache = await readJsonSafe(IMAGE_HASH_CACHE_PATH, {});
+  await hashArchivedImages(archived, imageHashCache);
+
+  // Photos of new listings only have hashes now: last chance to recognise a
+  // relisting whose text and photo URLs all changed. The generic photos are
+  // counted again with the new hashes in.
+  const lateGenericPhotos = genericPhotoHashes(merged);
+  for (const record of archived) {
+    if (record.firstSeenAt !== now || record.relistedFromId || !record.imageHashes?.length) continue;
+    const relisting = findRelisting(record, relistingCandidates, buildCrossSourceDedupKey, {
+      overrides: dedupOverrides,
+      ignorePhotos: lateGenericPhotos
+    });
+    if (!relisting) continue;
 
-  const matching = visibleActive;
-  const newListings = matching.filter((x) => x.isNew || !prevIds.has(String(x.id)));
+    const previousEntry = merged.find((x) => String(x.id) === String(relisting.candidate.id));
+    takeOverRelisting(record, relisting.candidate, relisting.reason);
+    if (previousEntry) Object.assign(previousEntry, relistedEntryFields(previousEntry, record.id));
+  }
 
-  const latest = {
-    generatedAt: now,
-    totalCount: visibleActive.length,
-    removedCount: visibleRemoved.length,
-    matchingCount: matching.length,
-    newCount: newListings.length,
-    newListings,
-    matching,
-    all: visibleAll
-  };
+  // "Same photos as…": any other tracked listing, removed ones included, except
+  // the pairs already linked as duplicate or relisting.
+  const linked = (a, b) => [a.duplicateOf, a.relistedAs, a.relistedFromId].includes(String(b.id));
+  const samePhotos = findSamePhotoListings(merged, { skipPair: (a, b) => linked(a, b) || linked(b, a) });
+  const mergedById = toMap(merged);
+  for (const item of merged) {
+    item.samePhotosAs = (samePhotos.get(String(item.id)) || []).slice(0, 5).map(({ id, count }) => {
+      const other = mergedById.get(id);
+      return {
+        id,
+        count,
+        source: other.source || '',
+        title: other.objectType || other.title || '',
+        url: other.url || '',
+        isRemoved: !!other.isRemoved
+      };
+    });
+  }
 
-  const newTracker = {
-    ...tracker,
-    updatedAt: now,
-    criteria: config,
-    statuses: STATUSES,
-    listings: merged
-  };
+  const outputPaths = REPLAY_OUTPUT_DIR
+    ? {
+      tracker: path.join(REPLAY_OUTPUT_DIR, 'tracker.json'),
+      latest: path.join(REPLAY_OUTPUT_DIR, 'latest-listings.json'),
+      scanHistory: path.join(REPLAY_OUTPUT_DIR, 'scan-history.json')
+    }
+    : { tracker: TRACKER_PATH, latest: LATEST_PATH, scanHistory: SCAN_HISTORY_PATH };
+  if (REPLAY_OUTPUT_DIR) await fs.mkdir(REPLAY_OUTPUT_DIR, { recursive: true });
+
+  let imageGc = { removedFiles: 0, removedNames: [], freedBytes: 0 };
+
+  // The dashboard may have edited or deleted listings while the scan ran: fold
+  // those edits in and write tracker + latest under the profile lock.
+  const { latest, visibleAll } = await withProfileLock(DATA_DIR, async () => {
+    const onDisk = await readJsonSafe(TRACKER_PATH, null);
+    if (Array.isArray(onDisk?.listings)) {
+      const edits = mergeUserEdits(merged, userFieldsBaseline, onDisk.listings);
+      merged.splice(0, merged.length, ...edits.listings);
+      if (edits.updated || edits.deleted) {
+        console.log(`Modifications faites pendant le scan: ${edits.updated} annonces mises à jour, ${edits.deleted} supprimées`);
+      }
+    }
+
+    const visibleActive = merged.filter((x) => x.active && x.display !== false);
+    const visibleRemoved = merged.filter((x) => !x.active && x.display !== false && x.isRemoved);
+    const visibleAll = merged.filter((x) => x.display !== false);
+
+    const matching = visibleActive;
+    const relistings = matching.filter((x) => x.relistedAt === now);
+    const newListings = matching.filter((x) => x.relistedAt !== now && (x.isNew || !prevIds.has(String(x.id))));
+    const priceDrops = matching.filter((x) => x.priceDrop?.at === now);
+
+    const latest = {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      generatedAt: now,
+      totalCount: visibleActive.length,
+      removedCount: visibleRemoved.length,
+      matchingCount: matching.length,
+      newCount: newListings.length,
+      newListings,
+      priceDropCount: priceDrops.length,
+      relistedCount: relistings.length,
+      matching,
+      all: visibleAll,
+      scanHealth: scanHealth.report()
+    };
+
+    const newTracker = {
+      ...tracker,
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      updatedAt: now,
+      criteria: config,
+      statuses: STATUSES,
+      listings: merged
+    };
 
-  await fs.writeFile(TRACKER_PATH, JSON.stringify(newTracker, null, 2));
-  await fs.writeFile(LATEST_PATH, JSON.stringify(latest, null, 2));
-  await fs.writeFile(GEOCODE_CACHE_PATH, JSON.stringify(geocodeCache, null, 2));
-  await fs.writeFile(ROUTE_CACHE_PATH, JSON.stringify(routeCache, null, 2));
+    await writeJsonAtomic(outputPaths.tracker, newTracker);
+    await writeJsonAtomic(outputPaths.latest, latest);
+
+    // Swept under the lock against the listings just written. Photos written
+    // since this scan started may belong to another scan that has not saved
+    // its tracker yet; the next scan collects them if they stay orphaned. An
+    // unreadable tracker would make every archived photo look orphaned.
+    if (!REPLAY_OUTPUT_DIR) {
+      if ((tracker.listings || []).length) {
+        imageGc = await collectImageGarbage(path.join(DATA_DIR, 'images'), referencedImageNames(merged), {
+          writtenBefore: scanStartedAt
+        });
+      }
+      for (const name of imageGc.removedNames) delete imageHashCache[name];
+      await writeJsonAtomic(IMAGE_HASH_CACHE_PATH, imageHashCache);
+    }
+    return { latest, visibleAll };
+  });
+
+  if (!REPLAY_OUTPUT_DIR) {
+    await writeJsonAtomic(GEOCODE_CACHE_PATH, geocodeCache);
+    await writeJsonAtomic(ROUTE_CACHE_PATH, routeCache);
+  }
+
+  const scanRecord = buildScanRecord({
+    generatedAt: now,
+    previous: previousLatest.all || [],
+    current: visibleAll,
+    config,
+    scanHealth: latest.scanHealth
+  });
+  await writeScanHistory(outputPaths.scanHistory, appendScanRecord(await readScanHistory(outputPaths.scanHistory), scanRecord));
 
   console.log(makeSummary(latest));
+  if (imageGc.removedFiles) {
+    console.log(`Photos archivées: ${imageGc.removedFiles} fichiers supprimés (${(imageGc.freedBytes / 1048576).toFixed(1)} Mo, ${imagesReleased} annonces retirées hors rétention)`);
+  }
+
+  if (httpCassette.mode !== 'off') {
+    const { recorded, replayed, missing } = httpCassette.stats;
+    console.log(`Cassette HTTP (${httpCassette.mode}, ${httpCassette.dir}): ${recorded} enregistrées, ${replayed} rejouées, ${missing} absentes`);
+    if (REPLAY_OUTPUT_DIR) console.log(`Résultats du replay écrits dans ${REPLAY_OUTPUT_DIR} (profil inchangé)`);
+  }
 }
 
-main().catch((err) => {
-  console.error(err.stack || err.message || String(err));
-  process.exit(1);
-});
+// Page and listing parsers, exported for the fixture tests in tests/.
+export {
+  buildInstitutionalLeadItem,
+  buildRegieItem,
+  crossSourceDuplicateEntry,
+  dedupeCrossSourceListings,
+  extractBernardNicodCardTags,
+  findNewhomeListingArray,
+  isAnibisRentalListing,
+  normalizeRegieEntries,
+  parseAnibisListing,
+  parseAnibisSearchDataFromHtml,
+  parseBernardNicodPropertyCard,
+  parseFlatfoxListing,
+  parseImmoScout24Listing,
+  parseImmoScout24StateFromHtml,
+  parseInstitutionalLeadsFromHtml,
+  parseListingsFromHtml,
+  parseNaefListing,
+  parseNaefListingsFromHtml,
+  parseNewhomeListing,
+  parseNewhomeSearchDataFromHtml,
+  parseRegieListingsFromHtml,
+  parseRetraitesListingsFromHtml,
+  parseRetraitesMarker,
+  parseRetraitesProjectCards,
+  resolveImmoScout24SearchResult
+};
+
+// Only scan when run as a script, not when imported by the tests.
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch((err) => {
+    console.error(err.stack || err.message || String(err));
+    process.exit(1);
+  });
+}
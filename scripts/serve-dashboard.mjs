@@ -4,6 +4,28 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { buildMapListingsPayload } from './map-listings.mjs';
+import { publicSourceDefinitions, resolveSourceToggles } from './source-registry.mjs';
+import { diffScanRecords, readScanHistory, summarizeScanRecord } from './scan-history.mjs';
+import {
+  addMergeOverride,
+  addSplitOverride,
+  readDedupOverrides,
+  writeDedupOverrides
+} from './dedup-overrides.mjs';
+import { DEFAULT_SIMILARITY_THRESHOLD } from './listing-similarity.mjs';
+import {
+  DEFAULT_REMOVED_IMAGE_RETENTION_DAYS,
+  collectImageGarbage,
+  imageStorageUsage,
+  referencedImageNames
+} from './image-archive.mjs';
+import { withProfileLock, writeJsonAtomic } from './tracker-store.mjs';
+import { CURRENT_SCHEMA_VERSION, migrateProfileFiles } from './schema-migrations.mjs';
+import { DEFAULT_SCORING_MODEL, resolveScoringModel } from './scoring-model.mjs';
+import { publicAmenityDefinitions } from './amenities.mjs';
+import { resolveRentBasis } from './rent-breakdown.mjs';
+import { resolveMoveInWindow } from './move-in.mjs';
+import { resolveCommuteLimits } from './listing-filters.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,6 +37,8 @@ const SCRAPE_SCRIPT = path.join(ROOT, 'scripts', 'scrape-immobilier.mjs');
 
 const PORT = Number(process.env.PORT || 8787);
 const scanAllJobs = new Map();
+// Profiles whose files were brought to the current schema by this process.
+const migratedProfiles = new Set();
 
 const MIME = {
   '.html': 'text/html; charset=utf-8',
@@ -44,7 +68,11 @@ function profilePaths(profile) {
     trackerPath: path.join(dataDir, 'tracker.json'),
     latestPath: path.join(dataDir, 'latest-listings.json'),
     geocodeCachePath: path.join(dataDir, 'geocode-cache.json'),
-    routeCachePath: path.join(dataDir, 'route-cache.json')
+    routeCachePath: path.join(dataDir, 'route-cache.json'),
+    scanHistoryPath: path.join(dataDir, 'scan-history.json'),
+    dedupOverridesPath: path.join(dataDir, 'dedup-overrides.json'),
+    imageHashCachePath: path.join(dataDir, 'image-hashes.json'),
+    imagesDir: path.join(dataDir, 'images')
   };
 }
 
@@ -82,19 +110,12 @@ function makeDefaultConfig(profile, base = null) {
 
   // Generic default config for new profiles
   return {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
     name: profile.charAt(0).toUpperCase() + profile.slice(1),
     shortTitle: profile.charAt(0).toUpperCase() + profile.slice(1),
     areas: [{ slug: profile, label: profile.charAt(0).toUpperCase() + profile.slice(1) }],
     pagesPerArea: 2,
-    sources: {
-      immobilier: true,
-      flatfox: true,
-      naef: true,
-      bernardNicod: true,
-      retraitesListings: true,
-      retraitesProjets: true,
-      anibis: false
-    },
+    sources: resolveSourceToggles({}),
     flatfox: { maxPagesPerArea: 3, recheckKnownIdsLimit: 20 },
     filters: {
       maxTotalChf: 1400,
@@ -134,6 +155,11 @@ async function ensureProfileStorage(profile) {
     await fs.writeFile(paths.configPath, JSON.stringify(cfg, null, 2));
   }
 
+  if (!migratedProfiles.has(profile)) {
+    await migrateProfileFiles(paths);
+    migratedProfiles.add(profile);
+  }
+
   return paths;
 }
 
@@ -176,73 +202,187 @@ function readBody(req) {
 
 async function updateStatus(profile, id, status, notes) {
   const paths = await ensureProfileStorage(profile);
-  const tracker = await readJsonSafe(paths.trackerPath, null);
-  if (!tracker || !Array.isArray(tracker.listings)) return false;
+  return withProfileLock(paths.dataDir, async () => {
+    const tracker = await readJsonSafe(paths.trackerPath, null);
+    if (!tracker || !Array.isArray(tracker.listings)) return false;
 
-  const item = tracker.listings.find((x) => String(x.id) === String(id));
-  if (!item) return false;
+    const item = tracker.listings.find((x) => String(x.id) === String(id));
+    if (!item) return false;
 
-  if (status) item.status = status;
-  if (typeof notes === 'string') item.notes = notes;
-  item.updatedAt = new Date().toISOString();
+    if (status) item.status = status;
+    if (typeof notes === 'string') item.notes = notes;
+    item.updatedAt = new Date().toISOString();
 
-  tracker.updatedAt = new Date().toISOString();
-  await fs.writeFile(paths.trackerPath, JSON.stringify(tracker, null, 2));
-  return true;
+    tracker.updatedAt = new Date().toISOString();
+    await writeJsonAtomic(paths.trackerPath, tracker);
+    return true;
+  });
 }
 
 async function togglePin(profile, id) {
   const paths = await ensureProfileStorage(profile);
-  const tracker = await readJsonSafe(paths.trackerPath, null);
-  if (!tracker || !Array.isArray(tracker.listings)) return null;
-
-  const item = tracker.listings.find((x) => String(x.id) === String(id));
-  if (!item) return null;
-
-  item.pinned = !item.pinned;
-  item.updatedAt = new Date().toISOString();
-  tracker.updatedAt = new Date().toISOString();
-  await fs.writeFile(paths.trackerPath, JSON.stringify(tracker, null, 2));
-
-  // Also update latest-listings.json so the dashboard reflects the change immediately
-  const latest = await readJsonSafe(paths.latestPath, null);
-  if (latest) {
-    for (const arr of [latest.all, latest.matching, latest.newListings]) {
-      if (!Array.isArray(arr)) continue;
-      const found = arr.find((x) => String(x.id) === String(id));
-      if (found) found.pinned = item.pinned;
+  return withProfileLock(paths.dataDir, async () => {
+    const tracker = await readJsonSafe(paths.trackerPath, null);
+    if (!tracker || !Array.isArray(tracker.listings)) return null;
+
+    const item = tracker.listings.find((x) => String(x.id) === String(id));
+    if (!item) return null;
+
+    item.pinned = !item.pinned;
+    item.updatedAt = new Date().toISOString();
+    tracker.updatedAt = new Date().toISOString();
+    await writeJsonAtomic(paths.trackerPath, tracker);
+
+    // Also update latest-listings.json so the dashboard reflects the change immediately
+    const latest = await readJsonSafe(paths.latestPath, null);
+    if (latest) {
+      for (const arr of [latest.all, latest.matching, latest.newListings]) {
+        if (!Array.isArray(arr)) continue;
+        const found = arr.find((x) => String(x.id) === String(id));
+        if (found) found.pinned = item.pinned;
+      }
+      await writeJsonAtomic(paths.latestPath, latest);
     }
-    await fs.writeFile(paths.latestPath, JSON.stringify(latest, null, 2));
-  }
 
-  return item.pinned;
+    return item.pinned;
+  });
 }
 
 async function deleteListing(profile, id) {
   const paths = await ensureProfileStorage(profile);
-  const tracker = await readJsonSafe(paths.trackerPath, null);
-  if (!tracker || !Array.isArray(tracker.listings)) return false;
-
-  const before = tracker.listings.length;
-  tracker.listings = tracker.listings.filter((x) => String(x.id) !== String(id));
-  if (tracker.listings.length === before) return false;
-
-  tracker.updatedAt = new Date().toISOString();
-  await fs.writeFile(paths.trackerPath, JSON.stringify(tracker, null, 2));
-
-  const latest = await readJsonSafe(paths.latestPath, null);
-  if (latest && Array.isArray(latest.all)) {
-    latest.all = latest.all.filter((x) => String(x.id) !== String(id));
-    latest.matching = (latest.matching || []).filter((x) => String(x.id) !== String(id));
-    latest.newListings = (latest.newListings || []).filter((x) => String(x.id) !== String(id));
-    latest.totalCount = (latest.all || []).filter((x) => !x.isRemoved).length;
-    latest.removedCount = (latest.all || []).filter((x) => x.isRemoved).length;
-    latest.matchingCount = latest.matching.length;
-    latest.newCount = latest.newListings.length;
-    await fs.writeFile(paths.latestPath, JSON.stringify(latest, null, 2));
+  return withProfileLock(paths.dataDir, async () => {
+    const tracker = await readJsonSafe(paths.trackerPath, null);
+    if (!tracker || !Array.isArray(tracker.listings)) return false;
+
+    const removed = tracker.listings.find((x) => String(x.id) === String(id));
+    if (!removed) return false;
+    tracker.listings = tracker.listings.filter((x) => x !== removed);
+
+    tracker.updatedAt = new Date().toISOString();
+    await writeJsonAtomic(paths.trackerPath, tracker);
+
+    const latest = await readJsonSafe(paths.latestPath, null);
+    if (latest && Array.isArray(latest.all)) {
+      removeFromLatest(latest, id);
+      await writeJsonAtomic(paths.latestPath, latest);
+    }
+
+    await collectProfileImageGarbage(paths, tracker.listings, referencedImageNames([removed]));
+    return true;
+  });
+}
+
+// Delete the `candidates` photos no tracker listing points to any more, and
+// their cached hashes. A full sweep is left to the scan, which may be
+// downloading photos not in tracker.json yet.
+async function collectProfileImageGarbage(paths, listings, candidates) {
+  const gc = await collectImageGarbage(paths.imagesDir, referencedImageNames(listings), { only: candidates });
+  if (!gc.removedFiles) return gc;
+
+  const hashCache = await readJsonSafe(paths.imageHashCachePath, null);
+  if (hashCache) {
+    for (const name of gc.removedNames) delete hashCache[name];
+    await writeJsonAtomic(paths.imageHashCachePath, hashCache);
   }
+  return gc;
+}
 
-  return true;
+function removeFromLatest(latest, id) {
+  latest.all = latest.all.filter((x) => String(x.id) !== String(id));
+  latest.matching = (latest.matching || []).filter((x) => String(x.id) !== String(id));
+  latest.newListings = (latest.newListings || []).filter((x) => String(x.id) !== String(id));
+  latest.totalCount = (latest.all || []).filter((x) => !x.isRemoved).length;
+  latest.removedCount = (latest.all || []).filter((x) => x.isRemoved).length;
+  latest.matchingCount = latest.matching.length;
+  latest.newCount = latest.newListings.length;
+}
+
+// Manual merge: `dropId` is hidden behind `keepId` now and on every later scan.
+async function mergeListings(profile, keepId, dropId) {
+  if (!keepId || !dropId || String(keepId) === String(dropId)) return false;
+
+  const paths = await ensureProfileStorage(profile);
+  return withProfileLock(paths.dataDir, async () => {
+    const tracker = await readJsonSafe(paths.trackerPath, null);
+    if (!tracker || !Array.isArray(tracker.listings)) return false;
+
+    const keep = tracker.listings.find((x) => String(x.id) === String(keepId));
+    const drop = tracker.listings.find((x) => String(x.id) === String(dropId));
+    if (!keep || !drop) return false;
+
+    const overrides = await readDedupOverrides(paths.dedupOverridesPath);
+    await writeDedupOverrides(paths.dedupOverridesPath, addMergeOverride(overrides, keep.id, drop.id));
+
+    const now = new Date().toISOString();
+    keep.duplicateSources = [...new Set([
+      ...(Array.isArray(keep.duplicateSources) ? keep.duplicateSources : [keep.source]),
+      ...(Array.isArray(drop.duplicateSources) ? drop.duplicateSources : [drop.source])
+    ].filter(Boolean))];
+    if (drop.notes && !String(keep.notes || '').includes(drop.notes)) {
+      keep.notes = [keep.notes, drop.notes].filter(Boolean).join('\n');
+    }
+    keep.pinned = !!(keep.pinned || drop.pinned);
+    keep.updatedAt = now;
+
+    // Listings previously merged into the dropped one follow it.
+    for (const item of tracker.listings) {
+      if (String(item.duplicateOf) === String(drop.id)) item.duplicateOf = String(keep.id);
+    }
+    Object.assign(drop, {
+      active: false,
+      isRemoved: true,
+      removedAt: drop.removedAt || now,
+      display: false,
+      duplicateOf: String(keep.id),
+      filterReason: 'Fusionnée manuellement',
+      updatedAt: now
+    });
+
+    tracker.updatedAt = now;
+    await writeJsonAtomic(paths.trackerPath, tracker);
+
+    const latest = await readJsonSafe(paths.latestPath, null);
+    if (latest && Array.isArray(latest.all)) {
+      removeFromLatest(latest, drop.id);
+      await writeJsonAtomic(paths.latestPath, latest);
+    }
+
+    return true;
+  });
+}
+
+// Undo a merge (manual or automatic): the two listings stay apart from now on.
+// The restored listing is shown again right away; the next scan re-checks it.
+async function splitListings(profile, keepId, dropId) {
+  if (!keepId || !dropId || String(keepId) === String(dropId)) return false;
+
+  const paths = await ensureProfileStorage(profile);
+  return withProfileLock(paths.dataDir, async () => {
+    const tracker = await readJsonSafe(paths.trackerPath, null);
+    if (!tracker || !Array.isArray(tracker.listings)) return false;
+
+    const drop = tracker.listings.find((x) => String(x.id) === String(dropId));
+    if (!drop || String(drop.duplicateOf) !== String(keepId)) return false;
+
+    const overrides = await readDedupOverrides(paths.dedupOverridesPath);
+    await writeDedupOverrides(paths.dedupOverridesPath, addSplitOverride(overrides, keepId, drop.id));
+
+    const now = new Date().toISOString();
+    Object.assign(drop, {
+      active: true,
+      isRemoved: false,
+      removedAt: null,
+      missingCount: 0,
+      display: true,
+      duplicateOf: null,
+      filterReason: '',
+      updatedAt: now
+    });
+
+    tracker.updatedAt = now;
+    await writeJsonAtomic(paths.trackerPath, tracker);
+    return true;
+  });
 }
 
 async function runScan(profile) {
@@ -281,6 +421,7 @@ async function listProfiles() {
       const tracker = await readJsonSafe(trackerPath, { listings: [] });
       const latest = await readJsonSafe(latestPath, {});
       const listingsCount = (tracker.listings || []).filter((x) => !x.isRemoved).length;
+      const storage = await imageStorageUsage(path.join(PROFILES_DATA_DIR, entry.name, 'images'));
       profiles.push({
         slug: entry.name,
         name: cfg.name || entry.name,
@@ -289,7 +430,9 @@ async function listProfiles() {
         areas,
         listingsCount,
         maxRent: cfg.filters?.maxTotalChf ?? null,
-        lastScanAt: latest.generatedAt || null
+        lastScanAt: latest.generatedAt || null,
+        imageFiles: storage.files,
+        imageBytes: storage.bytes
       });
     }
     profiles.sort((a, b) => a.slug.localeCompare(b.slug));
@@ -299,6 +442,52 @@ async function listProfiles() {
   }
 }
 
+function scanDiffListingRef(byId, id) {
+  const item = byId.get(String(id));
+  if (!item) return { id };
+  return {
+    id,
+    title: item.title || '',
+    url: item.url || '',
+    address: item.address || '',
+    totalChf: item.totalChf ?? null,
+    source: item.source || ''
+  };
+}
+
+// Resolve the diff's IDs against the tracker so the dashboard can show titles.
+function describeScanDiff(diff, listings = []) {
+  const byId = new Map(listings.map((item) => [String(item.id), item]));
+  return {
+    from: diff.from,
+    to: diff.to,
+    scanCount: diff.scanCount,
+    configChanged: diff.configChanged,
+    added: diff.addedIds.map((id) => scanDiffListingRef(byId, id)),
+    removed: diff.removedIds.map((id) => scanDiffListingRef(byId, id)),
+    changed: diff.changed.map(({ id, fields }) => ({ ...scanDiffListingRef(byId, id), fields }))
+  };
+}
+
+const REGIE_SELECTOR_KEYS = ['card', 'title', 'price', 'rooms', 'surface', 'address', 'link', 'image'];
+
+function sanitizeRegies(regies) {
+  if (!Array.isArray(regies)) return [];
+  return regies
+    .filter((regie) => /^https?:\/\//i.test(String(regie?.url || '').trim()))
+    .map((regie) => {
+      const entry = { url: String(regie.url).trim() };
+      if (regie.name) entry.name = String(regie.name).trim();
+      const selectors = {};
+      for (const key of REGIE_SELECTOR_KEYS) {
+        const value = String(regie.selectors?.[key] || '').trim();
+        if (value) selectors[key] = value;
+      }
+      if (Object.keys(selectors).length) entry.selectors = selectors;
+      return entry;
+    });
+}
+
 function buildConfigFromPayload(payload) {
   const shortTitle = String(payload.shortTitle || '').trim();
   const areas = Array.isArray(payload.areas) ? payload.areas.map((a) => {
@@ -315,7 +504,11 @@ function buildConfigFromPayload(payload) {
   const filters = payload.filters || {};
   const sources = payload.sources || {};
   const preferences = payload.preferences || {};
+  const media = payload.media || {};
+  const retentionDays = Number(media.removedImageRetentionDays);
 
+  const moveInWindow = resolveMoveInWindow({ filters });
+  const commuteLimits = resolveCommuteLimits({ filters });
   const maxPublishedAgeRaw = filters.maxPublishedAgeDays;
   const maxPublishedAgeDays =
     maxPublishedAgeRaw === null || maxPublishedAgeRaw === undefined || maxPublishedAgeRaw === ''
@@ -323,23 +516,18 @@ function buildConfigFromPayload(payload) {
       : Number(maxPublishedAgeRaw);
 
   return {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
     name: shortTitle,
     shortTitle,
     areas,
     pagesPerArea: 2,
-    sources: {
-      immobilier: sources.immobilier !== false,
-      flatfox: sources.flatfox !== false,
-      naef: sources.naef !== false,
-      bernardNicod: sources.bernardNicod !== false,
-      retraitesListings: sources.retraitesListings !== false,
-      retraitesProjets: sources.retraitesProjets !== false,
-      anibis: !!sources.anibis
-    },
+    sources: resolveSourceToggles(sources),
+    regies: sanitizeRegies(payload.regies),
     flatfox: { maxPagesPerArea: 3, recheckKnownIdsLimit: 20 },
     filters: {
       minTotalChf: Number(filters.minTotalChf) || 0,
       maxTotalChf: Number(filters.maxTotalChf) || 1400,
+      rentBasis: resolveRentBasis({ filters }),
       minRoomsPreferred: Number(filters.minRoomsPreferred) || 2,
       minSurfaceM2Preferred: Number(filters.minSurfaceM2Preferred) || 0,
       allowMissingSurface: filters.allowMissingSurface !== false,
@@ -349,10 +537,25 @@ function buildConfigFromPayload(payload) {
       missingScansBeforeRemoved: Math.max(1, Number(filters.missingScansBeforeRemoved) || 2),
       maxPublishedAgeDays: Number.isFinite(maxPublishedAgeDays) && maxPublishedAgeDays > 0
         ? maxPublishedAgeDays
-        : null
+        : null,
+      dedupSimilarityThreshold: Math.min(1, Math.max(0.5, Number(filters.dedupSimilarityThreshold) || DEFAULT_SIMILARITY_THRESHOLD)),
+      moveInEarliest: moveInWindow.earliest,
+      moveInDeadline: moveInWindow.deadline,
+      maxTransitMinutes: commuteLimits.maxTransitMinutes,
+      maxDriveMinutes: commuteLimits.maxDriveMinutes
     },
     preferences: {
       workplaceAddress: preferences.workplaceAddress || null
+    },
+    scoring: resolveScoringModel({ scoring: payload.scoring }),
+    media: {
+      maxArchivedImagesPerListing: Math.min(12, Math.max(1, Number(media.maxArchivedImagesPerListing) || 5)),
+      removedImageRetentionDays: Number.isFinite(retentionDays) && retentionDays >= 0
+        ? Math.round(retentionDays)
+        : DEFAULT_REMOVED_IMAGE_RETENTION_DAYS,
+      ...(Array.isArray(media.keepImagesForStatuses)
+        ? { keepImagesForStatuses: media.keepImagesForStatuses.map((x) => String(x).trim()).filter(Boolean) }
+        : {})
     }
   };
 }
@@ -365,6 +568,14 @@ const server = http.createServer(async (req, res) => {
     return sendJson(res, 200, { profiles });
   }
 
+  if (req.method === 'GET' && u.pathname === '/api/sources') {
+    return sendJson(res, 200, { sources: publicSourceDefinitions() });
+  }
+
+  if (req.method === 'GET' && u.pathname === '/api/amenities') {
+    return sendJson(res, 200, { amenities: publicAmenityDefinitions(), defaults: DEFAULT_SCORING_MODEL.amenities });
+  }
+
   if (req.method === 'GET' && u.pathname === '/api/map-listings') {
     const payload = await buildMapListingsPayload(PROFILES_DATA_DIR);
     return sendJson(res, 200, payload);
@@ -382,8 +593,11 @@ const server = http.createServer(async (req, res) => {
         shortTitle: cfg.shortTitle || slug,
         areas: cfg.areas || [],
         sources: cfg.sources || {},
+        regies: cfg.regies || [],
         filters: cfg.filters || {},
-        preferences: cfg.preferences || {}
+        preferences: cfg.preferences || {},
+        scoring: resolveScoringModel(cfg),
+        media: cfg.media || {}
       }
     });
   }
@@ -403,7 +617,7 @@ const server = http.createServer(async (req, res) => {
       await fs.mkdir(profileDir, { recursive: true });
       const cfg = buildConfigFromPayload(payload);
       await fs.writeFile(path.join(profileDir, 'watch-config.json'), JSON.stringify(cfg, null, 2));
-      await fs.writeFile(path.join(profileDir, 'tracker.json'), JSON.stringify({ listings: [], statuses: ['À contacter', 'Visite', 'Dossier', 'Relance', 'Accepté', 'Refusé', 'Sans réponse'], updatedAt: new Date().toISOString() }, null, 2));
+      await fs.writeFile(path.join(profileDir, 'tracker.json'), JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION, listings: [], statuses: ['À contacter', 'Visite', 'Dossier', 'Relance', 'Accepté', 'Refusé', 'Sans réponse'], updatedAt: new Date().toISOString() }, null, 2));
       return sendJson(res, 201, { ok: true, slug });
     } catch (err) {
       return sendJson(res, 400, { ok: false, error: err.message });
@@ -421,6 +635,8 @@ const server = http.createServer(async (req, res) => {
       if (!(await fileExists(configPath))) {
         return sendJson(res, 404, { ok: false, error: 'Profil introuvable' });
       }
+      // Refuses a config written by newer code instead of overwriting it.
+      await ensureProfileStorage(slug);
 
       const cfg = buildConfigFromPayload(payload);
       await fs.writeFile(configPath, JSON.stringify(cfg, null, 2));
@@ -443,6 +659,7 @@ const server = http.createServer(async (req, res) => {
       }
 
       await fs.rm(profileDir, { recursive: true, force: true });
+      migratedProfiles.delete(clean);
       return sendJson(res, 200, { ok: true });
     } catch (err) {
       return sendJson(res, 400, { ok: false, error: err.message });
@@ -451,7 +668,12 @@ const server = http.createServer(async (req, res) => {
 
   if (req.method === 'GET' && u.pathname === '/api/state') {
     const profile = getProfileFromRequest(u);
-    const paths = await ensureProfileStorage(profile);
+    let paths;
+    try {
+      paths = await ensureProfileStorage(profile);
+    } catch (err) {
+      return sendJson(res, 409, { ok: false, error: err.message });
+    }
 
     const [tracker, latest, config] = await Promise.all([
       readJsonSafe(paths.trackerPath, { listings: [], statuses: [] }),
@@ -472,7 +694,36 @@ const server = http.createServer(async (req, res) => {
 
     const areas = (config?.areas || []).map((a) => a?.label).filter(Boolean).join(' · ');
 
-    return sendJson(res, 200, { profile, tracker, latest, areas });
+    return sendJson(res, 200, {
+      profile,
+      tracker,
+      latest,
+      areas,
+      amenities: publicAmenityDefinitions(),
+      moveIn: resolveMoveInWindow(config)
+    });
+  }
+
+  if (req.method === 'GET' && u.pathname === '/api/scan-history') {
+    const profile = getProfileFromRequest(u);
+    let paths;
+    try {
+      paths = await ensureProfileStorage(profile);
+    } catch (err) {
+      return sendJson(res, 409, { ok: false, error: err.message });
+    }
+    const history = await readScanHistory(paths.scanHistoryPath);
+    const scans = history.map(summarizeScanRecord).reverse();
+
+    const from = u.searchParams.get('from');
+    const to = u.searchParams.get('to');
+    if (!from || !to) return sendJson(res, 200, { ok: true, profile, scans, diff: null });
+
+    const diff = diffScanRecords(history, from, to);
+    if (!diff) return sendJson(res, 404, { ok: false, error: 'Scan introuvable' });
+
+    const tracker = await readJsonSafe(paths.trackerPath, { listings: [] });
+    return sendJson(res, 200, { ok: true, profile, scans, diff: describeScanDiff(diff, tracker.listings || []) });
   }
 
   if (req.method === 'POST' && u.pathname === '/api/update-status') {
@@ -563,6 +814,20 @@ const server = http.createServer(async (req, res) => {
     }
   }
 
+  if (req.method === 'POST' && (u.pathname === '/api/dedup/merge' || u.pathname === '/api/dedup/split')) {
+    const profile = getProfileFromRequest(u);
+
+    try {
+      const raw = await readBody(req);
+      const body = JSON.parse(raw || '{}');
+      const handler = u.pathname === '/api/dedup/merge' ? mergeListings : splitListings;
+      const ok = await handler(profile, body.keepId, body.dropId);
+      return sendJson(res, ok ? 200 : 404, { ok });
+    } catch (err) {
+      return sendJson(res, 400, { ok: false, error: err.message });
+    }
+  }
+
   if (req.method === 'GET' && (u.pathname === '/' || u.pathname === '/dashboard' || u.pathname === '/dashboard/')) {
     return serveFile(res, path.join(DASHBOARD_DIR, 'home.html'));
   }
@@ -597,7 +862,8 @@ const server = http.createServer(async (req, res) => {
     const relative = dashboardMatch[2] || 'index.html';
 
     if (relative === 'index.html') {
-      await ensureProfileStorage(profile);
+      // A schema error is reported by /api/state once the page loads.
+      await ensureProfileStorage(profile).catch(() => {});
     }
 
     return serveFile(res, path.join(DASHBOARD_DIR, relative));
@@ -0,0 +1,142 @@
+// Static description of every listing provider. The scraper binds the
+// scrape/enrich handlers to these entries; the server and the profile form
+// only need the metadata (toggles, labels, defaults). A missing toggle falls
+// back to `defaultEnabled`, so a provider added after profiles exist must
+// default to off, or every existing profile would start scraping it.
+export const SOURCE_DEFINITIONS = [
+  {
+    id: 'immobilier',
+    source: 'immobilier.ch',
+    label: 'immobilier.ch',
+    defaultEnabled: true,
+    listingStage: 'portal_market',
+    priority: 30
+  },
+  {
+    id: 'flatfox',
+    source: 'flatfox.ch',
+    label: 'flatfox.ch',
+    defaultEnabled: true,
+    listingStage: 'portal_market',
+    priority: 20
+  },
+  {
+    id: 'immoscout24',
+    source: 'immoscout24.ch',
+    label: 'immoscout24.ch',
+    defaultEnabled: false,
+    listingStage: 'portal_market',
+    priority: 22
+  },
+  {
+    id: 'newhome',
+    source: 'newhome.ch',
+    label: 'newhome.ch (banques cantonales / régies)',
+    defaultEnabled: false,
+    listingStage: 'portal_market',
+    priority: 21
+  },
+  {
+    id: 'naef',
+    source: 'naef.ch',
+    label: 'naef.ch (direct régie)',
+    defaultEnabled: true,
+    listingStage: 'early_market',
+    priority: 27
+  },
+  {
+    id: 'bernardNicod',
+    source: 'bernard-nicod.ch',
+    label: 'bernard-nicod.ch (direct régie)',
+    defaultEnabled: true,
+    listingStage: 'early_market',
+    priority: 26
+  },
+  {
+    id: 'retraitesListings',
+    source: 'retraitespopulaires.ch',
+    label: 'Retraites Populaires (locations directes)',
+    defaultEnabled: true,
+    listingStage: 'early_market',
+    priority: 18
+  },
+  {
+    id: 'retraitesProjets',
+    source: 'retraitespopulaires.ch',
+    label: 'Retraites Populaires (projets neufs / off-market)',
+    defaultEnabled: true,
+    listingStage: 'off_market',
+    priority: 18
+  },
+  {
+    id: 'cip',
+    source: 'cipvd.ch',
+    label: 'CIP (projets institutionnels / off-market)',
+    defaultEnabled: false,
+    listingStage: 'off_market',
+    priority: 12
+  },
+  {
+    id: 'cpev',
+    source: 'cpev.ch',
+    label: 'CPEV (projets institutionnels / off-market)',
+    defaultEnabled: false,
+    listingStage: 'off_market',
+    priority: 12
+  },
+  {
+    id: 'cpeg',
+    source: 'cpeg.ch',
+    label: 'CPEG (projets institutionnels / off-market)',
+    defaultEnabled: false,
+    listingStage: 'off_market',
+    priority: 12
+  },
+  {
+    id: 'regies',
+    source: 'regies',
+    label: 'Régies locales (URLs du profil)',
+    defaultEnabled: false,
+    listingStage: 'early_market',
+    priority: 24
+  },
+  {
+    id: 'anibis',
+    source: 'anibis.ch',
+    label: 'anibis.ch',
+    defaultEnabled: false,
+    listingStage: 'portal_market',
+    priority: 15
+  }
+];
+
+export function isSourceEnabled(sources = {}, definition) {
+  const value = sources?.[definition.id];
+  return definition.defaultEnabled ? value !== false : value === true;
+}
+
+export function resolveSourceToggles(sources = {}) {
+  const out = {};
+  for (const definition of SOURCE_DEFINITIONS) {
+    out[definition.id] = isSourceEnabled(sources, definition);
+  }
+  return out;
+}
+
+export function buildSourcePriorityMap() {
+  const out = {};
+  for (const definition of SOURCE_DEFINITIONS) {
+    out[definition.source] = Math.max(out[definition.source] || 0, definition.priority);
+  }
+  return out;
+}
+
+export function publicSourceDefinitions() {
+  return SOURCE_DEFINITIONS.map(({ id, source, label, defaultEnabled, listingStage }) => ({
+    id,
+    source,
+    label,
+    defaultEnabled,
+    listingStage
+  }));
+}
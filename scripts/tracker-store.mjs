@@ -0,0 +1,181 @@
+// Safe writes to the per-profile data files shared by the dashboard server and
+// the scan process. Files are replaced atomically (temp file + rename), every
+// read-modify-write of tracker.json / latest-listings.json runs under a
+// per-profile lock file, and a scan folds in the user edits (status, notes,
+// pin, manual merges, deletions) made from the dashboard while it was running.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const LOCK_FILE_NAME = '.lock';
+
+// Fields the dashboard owns: a scan never decides them, it only carries them over.
+export const USER_FIELDS = ['status', 'notes', 'pinned'];
+// Written together by a manual merge / split.
+export const MANUAL_DEDUP_FIELDS = ['duplicateOf', 'display', 'active', 'isRemoved', 'removedAt', 'filterReason', 'dedupMatch'];
+
+const LOCK_RETRY_MS = 50;
+const DEFAULT_LOCK_TIMEOUT_MS = 15000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export async function writeJsonAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}.tmp`;
+  try {
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, filePath);
+  } catch (err) {
+    await fs.rm(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+async function readLockOwner(filePath) {
+  try {
+    const owner = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return owner && typeof owner === 'object' ? owner : null;
+  } catch {
+    // Being written or already released.
+    return null;
+  }
+}
+
+function sameOwner(a, b) {
+  return !!a && !!b && a.pid === b.pid && a.at === b.at;
+}
+
+// Only a lock whose process is gone is left behind; a live holder keeps it
+// however long it runs.
+function isStaleOwner(owner) {
+  return Number.isInteger(owner?.pid) && owner.pid !== process.pid && !processAlive(owner.pid);
+}
+
+// Remove the lock only if it still belongs to `owner`. It is first moved to a
+// name of our own, so a lock another process created in the meantime is never
+// deleted: it is put back instead.
+async function removeLockIfOwned(lockPath, owner) {
+  const asidePath = `${lockPath}.${process.pid}.${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}.stale`;
+  try {
+    await fs.rename(lockPath, asidePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+  const moved = await readLockOwner(asidePath);
+  if (!sameOwner(moved, owner)) {
+    await fs.link(asidePath, lockPath).catch((err) => {
+      if (err.code !== 'EEXIST') throw err;
+    });
+  }
+  await fs.rm(asidePath, { force: true });
+  return sameOwner(moved, owner);
+}
+
+// Run `fn` while holding `<dataDir>/.lock`. Waits up to `timeoutMs` for the
+// other process, then fails instead of writing over its changes.
+export async function withProfileLock(dataDir, fn, { timeoutMs = DEFAULT_LOCK_TIMEOUT_MS } = {}) {
+  const lockPath = path.join(dataDir, LOCK_FILE_NAME);
+  const deadline = Date.now() + timeoutMs;
+  let handle;
+
+  while (!handle) {
+    try {
+      handle = await fs.open(lockPath, 'wx');
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const owner = await readLockOwner(lockPath);
+      if (isStaleOwner(owner)) {
+        await removeLockIfOwned(lockPath, owner);
+        continue;
+      }
+      if (Date.now() >= deadline) throw new Error(`Profil verrouillé par une autre opération (${lockPath})`);
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  const owner = { pid: process.pid, at: Date.now() };
+  try {
+    await handle.writeFile(JSON.stringify(owner));
+    await handle.close();
+  } catch (err) {
+    await fs.rm(lockPath, { force: true });
+    throw err;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await removeLockIfOwned(lockPath, owner);
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function pickFields(item, fields) {
+  const out = {};
+  for (const field of fields) out[field] = item[field] ?? null;
+  return out;
+}
+
+// What the user-owned fields looked like when the scan read the tracker.
+export function snapshotUserFields(listings = []) {
+  const snapshot = new Map();
+  for (const item of listings) {
+    snapshot.set(String(item.id), pickFields(item, [...USER_FIELDS, 'duplicateOf']));
+  }
+  return snapshot;
+}
+
+// Apply to the scan's `listings` what changed on disk since `baseline` was
+// taken: user fields edited, manual merges / splits, and listings deleted
+// (known at scan start, gone from disk now). Mutates the listings; returns the
+// kept ones with counts.
+export function mergeUserEdits(listings = [], baseline = new Map(), diskListings = []) {
+  const onDisk = new Map(diskListings.map((item) => [String(item.id), item]));
+  const kept = [];
+  let updated = 0;
+  let deleted = 0;
+
+  for (const item of listings) {
+    const id = String(item.id);
+    const before = baseline.get(id);
+    if (!before) {
+      kept.push(item);
+      continue;
+    }
+
+    const disk = onDisk.get(id);
+    if (!disk) {
+      deleted += 1;
+      continue;
+    }
+
+    let changed = false;
+    for (const field of USER_FIELDS) {
+      if (sameValue(disk[field], before[field])) continue;
+      item[field] = disk[field];
+      changed = true;
+    }
+    if (!sameValue(disk.duplicateOf, before.duplicateOf)) {
+      for (const field of MANUAL_DEDUP_FIELDS) item[field] = disk[field] ?? null;
+      changed = true;
+    }
+    if (changed) {
+      item.updatedAt = disk.updatedAt || item.updatedAt;
+      updated += 1;
+    }
+    kept.push(item);
+  }
+
+  return { listings: kept, updated, deleted };
+}
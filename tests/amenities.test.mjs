@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  AMENITY_KEYS,
+  amenitiesFromFields,
+  amenitiesFromText,
+  extractAmenities,
+  mergeAmenities,
+  publicAmenityDefinitions
+} from '../scripts/amenities.mjs';
+
+test('amenitiesFromText reads French and German listing texts', () => {
+  assert.deepEqual(amenitiesFromText(['Joli 2.5 pièces avec balcon', 'Cuisine agencée avec lave-vaisselle, baignoire']), {
+    balcony: true,
+    bathtub: true,
+    dishwasher: true
+  });
+  assert.deepEqual(amenitiesFromText('Balkon, Lift, Haustiere erlaubt, Tiefgarage'), {
+    balcony: true,
+    lift: true,
+    parking: true,
+    petsAllowed: true
+  });
+  assert.deepEqual(amenitiesFromText('Bel appartement avec vue imprenable sur le lac'), { view: true });
+  assert.deepEqual(amenitiesFromText(['', null]), {});
+});
+
+test('amenitiesFromText keeps explicit negations', () => {
+  assert.deepEqual(amenitiesFromText("Pas d'ascenseur. Animaux non admis. Douche uniquement."), {
+    bathtub: false,
+    lift: false,
+    petsAllowed: false
+  });
+  assert.deepEqual(amenitiesFromText('Buanderie commune avec machine à laver'), { washingMachine: false });
+  // Another mention of the amenity outweighs the negation.
+  assert.deepEqual(amenitiesFromText('Sans balcon mais grande terrasse'), { balcony: true });
+});
+
+test('amenitiesFromFields maps provider booleans only', () => {
+  assert.deepEqual(
+    amenitiesFromFields(
+      { hasBalcony: true, hasElevator: 'false', hasParking: false, hasGarage: true, hasGarden: null },
+      { hasBalcony: 'balcony', hasElevator: 'lift', hasParking: 'parking', hasGarage: 'parking', hasGarden: 'garden' }
+    ),
+    { balcony: true, lift: false, parking: true }
+  );
+  assert.deepEqual(amenitiesFromFields(null, { hasBalcony: 'balcony' }), {});
+});
+
+test('mergeAmenities lets earlier sources win and drops unknown keys', () => {
+  assert.deepEqual(
+    mergeAmenities({ lift: false }, { lift: true, balcony: true, sauna: true }, undefined, { garden: 'yes' }),
+    { lift: false, balcony: true }
+  );
+  assert.deepEqual(extractAmenities(['Ascenseur, balcon'], { lift: false }), { lift: false, balcony: true });
+});
+
+test('public definitions expose key, label and icon for each amenity', () => {
+  const definitions = publicAmenityDefinitions();
+  assert.deepEqual(definitions.map((amenity) => amenity.key), AMENITY_KEYS);
+  for (const amenity of definitions) {
+    assert.deepEqual(Object.keys(amenity), ['key', 'label', 'icon']);
+  }
+});
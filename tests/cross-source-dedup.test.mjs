@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { addSplitOverride, emptyDedupOverrides } from '../scripts/dedup-overrides.mjs';
+import { crossSourceDuplicateEntry, dedupeCrossSourceListings } from '../scripts/scrape-immobilier.mjs';
+
+const listing = (extra = {}) => ({
+  address: 'Avenue de la Gare 5, 1800 Vevey',
+  area: 'Vevey',
+  rooms: 3.5,
+  surfaceM2: 72,
+  totalChf: 1474,
+  ...extra
+});
+
+test('a merge between two new listings keeps the hidden one for the split UI', () => {
+  const flatfox = listing({ id: 'flatfox-1', source: 'flatfox.ch', imageUrls: ['a', 'b', 'c'] });
+  const newhome = listing({ id: 'newhome-1', source: 'newhome.ch', totalChf: 1476 });
+
+  const { kept, removedIds, matches, losers } = dedupeCrossSourceListings([flatfox, newhome], new Map());
+  assert.equal(kept.length, 1);
+
+  const [loserId, loser] = [...losers][0];
+  const keepId = removedIds.get(loserId);
+  assert.equal(keepId, kept[0].id);
+
+  const now = '2026-10-19T08:00:00.000Z';
+  const entry = crossSourceDuplicateEntry(loser, { mergedInto: keepId, match: matches.get(loserId), now });
+  assert.equal(entry.id, loserId);
+  assert.equal(entry.display, false);
+  assert.equal(entry.duplicateOf, keepId);
+  assert.equal(entry.firstSeenAt, now);
+  assert.equal(entry.status, 'À contacter');
+  assert.equal(entry.filterReason, 'Doublon inter-source (dedup enrichie)');
+  assert.ok(entry.dedupMatch.score >= 0.8);
+});
+
+test('listings split by hand are never merged again', () => {
+  const flatfox = listing({ id: 'flatfox-1', source: 'flatfox.ch' });
+  const newhome = listing({ id: 'newhome-1', source: 'newhome.ch' });
+  const overrides = addSplitOverride(emptyDedupOverrides(), 'flatfox-1', 'newhome-1');
+
+  const { kept, losers } = dedupeCrossSourceListings([flatfox, newhome], new Map(), overrides);
+  assert.equal(kept.length, 2);
+  assert.equal(losers.size, 0);
+});
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  addMergeOverride,
+  addSplitOverride,
+  applyManualMerges,
+  emptyDedupOverrides,
+  isSplitPair,
+  normalizeDedupOverrides,
+  resolveMergeTarget
+} from '../scripts/dedup-overrides.mjs';
+
+const AT = '2026-10-19T08:00:00.000Z';
+
+test('normalizeDedupOverrides drops malformed entries', () => {
+  assert.deepEqual(normalizeDedupOverrides({
+    merges: [{ keepId: 'a', dropId: 'b' }, { keepId: 'a', dropId: 'a' }, { keepId: 'c' }],
+    splits: [{ ids: ['a', 'b'] }, { ids: ['a'] }]
+  }), {
+    merges: [{ keepId: 'a', dropId: 'b', at: null }],
+    splits: [{ ids: ['a', 'b'], at: null }]
+  });
+  assert.deepEqual(normalizeDedupOverrides(null), emptyDedupOverrides());
+});
+
+test('merge and split of the same pair replace each other', () => {
+  let overrides = addSplitOverride(emptyDedupOverrides(), 'a', 'b', AT);
+  assert.equal(isSplitPair(overrides, 'b', 'a'), true);
+
+  overrides = addMergeOverride(overrides, 'a', 'b', AT);
+  assert.equal(isSplitPair(overrides, 'a', 'b'), false);
+  assert.equal(resolveMergeTarget(overrides, 'b'), 'a');
+
+  overrides = addSplitOverride(overrides, 'b', 'a', AT);
+  assert.deepEqual(overrides.merges, []);
+  assert.equal(resolveMergeTarget(overrides, 'b'), null);
+});
+
+test('merging the kept side of an earlier merge re-points the chain', () => {
+  let overrides = addMergeOverride(emptyDedupOverrides(), 'b', 'c', AT);
+  overrides = addMergeOverride(overrides, 'a', 'b', AT);
+  assert.deepEqual(overrides.merges.map((m) => `${m.dropId}>${m.keepId}`), ['c>a', 'b>a']);
+  assert.equal(resolveMergeTarget(overrides, 'c'), 'a');
+});
+
+test('resolveMergeTarget stops on cycles', () => {
+  const overrides = normalizeDedupOverrides({ merges: [{ keepId: 'a', dropId: 'b' }, { keepId: 'b', dropId: 'a' }] });
+  assert.equal(resolveMergeTarget(overrides, 'b'), 'a');
+});
+
+test('applyManualMerges drops a listing only when its target is known', () => {
+  const overrides = normalizeDedupOverrides({
+    merges: [
+      { keepId: 'a', dropId: 'b' },
+      { keepId: 'gone', dropId: 'c' },
+      { keepId: 'tracked', dropId: 'd' }
+    ]
+  });
+  const items = [
+    { id: 'a', source: 'flatfox.ch' },
+    { id: 'b', source: 'anibis.ch' },
+    { id: 'c', source: 'naef.ch' },
+    { id: 'd', source: 'naef.ch' }
+  ];
+
+  const { kept, removed } = applyManualMerges(items, overrides, new Set(['tracked']));
+  assert.deepEqual(kept.map((x) => x.id), ['a', 'c']);
+  assert.deepEqual([...removed], [['b', 'a'], ['d', 'tracked']]);
+  assert.deepEqual(kept[0].duplicateSources, ['flatfox.ch', 'anibis.ch']);
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  extractField,
+  nodeText,
+  parseHtmlDocument,
+  selectAll,
+  selectFirst
+} from '../scripts/html-select.mjs';
+
+const HTML = `
+<div id="results">
+  <article class="card featured" data-id="a1">
+    <h3 class="title">3.5 pièces &amp; balcon</h3>
+    <p class="price">CHF 1'650.- / mois</p>
+    <img src="/img/a1.jpg" alt="">
+    <a class="more" href="/objets/a1">Voir</a>
+  </article>
+  <article class="card" data-id="b2">
+    <h3 class="title">Studio</h3>
+    <div><span class="price">CHF 900.-</span></div>
+    <script>var x = "<article class='card'>";</script>
+  </article>
+</div>
+<article class="card-ad"><p class="price">Pub</p></article>`;
+
+test('selectAll matches tag, class and attribute selectors', () => {
+  const root = parseHtmlDocument(HTML);
+  assert.equal(selectAll(root, 'article.card').length, 2);
+  assert.equal(selectAll(root, '[data-id="b2"]').length, 1);
+  assert.equal(selectAll(root, 'article[class*=card]').length, 3);
+  assert.equal(selectAll(root, '#results article').length, 2);
+});
+
+test('child combinator only matches direct children', () => {
+  const root = parseHtmlDocument(HTML);
+  assert.equal(selectAll(root, 'article > .price').length, 2);
+  assert.equal(selectAll(root, 'article .price').length, 3);
+});
+
+test('selector lists are combined in document order', () => {
+  const root = parseHtmlDocument(HTML);
+  const nodes = selectAll(root, 'img, h3');
+  assert.deepEqual(nodes.map((node) => node.tag), ['h3', 'img', 'h3']);
+});
+
+test('commas, spaces and ">" inside attribute values do not split the selector', () => {
+  const root = parseHtmlDocument('<ul><li data-x="a,b">1</li><li data-x="c d > e">2</li><li data-x="a">3</li></ul>');
+  assert.deepEqual(selectAll(root, '[data-x="a,b"]').map(nodeText), ['1']);
+  assert.deepEqual(selectAll(root, "li[data-x='c d > e'], [data-x=a]").map(nodeText), ['2', '3']);
+});
+
+test('extractField reads text or attribute within a card', () => {
+  const root = parseHtmlDocument(HTML);
+  const [first, second] = selectAll(root, 'article.card');
+  assert.equal(extractField(first, 'h3.title'), '3.5 pièces & balcon');
+  assert.equal(extractField(first, 'a.more@href'), '/objets/a1');
+  assert.equal(extractField(first, 'img@src'), '/img/a1.jpg');
+  assert.equal(extractField(second, '.price'), 'CHF 900.-');
+  assert.equal(extractField(second, 'a@href'), '');
+});
+
+test('script contents are not parsed as markup', () => {
+  const root = parseHtmlDocument(HTML);
+  const second = selectFirst(root, '[data-id=b2]');
+  assert.equal(selectAll(second, 'article').length, 0);
+  assert.equal(nodeText(second), 'Studio CHF 900.-');
+});
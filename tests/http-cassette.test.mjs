@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import { createCassette, isCassetteMiss, resolveCassetteOptions } from '../scripts/http-cassette.mjs';
+
+async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'cassette-test-'));
+}
+
+test('resolveCassetteOptions reads flags before env', () => {
+  const fromFlag = resolveCassetteOptions(['--profile=x', '--replay=/tmp/c1'], { APART_HTTP_CASSETTE: 'record' });
+  assert.deepEqual(fromFlag, { mode: 'replay', dir: path.resolve('/tmp/c1') });
+
+  const bareFlag = resolveCassetteOptions(['--record', '--profile=x'], {}, '/tmp/default');
+  assert.deepEqual(bareFlag, { mode: 'record', dir: path.resolve('/tmp/default') });
+
+  const fromEnv = resolveCassetteOptions([], { APART_HTTP_CASSETTE: 'Replay', APART_HTTP_CASSETTE_DIR: '/tmp/c2' });
+  assert.deepEqual(fromEnv, { mode: 'replay', dir: path.resolve('/tmp/c2') });
+
+  assert.deepEqual(resolveCassetteOptions([], {}), { mode: 'off', dir: '' });
+});
+
+test('resolveCassetteOptions rejects conflicting or unknown modes', () => {
+  assert.throws(() => resolveCassetteOptions(['--record', '--replay'], {}, '/tmp/x'), /combinés/);
+  assert.throws(() => resolveCassetteOptions([], { APART_HTTP_CASSETTE: 'rewind' }), /invalide/);
+});
+
+test('recorded responses replay without calling the fetcher', async () => {
+  const dir = await tempDir();
+  const recorder = createCassette({ mode: 'record', dir });
+  assert.equal(await recorder.wrap('html', 'https://a.ch/', async () => '<p>hi</p>'), '<p>hi</p>');
+  await recorder.wrap('json', 'https://a.ch/api', async () => ({ ok: 1 }));
+  await recorder.wrap('binary', 'https://a.ch/x.jpg', async () => ({ buffer: Buffer.from([1, 2, 3]), contentType: 'image/jpeg' }));
+  assert.equal(recorder.stats.recorded, 3);
+
+  const player = createCassette({ mode: 'replay', dir });
+  const fail = async () => {
+    throw new Error('network used');
+  };
+  assert.equal(await player.wrap('html', 'https://a.ch/', fail), '<p>hi</p>');
+  assert.deepEqual(await player.wrap('json', 'https://a.ch/api', fail), { ok: 1 });
+  const binary = await player.wrap('binary', 'https://a.ch/x.jpg', fail);
+  assert.deepEqual([...binary.buffer], [1, 2, 3]);
+  assert.equal(binary.contentType, 'image/jpeg');
+  assert.equal(player.stats.replayed, 3);
+});
+
+test('recorded failures replay as errors and missing entries fail offline', async () => {
+  const dir = await tempDir();
+  const recorder = createCassette({ mode: 'record', dir });
+  await assert.rejects(recorder.wrap('html', 'https://a.ch/404', async () => {
+    throw new Error('HTTP 404 on https://a.ch/404');
+  }), /HTTP 404/);
+
+  const player = createCassette({ mode: 'replay', dir });
+  await assert.rejects(player.wrap('html', 'https://a.ch/404', async () => 'live'), (err) => /HTTP 404/.test(err.message) && !isCassetteMiss(err));
+  await assert.rejects(player.wrap('html', 'https://a.ch/other', async () => 'live'), (err) => /Absent de la cassette/.test(err.message) && isCassetteMiss(err));
+  assert.equal(player.stats.missing, 1);
+});
+
+test('off mode passes straight through', async () => {
+  const cassette = createCassette();
+  assert.equal(await cassette.wrap('html', 'https://a.ch/', async () => 'live'), 'live');
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import {
+  DEFAULT_KEEP_IMAGE_STATUSES,
+  DEFAULT_REMOVED_IMAGE_RETENTION_DAYS,
+  applyImageRetention,
+  collectImageGarbage,
+  imageStorageUsage,
+  keepsListingImages,
+  referencedImageNames,
+  resolveImageRetention
+} from '../scripts/image-archive.mjs';
+
+const NOW = Date.parse('2026-03-01T12:00:00.000Z');
+const daysAgo = (days) => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+const local = (name) => `/data/profiles/fribourg/images/${name}`;
+
+const listing = (extra = {}) => ({
+  id: 'a',
+  status: 'À contacter',
+  isRemoved: false,
+  imageUrlsLocal: [local('a1.jpg'), local('a2.jpg')],
+  imageUrlsRemote: ['https://cdn.example.ch/a1.jpg'],
+  imageUrls: [local('a1.jpg'), local('a2.jpg')],
+  imageUrl: local('a1.jpg'),
+  ...extra
+});
+
+test('resolveImageRetention reads media settings with defaults', () => {
+  assert.deepEqual(resolveImageRetention({}), {
+    removedDays: DEFAULT_REMOVED_IMAGE_RETENTION_DAYS,
+    keepStatuses: DEFAULT_KEEP_IMAGE_STATUSES
+  });
+  assert.deepEqual(
+    resolveImageRetention({ media: { removedImageRetentionDays: 0, keepImagesForStatuses: ['Visite'] } }),
+    { removedDays: 0, keepStatuses: ['Visite'] }
+  );
+  assert.equal(resolveImageRetention({ media: { removedImageRetentionDays: -3 } }).removedDays, DEFAULT_REMOVED_IMAGE_RETENTION_DAYS);
+});
+
+test('keepsListingImages keeps active, recent and followed-up listings', () => {
+  const retention = resolveImageRetention({});
+  assert.equal(keepsListingImages(listing(), retention, NOW), true);
+  assert.equal(keepsListingImages(listing({ isRemoved: true, removedAt: daysAgo(10) }), retention, NOW), true);
+  assert.equal(keepsListingImages(listing({ isRemoved: true, removedAt: daysAgo(45) }), retention, NOW), false);
+  assert.equal(keepsListingImages(listing({ isRemoved: true, removedAt: daysAgo(45), status: 'Dossier' }), retention, NOW), true);
+  assert.equal(keepsListingImages(listing({ isRemoved: true, removedAt: null }), retention, NOW), false);
+});
+
+test('applyImageRetention falls back to remote photos past retention', () => {
+  const kept = listing({ id: 'kept', isRemoved: true, removedAt: daysAgo(5) });
+  const expired = listing({ id: 'expired', isRemoved: true, removedAt: daysAgo(60), imageHashes: ['00ff00ff00ff00ff'] });
+
+  assert.equal(applyImageRetention([kept, expired], resolveImageRetention({}), NOW), 1);
+  assert.equal(kept.imageUrlsLocal.length, 2);
+  assert.deepEqual(expired.imageUrlsLocal, []);
+  assert.deepEqual(expired.imageUrls, ['https://cdn.example.ch/a1.jpg']);
+  assert.equal(expired.imageUrl, 'https://cdn.example.ch/a1.jpg');
+  assert.deepEqual(expired.imageHashes, ['00ff00ff00ff00ff']);
+});
+
+test('referencedImageNames collects archive file names only', () => {
+  const names = referencedImageNames([
+    listing(),
+    { imageUrls: ['https://cdn.example.ch/x.jpg'], imageUrl: local('b1.png') }
+  ]);
+  assert.deepEqual([...names].sort(), ['a1.jpg', 'a2.jpg', 'b1.png']);
+});
+
+test('collectImageGarbage deletes unreferenced files and reports usage', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-archive-'));
+  try {
+    await fs.writeFile(path.join(dir, 'a1.jpg'), Buffer.alloc(100));
+    await fs.writeFile(path.join(dir, 'old.jpg'), Buffer.alloc(40));
+    await fs.mkdir(path.join(dir, 'nested'));
+
+    assert.deepEqual(await imageStorageUsage(dir), { files: 2, bytes: 140 });
+
+    const gc = await collectImageGarbage(dir, new Set(['a1.jpg']));
+    assert.deepEqual(gc, { removedFiles: 1, removedNames: ['old.jpg'], freedBytes: 40 });
+    assert.deepEqual(await imageStorageUsage(dir), { files: 1, bytes: 100 });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  assert.deepEqual(await imageStorageUsage(path.join(dir, 'missing')), { files: 0, bytes: 0 });
+});
+
+test('collectImageGarbage spares files written after `writtenBefore`', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-archive-'));
+  try {
+    await fs.writeFile(path.join(dir, 'old.jpg'), Buffer.alloc(10));
+    await fs.writeFile(path.join(dir, 'fresh.jpg'), Buffer.alloc(10));
+    const scanStart = Date.now() - 60 * 1000;
+    await fs.utimes(path.join(dir, 'old.jpg'), new Date(scanStart - 1000), new Date(scanStart - 1000));
+
+    const gc = await collectImageGarbage(dir, new Set(), { writtenBefore: scanStart });
+    assert.deepEqual(gc.removedNames, ['old.jpg']);
+    assert.deepEqual(await fs.readdir(dir), ['fresh.jpg']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
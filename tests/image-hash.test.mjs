@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import {
+  decodeJpegDc,
+  decodePng,
+  findSamePhotoListings,
+  genericPhotoHashes,
+  hammingDistance,
+  imageHashFromBuffer,
+  sharedPhotoCount
+} from '../scripts/image-hash.mjs';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'images');
+const read = (name) => fs.readFileSync(path.join(FIXTURES, name));
+const hashOf = (name) => imageHashFromBuffer(read(name));
+
+test('decodePng returns full-resolution luma', () => {
+  const image = decodePng(read('living-room.png'));
+  assert.equal(image.width, 96);
+  assert.equal(image.height, 72);
+  assert.equal(image.pixels.length, 96 * 72);
+});
+
+test('decodeJpegDc returns one value per luma block', () => {
+  const baseline = decodeJpegDc(read('living-room.jpg'));
+  assert.deepEqual([baseline.width, baseline.height], [12, 9]);
+
+  const progressive = decodeJpegDc(read('living-room-progressive.jpg'));
+  assert.deepEqual([progressive.width, progressive.height], [12, 9]);
+
+  // 80x60 with a restart marker every two MCUs.
+  const restart = decodeJpegDc(read('living-room-small-restart.jpg'));
+  assert.deepEqual([restart.width, restart.height], [10, 8]);
+});
+
+test('the same photo hashes alike across formats, sizes and encodings', () => {
+  const png = hashOf('living-room.png');
+  assert.match(png, /^[0-9a-f]{16}$/);
+  for (const name of ['living-room.jpg', 'living-room-progressive.jpg', 'living-room-small-restart.jpg']) {
+    assert.ok(hammingDistance(png, hashOf(name)) <= 10, name);
+  }
+  assert.ok(hammingDistance(png, hashOf('living-room-mirrored.png')) > 20);
+});
+
+test('unsupported or broken files are not hashed', () => {
+  assert.equal(imageHashFromBuffer(Buffer.from('RIFF....WEBPVP8 ')), null);
+  assert.equal(imageHashFromBuffer(read('living-room.jpg').subarray(0, 40)), null);
+  assert.equal(hammingDistance('zz', '0000000000000000'), 64);
+});
+
+test('sharedPhotoCount tolerates small hash differences', () => {
+  const a = { imageHashes: ['00ff00ff00ff00ff', '1234567812345678'] };
+  const b = { imageHashes: ['00ff00ff00ff00fe'] };
+  assert.equal(sharedPhotoCount(a, b), 1);
+  assert.equal(sharedPhotoCount(a, b, { maxDistance: 0 }), 0);
+  assert.equal(sharedPhotoCount(a, b, { ignore: new Set(['00ff00ff00ff00ff']) }), 0);
+});
+
+test('findSamePhotoListings links listings and ignores placeholders', () => {
+  const placeholder = 'ffffffff00000000';
+  const items = [
+    { id: 'a', imageHashes: ['00ff00ff00ff00ff', placeholder] },
+    { id: 'b', imageHashes: ['00ff00ff00ff00fe'] },
+    { id: 'c', imageHashes: ['0f0f0f0f0f0f0f0f'] },
+    ...['p1', 'p2', 'p3', 'p4', 'p5'].map((id) => ({ id, imageHashes: [placeholder] }))
+  ];
+
+  assert.deepEqual([...genericPhotoHashes(items)], [placeholder]);
+  const matches = findSamePhotoListings(items);
+  assert.deepEqual(matches.get('a'), [{ id: 'b', count: 1 }]);
+  assert.deepEqual(matches.get('b'), [{ id: 'a', count: 1 }]);
+  assert.equal(matches.has('p1'), false);
+  assert.equal(findSamePhotoListings(items, { skipPair: () => true }).size, 0);
+});
@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { MAX_CHANGE_LOG_ENTRIES, appendChangeLog, diffListingFields } from '../scripts/listing-changes.mjs';
+
+test('diffListingFields reports old and new values per field', () => {
+  const changes = diffListingFields(
+    { title: 'Bel  appartement', rooms: 3.5, surfaceM2: '72', movingDateRaw: '01.11.2026', photos: ['a.jpg', 'b.jpg'] },
+    { title: 'Bel appartement', rooms: 3, surfaceM2: 72, movingDateRaw: '01.12.2026', photos: ['b.jpg', 'a.jpg', 'c.jpg'] }
+  );
+
+  assert.deepEqual(changes, [
+    { field: 'rooms', from: 3.5, to: 3 },
+    { field: 'movingDateRaw', from: '01.11.2026', to: '01.12.2026' },
+    { field: 'photos', from: ['a.jpg', 'b.jpg'], to: ['b.jpg', 'a.jpg', 'c.jpg'] }
+  ]);
+});
+
+test('diffListingFields ignores reordered photos and values the scan left empty', () => {
+  assert.deepEqual(diffListingFields(
+    { rooms: 3.5, address: 'Rue A 1', photos: ['a.jpg', 'b.jpg'] },
+    { rooms: null, address: '', photos: ['b.jpg', 'a.jpg'] }
+  ), []);
+});
+
+test('diffListingFields ignores fields filled in for the first time', () => {
+  assert.deepEqual(diffListingFields(
+    { surfaceM2: null, entryDateText: null, totalChf: 1600 },
+    { surfaceM2: 64, entryDateText: '01.12.2026', parkingChf: 120, totalChf: 1600 }
+  ), []);
+});
+
+test('appendChangeLog skips empty scans and keeps the latest entries', () => {
+  assert.deepEqual(appendChangeLog(undefined, [], 'd1'), []);
+
+  let log = [];
+  for (let i = 1; i <= MAX_CHANGE_LOG_ENTRIES + 2; i += 1) {
+    log = appendChangeLog(log, [{ field: 'rooms', from: i, to: i + 1 }], `d${i}`);
+  }
+  assert.equal(log.length, MAX_CHANGE_LOG_ENTRIES);
+  assert.equal(log[log.length - 1].at, `d${MAX_CHANGE_LOG_ENTRIES + 2}`);
+});
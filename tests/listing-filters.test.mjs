@@ -2,7 +2,9 @@ import assert from 'node:assert/strict';
 import test from 'node:test';
 
 import {
+  commuteEligibility,
   derivePriority,
+  isAboveMinBudget,
   isBudgetEligible,
   isSizeEligible
 } from '../scripts/listing-filters.mjs';
@@ -30,6 +32,21 @@ test('budget eligibility uses maxTotalChf as the only upper rent ceiling', () =>
   assert.equal(isBudgetEligible({ totalChf: 1400 }, config), true);
 });
 
+test('budget limits compare the rent basis chosen in the profile', () => {
+  const listing = { netRentChf: 1250, chargesChf: 180, parkingChf: 120, totalChf: 1430 };
+
+  // Gross by default, with the mandatory parking on top.
+  assert.equal(isBudgetEligible(listing, { filters: { maxTotalChf: 1500 } }), false);
+  assert.equal(isBudgetEligible(listing, { filters: { maxTotalChf: 1550 } }), true);
+  assert.equal(isBudgetEligible(listing, { filters: { maxTotalChf: 1300, rentBasis: 'net' } }), true);
+  // A listing without its net rent is compared on its gross rent.
+  assert.equal(isBudgetEligible({ totalChf: 1350 }, { filters: { maxTotalChf: 1300, rentBasis: 'net' } }), false);
+
+  assert.equal(isAboveMinBudget(listing, { filters: { minTotalChf: 1300, rentBasis: 'net' } }), false);
+  assert.equal(isAboveMinBudget(listing, { filters: { minTotalChf: 1300 } }), true);
+  assert.equal(isAboveMinBudget({ totalChf: null }, { filters: {} }), true);
+});
+
 test('size eligibility ignores stale Plan B settings', () => {
   const config = {
     filters: {
@@ -55,3 +72,20 @@ test('priority classification no longer emits pearl priority', () => {
 
   assert.equal(derivePriority({ totalChf: 1450, rooms: 3, title: 'Balcon' }, config), 'B');
 });
+
+test('commute limits hide listings too far from the workplace', () => {
+  const config = { filters: { maxTransitMinutes: 45, maxDriveMinutes: '30' } };
+
+  assert.deepEqual(commuteEligibility({ transitMinutes: 75, driveMinutes: 20 }, config), {
+    eligible: false,
+    reason: 'Trajet en transports publics : 75 min (max 45)'
+  });
+  assert.deepEqual(commuteEligibility({ transitMinutes: 40, driveMinutes: 32.4 }, config), {
+    eligible: false,
+    reason: 'Trajet en voiture : 32 min (max 30)'
+  });
+  assert.equal(commuteEligibility({ transitMinutes: 45, driveMinutes: 30 }, config).eligible, true);
+  // Unknown travel times and missing limits never hide a listing.
+  assert.equal(commuteEligibility({ transitMinutes: null }, config).eligible, true);
+  assert.equal(commuteEligibility({ transitMinutes: 120 }, { filters: { maxTransitMinutes: '' } }).eligible, true);
+});
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  DEFAULT_SIMILARITY_THRESHOLD,
+  addressSimilarity,
+  addressTokens,
+  findBestMatch,
+  resolveSimilarityThreshold,
+  scoreListingSimilarity
+} from '../scripts/listing-similarity.mjs';
+
+const flat = (extra = {}) => ({
+  address: 'Av. de la Gare 5, 1700 Fribourg, CH',
+  area: 'Fribourg',
+  rooms: 3.5,
+  surfaceM2: 72,
+  totalChf: 1474,
+  ...extra
+});
+
+test('addressTokens expands abbreviations and drops postal code, town and country', () => {
+  const { names, numbers } = addressTokens(flat());
+  assert.deepEqual([...names].sort(), ['avenue', 'gare']);
+  assert.deepEqual([...numbers], ['5']);
+  assert.deepEqual([...addressTokens({ address: 'Ch. des Roches 12a' }).names], ['chemin', 'roches']);
+  assert.deepEqual([...addressTokens({ address: 'Bahnhofstr. 3' }).names], ['bahnhofstrasse']);
+  assert.deepEqual([...addressTokens({ address: 'Rue du Lac 2 1800 Vevey' }).names], ['rue', 'lac']);
+});
+
+test('addressSimilarity halves the score for different house numbers', () => {
+  assert.equal(addressSimilarity(flat(), flat({ address: 'Avenue de la Gare 5' })), 1);
+  assert.equal(addressSimilarity(flat(), flat({ address: 'Avenue de la Gare 7' })), 0.5);
+  assert.equal(addressSimilarity({ address: '' }, flat()), null);
+});
+
+test('listings on either side of the old rounding buckets match', () => {
+  const result = scoreListingSimilarity(flat(), flat({ address: 'Avenue de la Gare 5, Fribourg', totalChf: 1476, surfaceM2: 74 }));
+  assert.equal(result.match, true);
+  assert.equal(result.score, 1);
+  assert.deepEqual(result.reasons, ['adresse: 100 %', 'pièces: 3.5', 'loyer: CHF 1474 / 1476', 'surface: 72 / 74 m²']);
+});
+
+test('coordinates count as a location signal', () => {
+  const a = flat({ address: '', mapLat: 46.8032, mapLon: 7.1513 });
+  const b = flat({ address: '', area: '', mapLat: 46.80325, mapLon: 7.15135 });
+  const result = scoreListingSimilarity(a, b);
+  assert.equal(result.match, true);
+  assert.match(result.reasons[0], /^coordonnées à \d+ m$/);
+});
+
+test('a shared photo stands in for the address', () => {
+  const a = flat({ address: 'Centre-ville', imageHashes: ['00ff00ff00ff00ff'] });
+  const b = flat({ address: 'Proche gare', area: '', imageHashes: ['00ff00ff00ff00fe', '1234123412341234'] });
+  const result = scoreListingSimilarity(a, b);
+  assert.ok(result.reasons.includes('photos identiques: 1'));
+  assert.ok(result.score > scoreListingSimilarity({ ...a, imageHashes: [] }, b).score);
+});
+
+test('generic photos are not a location signal', () => {
+  const a = flat({ address: 'Centre-ville', imageHashes: ['00ff00ff00ff00ff'] });
+  const b = flat({ address: 'Proche gare', area: '', imageHashes: ['00ff00ff00ff00ff'] });
+  assert.equal(scoreListingSimilarity(a, b).components.photos, 1);
+  const result = scoreListingSimilarity(a, b, DEFAULT_SIMILARITY_THRESHOLD, { ignorePhotos: new Set(['00ff00ff00ff00ff']) });
+  assert.equal(result.components.photos, undefined);
+  assert.equal(findBestMatch(a, [b], { ignorePhotos: new Set(['00ff00ff00ff00ff']) }), null);
+});
+
+test('rooms and large rent gaps veto a match', () => {
+  assert.equal(scoreListingSimilarity(flat(), flat({ rooms: 4.5 })).veto, 'pièces différentes (3.5 / 4.5)');
+  assert.equal(scoreListingSimilarity(flat(), flat({ totalChf: 1900 })).match, false);
+  assert.equal(scoreListingSimilarity(flat(), flat({ rooms: null, surfaceM2: null, totalChf: null })).veto, 'pas assez de données communes');
+});
+
+test('a bare town is not a location signal', () => {
+  assert.equal(addressSimilarity({ address: '1800 Vevey', area: 'Vevey' }, { address: 'Vevey', area: 'Vevey' }), null);
+
+  const a = { address: '1800 Vevey', area: 'Vevey', rooms: 3.5, totalChf: 1500 };
+  const b = { address: 'Vevey', area: 'Vevey', rooms: 3, totalChf: 1510 };
+  assert.equal(scoreListingSimilarity(a, b).veto, 'pas assez de données communes');
+});
+
+test('two flats of the same building with different surfaces stay apart', () => {
+  const a = { address: 'Rue du Simplon 5, 1800 Vevey', area: 'Vevey', rooms: 3.5, surfaceM2: 70, totalChf: 1500 };
+  const b = { ...a, surfaceM2: 88, totalChf: 1510 };
+  assert.equal(scoreListingSimilarity(a, b).veto, 'surfaces différentes (70 / 88 m²)');
+  // Small gaps are rounding between portals.
+  assert.equal(scoreListingSimilarity(a, { ...a, surfaceM2: 74 }).match, true);
+});
+
+test('a different street in the same town stays apart', () => {
+  assert.equal(scoreListingSimilarity(flat(), flat({ address: 'Rue de Lausanne 5' })).match, false);
+});
+
+test('findBestMatch picks the highest score and honours skip and threshold', () => {
+  const near = flat({ id: 'near', totalChf: 1520 });
+  const exact = flat({ id: 'exact' });
+  const item = flat({ id: 'item' });
+
+  assert.equal(findBestMatch(item, [near, exact]).candidate.id, 'exact');
+  assert.equal(findBestMatch(item, [near, exact], { skip: (c) => c.id === 'exact' }).candidate.id, 'near');
+  assert.equal(findBestMatch(item, [near], { threshold: 0.99 }), null);
+});
+
+test('resolveSimilarityThreshold reads filters.dedupSimilarityThreshold', () => {
+  assert.equal(resolveSimilarityThreshold({ filters: { dedupSimilarityThreshold: 0.9 } }), 0.9);
+  assert.equal(resolveSimilarityThreshold({ filters: { dedupSimilarityThreshold: 3 } }), DEFAULT_SIMILARITY_THRESHOLD);
+  assert.equal(resolveSimilarityThreshold({}), DEFAULT_SIMILARITY_THRESHOLD);
+});
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  listingAvailability,
+  moveInEligibility,
+  parseAvailability,
+  parseMoveInDateText,
+  resolveMoveInWindow
+} from '../scripts/move-in.mjs';
+
+const NOW = new Date('2026-10-19T08:00:00Z');
+
+test('parseMoveInDateText reads provider date formats', () => {
+  assert.equal(parseMoveInDateText('2026-12-01T00:00:00'), '2026-12-01');
+  assert.equal(parseMoveInDateText('Disponible dès le 01.12.2026'), '2026-12-01');
+  assert.equal(parseMoveInDateText('1/2/27'), '2027-02-01');
+  assert.equal(parseMoveInDateText('1er février 2027'), '2027-02-01');
+  assert.equal(parseMoveInDateText('ab 1. März 2027'), '2027-03-01');
+  assert.equal(parseMoveInDateText('janvier 2027'), '2027-01-01');
+  assert.equal(parseMoveInDateText('31.02.2027'), null);
+  assert.equal(parseMoveInDateText('à convenir'), null);
+});
+
+test('parseAvailability handles "de suite", "à convenir" and past dates', () => {
+  assert.deepEqual(parseAvailability('De suite', NOW), { kind: 'immediate', date: '2026-10-19' });
+  assert.deepEqual(parseAvailability('ab sofort', NOW), { kind: 'immediate', date: '2026-10-19' });
+  assert.deepEqual(parseAvailability('2026-09-01', NOW), { kind: 'immediate', date: '2026-10-19' });
+  assert.deepEqual(parseAvailability('à convenir', NOW), { kind: 'negotiable', date: null });
+  assert.deepEqual(parseAvailability('Nach Vereinbarung', NOW), { kind: 'negotiable', date: null });
+  assert.deepEqual(parseAvailability('01.12.2026', NOW), { kind: 'date', date: '2026-12-01' });
+  assert.equal(parseAvailability('', NOW), null);
+});
+
+test('listingAvailability prefers the detail page entry date', () => {
+  assert.deepEqual(
+    listingAvailability({ entryDateText: '01.01.2027', movingDateRaw: 'de suite' }, NOW),
+    { kind: 'date', date: '2027-01-01' }
+  );
+  assert.deepEqual(
+    listingAvailability({ entryDateText: null, availabilityText: "Date d'entrée : à convenir" }, NOW),
+    { kind: 'negotiable', date: null }
+  );
+  assert.equal(listingAvailability({}, NOW), null);
+});
+
+test('moveInEligibility compares the availability with the profile window', () => {
+  const config = { filters: { moveInEarliest: '2026-12-01', moveInDeadline: '2027-01-31' } };
+
+  assert.deepEqual(moveInEligibility({ movingDateRaw: '2027-01-01' }, config, NOW), {
+    eligible: true,
+    reason: '',
+    availableFrom: '2027-01-01',
+    availability: 'date'
+  });
+  assert.deepEqual(moveInEligibility({ movingDateRaw: '2027-03-01' }, config, NOW), {
+    eligible: false,
+    reason: 'Entrée le 01.03.2027, après le 31.01.2027',
+    availableFrom: '2027-03-01',
+    availability: 'date'
+  });
+  assert.equal(moveInEligibility({ movingDateRaw: 'de suite' }, config, NOW).reason, 'Entrée de suite, avant le 01.12.2026');
+  assert.equal(moveInEligibility({ movingDateRaw: 'à convenir' }, config, NOW).eligible, true);
+  assert.equal(moveInEligibility({}, config, NOW).eligible, true);
+  // Without a window every listing passes.
+  assert.equal(moveInEligibility({ movingDateRaw: '2028-01-01' }, { filters: {} }, NOW).eligible, true);
+});
+
+test('resolveMoveInWindow accepts ISO and Swiss dates and ignores the rest', () => {
+  assert.deepEqual(resolveMoveInWindow({ filters: { moveInEarliest: '01.12.2026', moveInDeadline: '2027-01-31' } }), {
+    earliest: '2026-12-01',
+    deadline: '2027-01-31'
+  });
+  assert.deepEqual(resolveMoveInWindow({ filters: { moveInDeadline: 'bientôt' } }), { earliest: null, deadline: null });
+  assert.deepEqual(resolveMoveInWindow(), { earliest: null, deadline: null });
+});
@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { MAX_PRICE_HISTORY, lastPriceDrop, priceHistoryOf, recordPrice } from '../scripts/price-history.mjs';
+
+test('priceHistoryOf seeds legacy listings from their current price', () => {
+  assert.deepEqual(priceHistoryOf({ totalChf: 1600, firstSeenAt: '2026-10-01T08:00:00.000Z' }), [
+    { at: '2026-10-01T08:00:00.000Z', totalChf: 1600 }
+  ]);
+  assert.deepEqual(priceHistoryOf({ totalChf: null }), []);
+  assert.deepEqual(priceHistoryOf({ priceHistory: [{ at: 'x', totalChf: 1500 }, { at: 'y', totalChf: null }] }), [
+    { at: 'x', totalChf: 1500 }
+  ]);
+});
+
+test('recordPrice only appends real changes', () => {
+  let history = recordPrice([], 1600, 'd1');
+  history = recordPrice(history, 1600, 'd2');
+  history = recordPrice(history, null, 'd3');
+  history = recordPrice(history, 1520, 'd4');
+  assert.deepEqual(history, [{ at: 'd1', totalChf: 1600 }, { at: 'd4', totalChf: 1520 }]);
+
+  let long = [];
+  for (let i = 1; i <= MAX_PRICE_HISTORY + 5; i += 1) long = recordPrice(long, 1000 + i, `d${i}`);
+  assert.equal(long.length, MAX_PRICE_HISTORY);
+  assert.equal(long[long.length - 1].totalChf, 1000 + MAX_PRICE_HISTORY + 5);
+});
+
+test('lastPriceDrop reports the latest decrease only', () => {
+  assert.deepEqual(lastPriceDrop([{ at: 'd1', totalChf: 1600 }, { at: 'd4', totalChf: 1520 }]), {
+    amountChf: 80,
+    fromChf: 1600,
+    toChf: 1520,
+    at: 'd4'
+  });
+  assert.equal(lastPriceDrop([{ at: 'd1', totalChf: 1520 }, { at: 'd4', totalChf: 1600 }]), null);
+  assert.equal(lastPriceDrop([{ at: 'd1', totalChf: 1600 }]), null);
+});
@@ -0,0 +1,176 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import {
+  buildInstitutionalLeadItem,
+  buildRegieItem,
+  extractBernardNicodCardTags,
+  findNewhomeListingArray,
+  isAnibisRentalListing,
+  normalizeRegieEntries,
+  parseAnibisListing,
+  parseAnibisSearchDataFromHtml,
+  parseBernardNicodPropertyCard,
+  parseFlatfoxListing,
+  parseImmoScout24Listing,
+  parseImmoScout24StateFromHtml,
+  parseInstitutionalLeadsFromHtml,
+  parseListingsFromHtml,
+  parseNaefListingsFromHtml,
+  parseNewhomeListing,
+  parseNewhomeSearchDataFromHtml,
+  parseRegieListingsFromHtml,
+  parseRetraitesListingsFromHtml,
+  parseRetraitesProjectCards,
+  resolveImmoScout24SearchResult
+} from '../scripts/scrape-immobilier.mjs';
+
+// Naef publishes local Swiss timestamps without an offset.
+process.env.TZ = 'Europe/Zurich';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+// `UPDATE_FIXTURES=1 node --test tests/provider-parsers.test.mjs` rewrites the
+// *.expected.json files after a deliberate parser change; review the diff.
+const UPDATE = process.env.UPDATE_FIXTURES === '1';
+
+const REGIE_JSON_LD = normalizeRegieEntries({
+  regies: [{ url: 'https://www.regie-exemple.ch/a-louer', name: 'Régie Exemple' }]
+})[0];
+const REGIE_CARDS = normalizeRegieEntries({
+  regies: [{
+    url: 'https://regie-cards.ch/louer',
+    selectors: {
+      card: '.object-card',
+      title: '.object-title',
+      price: '.object-price',
+      address: '.object-address',
+      link: 'a.object-link@href'
+    }
+  }]
+})[0];
+
+// Each case feeds a saved page to the same parser chain the scraper runs and
+// compares the normalized items. Rejected entries are kept as `null` so a
+// filter that starts letting sales or parkings through shows up in the diff.
+const CASES = [
+  {
+    name: 'immobilier.ch search page',
+    fixture: 'immobilier/search-page.html',
+    parse: (html) => parseListingsFromHtml(html, 'Vevey')
+  },
+  {
+    name: 'flatfox popular-area API',
+    fixture: 'flatfox/popular-area.json',
+    parse: (body) => JSON.parse(body).results.map((raw) => parseFlatfoxListing(raw, 'Vevey'))
+  },
+  {
+    name: 'naef all_db_datas page',
+    fixture: 'naef/listing-page.html',
+    parse: (html) => parseNaefListingsFromHtml(html)
+  },
+  {
+    name: 'bernard-nicod search-ajax cards',
+    fixture: 'bernard-nicod/search-ajax.html',
+    parse: (html) => extractBernardNicodCardTags(html).map((tag) => parseBernardNicodPropertyCard(tag))
+  },
+  {
+    name: 'retraites populaires drupal markers',
+    fixture: 'retraites-populaires/louer-un-appartement.html',
+    parse: (html) => parseRetraitesListingsFromHtml(html)
+  },
+  {
+    name: 'retraites populaires project cards',
+    fixture: 'retraites-projets/projets-neufs.html',
+    parse: (html) => parseRetraitesProjectCards(html)
+  },
+  {
+    name: 'anibis __NEXT_DATA__ search',
+    fixture: 'anibis/search-page.html',
+    parse: (html) => parseAnibisSearchDataFromHtml(html).listings.edges
+      .map((edge) => parseAnibisListing(edge.node, 'Vevey'))
+  },
+  {
+    name: 'immoscout24 initial state',
+    fixture: 'immoscout24/search-page.html',
+    parse: (html) => resolveImmoScout24SearchResult(parseImmoScout24StateFromHtml(html)).listings
+      .map((entry) => parseImmoScout24Listing(entry, 'Vevey'))
+  },
+  {
+    name: 'newhome __NEXT_DATA__ search',
+    fixture: 'newhome/search-page.html',
+    parse: (html) => findNewhomeListingArray(parseNewhomeSearchDataFromHtml(html))
+      .map((raw) => parseNewhomeListing(raw, 'Vevey'))
+  },
+  {
+    name: 'régie JSON-LD page',
+    fixture: 'regies/json-ld-page.html',
+    parse: (html) => parseRegieListingsFromHtml(html, REGIE_JSON_LD)
+      .map((fields) => buildRegieItem(fields, REGIE_JSON_LD, fields.city))
+  },
+  {
+    name: 'régie card selectors',
+    fixture: 'regies/cards-page.html',
+    parse: (html) => parseRegieListingsFromHtml(html, REGIE_CARDS)
+      .map((fields) => buildRegieItem(fields, REGIE_CARDS, 'Corseaux'))
+  },
+  {
+    name: 'institutional lead page (CPEV)',
+    fixture: 'institutional-leads/projets-cpev.html',
+    parse: (html) => parseInstitutionalLeadsFromHtml(html, {
+      url: 'https://www.cpev.ch/immobilier/projets',
+      host: 'https://www.cpev.ch'
+    })
+  }
+];
+
+for (const { name, fixture, parse } of CASES) {
+  test(`parses ${name}`, async () => {
+    const input = await fs.readFile(path.join(FIXTURES_DIR, fixture), 'utf8');
+    const expectedPath = path.join(FIXTURES_DIR, fixture.replace(/\.[^.]+$/, '.expected.json'));
+    const actual = JSON.parse(JSON.stringify(parse(input)));
+
+    if (UPDATE) {
+      await fs.writeFile(expectedPath, `${JSON.stringify(actual, null, 2)}\n`);
+      return;
+    }
+
+    const expected = JSON.parse(await fs.readFile(expectedPath, 'utf8'));
+    assert.deepEqual(actual, expected);
+  });
+}
+
+test('anibis rental detection rejects sale wording even with a monthly price', () => {
+  assert.equal(isAnibisRentalListing({}, '/immobilier/appartements/vevey/a-vendre', 'Appartement', '', 'CHF 1500 / mois'), false);
+  assert.equal(isAnibisRentalListing({}, '/immobilier/appartements/vevey/studio', 'Studio', 'Sous-location 6 mois', ''), true);
+  assert.equal(isAnibisRentalListing({}, '/immobilier/appartements/vevey/studio', 'Studio', '', 'CHF 900.– par mois'), true);
+  assert.equal(isAnibisRentalListing({}, '/immobilier/appartements/vevey/studio', 'Studio', '', 'CHF 900.–'), false);
+});
+
+test('institutional leads keep a unique id when names do not slug apart', () => {
+  const site = { url: 'https://www.cpev.ch/immobilier/projets', host: 'https://www.cpev.ch', name: 'CPEV' };
+  const slugs = new Map();
+  const ids = [
+    { name: 'Les Pâquis', url: 'https://www.cpev.ch/projets/paquis-1' },
+    { name: 'Les Paquis', url: 'https://www.cpev.ch/projets/paquis-2' },
+    { name: '«»', url: 'https://www.cpev.ch/projets/a' },
+    { name: '–', url: 'https://www.cpev.ch/projets/b' },
+    { name: 'Les Pâquis', url: 'https://www.cpev.ch/projets/paquis-1' }
+  ].map((lead) => buildInstitutionalLeadItem({ text: '', ...lead }, 'cpev', site, 'Vevey', slugs).id);
+
+  assert.equal(ids[0], 'cpev:les-paquis');
+  assert.equal(ids[4], ids[0]);
+  assert.equal(new Set(ids.slice(0, 4)).size, 4);
+  assert.ok(ids.every((id) => /^cpev:[a-z0-9-]+$/.test(id)));
+});
+
+test('page parsers return nothing on markup they do not recognise', () => {
+  assert.deepEqual(parseListingsFromHtml('<html></html>', 'Vevey'), []);
+  assert.deepEqual(parseNaefListingsFromHtml('<script>var other = [];</script>'), []);
+  assert.deepEqual(parseRetraitesListingsFromHtml('<p>maintenance</p>'), []);
+  assert.equal(parseAnibisSearchDataFromHtml('<script id="__NEXT_DATA__" type="application/json">{oops</script>'), null);
+  assert.equal(parseImmoScout24StateFromHtml('<p>captcha</p>'), null);
+  assert.equal(findNewhomeListingArray(parseNewhomeSearchDataFromHtml('<p></p>')), null);
+});
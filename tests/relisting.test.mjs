@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { addSplitOverride, emptyDedupOverrides } from '../scripts/dedup-overrides.mjs';
+import {
+  coordinatesMatch,
+  findRelisting,
+  isRelistingCandidate,
+  relistingMatchReason
+} from '../scripts/relisting.mjs';
+
+const keyOf = (item) => item.key || null;
+const NOW = Date.parse('2026-10-19T08:00:00.000Z');
+
+test('isRelistingCandidate keeps missing active entries and recent removals', () => {
+  const presentIds = new Set(['here']);
+  const opts = { presentIds, now: NOW, windowDays: 30 };
+
+  assert.equal(isRelistingCandidate({ id: 'here', active: true }, opts), false);
+  assert.equal(isRelistingCandidate({ id: 'a', active: true }, opts), true);
+  assert.equal(isRelistingCandidate({ id: 'b', isRemoved: true, removedAt: '2026-10-01T08:00:00.000Z' }, opts), true);
+  assert.equal(isRelistingCandidate({ id: 'c', isRemoved: true, removedAt: '2026-08-01T08:00:00.000Z' }, opts), false);
+  assert.equal(isRelistingCandidate({ id: 'd', isRemoved: true, removedAt: '2026-10-10T08:00:00.000Z', relistedAs: 'x' }, opts), false);
+  assert.equal(isRelistingCandidate({ id: 'e', isRemoved: true, removedAt: '2026-10-10T08:00:00.000Z', filterReason: 'Doublon inter-source' }, opts), false);
+});
+
+test('coordinates only match when rooms and rent agree', () => {
+  const base = { mapLat: 46.4628, mapLon: 6.8419, rooms: 3.5, totalChf: 1600 };
+  assert.equal(coordinatesMatch(base, { mapLat: 46.4629, mapLon: 6.8420, rooms: 3, totalChf: 1650 }), true);
+  assert.equal(coordinatesMatch(base, { mapLat: 46.4629, mapLon: 6.8420, rooms: 4.5, totalChf: 1600 }), false);
+  assert.equal(coordinatesMatch(base, { mapLat: 46.4629, mapLon: 6.8420, rooms: 3.5, totalChf: 2100 }), false);
+  assert.equal(coordinatesMatch(base, { mapLat: 46.47, mapLon: 6.8419, rooms: 3.5, totalChf: 1600 }), false);
+  assert.equal(coordinatesMatch({ mapLat: 46.4628, mapLon: 6.8419 }, { mapLat: 46.4628, mapLon: 6.8419 }), false);
+});
+
+test('relistingMatchReason tries dedup key, then images and photo hashes, then coordinates', () => {
+  assert.equal(relistingMatchReason({ key: 'k' }, { key: 'k' }, keyOf), 'dedupKey');
+  assert.equal(relistingMatchReason(
+    { imageUrls: ['https://cdn.ch/a.jpg'] },
+    { imageUrls: ['/data/profiles/x/images/a.jpg'], imageUrlsRemote: ['https://cdn.ch/a.jpg'] },
+    keyOf
+  ), 'images');
+  assert.equal(relistingMatchReason(
+    { imageHashes: ['00ff00ff00ff00ff'], rooms: 3.5, totalChf: 1600 },
+    { imageHashes: ['00ff00ff00ff00fe'], rooms: 3.5, totalChf: 1620 },
+    keyOf
+  ), 'photos');
+  assert.equal(relistingMatchReason({ key: 'k' }, { key: 'other' }, keyOf), null);
+});
+
+test('findRelisting prefers the strongest signal, then the latest entry', () => {
+  const item = { key: 'k', imageUrls: ['https://cdn.ch/a.jpg'] };
+  const byImage = { id: 'img', imageUrls: ['https://cdn.ch/a.jpg'], removedAt: '2026-10-18T08:00:00.000Z' };
+  const olderKey = { id: 'old', key: 'k', removedAt: '2026-10-01T08:00:00.000Z' };
+  const newerKey = { id: 'new', key: 'k', removedAt: '2026-10-12T08:00:00.000Z' };
+
+  assert.deepEqual(findRelisting(item, [byImage, olderKey, newerKey], keyOf), { candidate: newerKey, reason: 'dedupKey' });
+  assert.deepEqual(findRelisting({ imageUrls: ['https://cdn.ch/a.jpg'] }, [olderKey, byImage], keyOf), { candidate: byImage, reason: 'images' });
+  assert.equal(findRelisting({ key: 'none' }, [olderKey], keyOf), null);
+});
+
+test('a still-active entry is only taken over by a listing of the same source', () => {
+  const missing = { id: 'active', source: 'anibis.ch', key: 'k', active: true };
+  assert.equal(findRelisting({ id: 'new', source: 'flatfox.ch', key: 'k' }, [missing], keyOf), null);
+  assert.deepEqual(findRelisting({ id: 'new', source: 'anibis.ch', key: 'k' }, [missing], keyOf), { candidate: missing, reason: 'dedupKey' });
+
+  const removed = { ...missing, isRemoved: true, removedAt: '2026-10-12T08:00:00.000Z' };
+  assert.deepEqual(findRelisting({ id: 'new', source: 'flatfox.ch', key: 'k' }, [removed], keyOf), { candidate: removed, reason: 'dedupKey' });
+});
+
+test('findRelisting never links a pair split by hand', () => {
+  const removed = { id: 'old', key: 'k', isRemoved: true, removedAt: '2026-10-12T08:00:00.000Z' };
+  const overrides = addSplitOverride(emptyDedupOverrides(), 'old', 'new');
+  assert.equal(findRelisting({ id: 'new', key: 'k' }, [removed], keyOf, { overrides }), null);
+});
+
+test('one shared photo needs matching rooms and rent, and generic photos never count', () => {
+  const facade = '00ff00ff00ff00ff';
+  const kitchen = '1234123412341234';
+  const item = { imageHashes: [facade, kitchen], rooms: 2.5, totalChf: 1200 };
+
+  assert.equal(relistingMatchReason(item, { imageHashes: [facade] }, keyOf), null);
+  assert.equal(relistingMatchReason(item, { imageHashes: [facade], rooms: 4.5, totalChf: 2400 }, keyOf), null);
+  assert.equal(relistingMatchReason(item, { imageHashes: [facade, kitchen] }, keyOf), 'photos');
+  assert.equal(
+    relistingMatchReason(item, { imageHashes: [facade, kitchen] }, keyOf, { ignorePhotos: new Set([facade]) }),
+    null
+  );
+});
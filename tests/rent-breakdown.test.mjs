@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  applyRentBreakdown,
+  budgetRentChf,
+  completeRentBreakdown,
+  parseChfAmount,
+  parseRentBreakdownText,
+  resolveRentBasis
+} from '../scripts/rent-breakdown.mjs';
+
+test('parseChfAmount reads Swiss price notations', () => {
+  assert.equal(parseChfAmount("1'390.-"), 1390);
+  assert.equal(parseChfAmount('1 390.00'), 1390);
+  assert.equal(parseChfAmount('210'), 210);
+  assert.equal(parseChfAmount(''), null);
+  assert.equal(parseChfAmount('0'), null);
+});
+
+test('parseRentBreakdownText splits net rent, charges and mandatory parking', () => {
+  assert.deepEqual(
+    parseRentBreakdownText([
+      "Loyer net CHF 1'390.- + CHF 210.- de charges",
+      'Place de parc intérieure obligatoire : CHF 120.-/mois.'
+    ]),
+    { netRentChf: 1390, chargesChf: 210, parkingChf: 120, grossChf: null, chargesOnTop: true }
+  );
+  assert.deepEqual(parseRentBreakdownText('Nettomiete: CHF 1850.– Nebenkosten: CHF 250.– Einstellplatz obligatorisch CHF 140.–'), {
+    netRentChf: 1850,
+    chargesChf: 250,
+    parkingChf: 140,
+    grossChf: null,
+    chargesOnTop: false
+  });
+  // An optional parking space is not part of the rent.
+  assert.equal(parseRentBreakdownText('Place de parc à disposition pour CHF 100.-').parkingChf, null);
+  assert.equal(parseRentBreakdownText("CHF 1'600.- charges comprises").grossChf, 1600);
+});
+
+test('parseRentBreakdownText does not take counts after "charges" for amounts', () => {
+  assert.equal(parseRentBreakdownText('Charges: 2 mois de garantie').chargesChf, null);
+  assert.equal(parseRentBreakdownText('Acompte 1er mois à verser').chargesChf, null);
+  assert.equal(parseRentBreakdownText('Charges: CHF 5.-').chargesChf, null);
+  // A later real amount still counts.
+  assert.equal(parseRentBreakdownText('Acompte 1er mois à verser. Charges: 180.-').chargesChf, 180);
+});
+
+test('completeRentBreakdown derives the missing part', () => {
+  assert.deepEqual(completeRentBreakdown({ netRentChf: 1390, chargesChf: 210 }), {
+    netRentChf: 1390,
+    chargesChf: 210,
+    parkingChf: null,
+    totalChf: 1600
+  });
+  assert.deepEqual(completeRentBreakdown({ totalChf: 1600, chargesChf: 210, parkingChf: 0 }), {
+    netRentChf: 1390,
+    chargesChf: 210,
+    parkingChf: null,
+    totalChf: 1600
+  });
+  assert.deepEqual(completeRentBreakdown({ totalChf: 1600 }), {
+    netRentChf: null,
+    chargesChf: null,
+    parkingChf: null,
+    totalChf: 1600
+  });
+});
+
+test('applyRentBreakdown keeps what the provider already gave', () => {
+  const item = { totalChf: 1600, chargesChf: 200, netRentChf: null, parkingChf: null };
+  applyRentBreakdown(item, { netRentChf: 1390, chargesChf: 210, parkingChf: 120, grossChf: 1700 });
+  assert.deepEqual(item, { totalChf: 1600, chargesChf: 200, netRentChf: 1390, parkingChf: 120 });
+});
+
+test('applyRentBreakdown raises a total below the stated net rent plus charges', () => {
+  const item = applyRentBreakdown({ totalChf: 1200 }, parseRentBreakdownText("Loyer net CHF 1'200.- + charges CHF 150.-"));
+  assert.deepEqual(item, { totalChf: 1350, netRentChf: 1200, chargesChf: 150, parkingChf: null });
+});
+
+test('applyRentBreakdown takes a lone price for the net rent when charges come on top', () => {
+  const item = applyRentBreakdown({ totalChf: 1200 }, parseRentBreakdownText('Charges CHF 150.- en sus'));
+  assert.deepEqual(item, { totalChf: 1350, netRentChf: 1200, chargesChf: 150, parkingChf: null });
+  // "charges comprises" keeps the price gross.
+  const gross = applyRentBreakdown({ totalChf: 1200 }, parseRentBreakdownText('Charges CHF 150.- comprises'));
+  assert.deepEqual(gross, { totalChf: 1200, netRentChf: 1050, chargesChf: 150, parkingChf: null });
+});
+
+test('budgetRentChf follows the rent basis', () => {
+  const item = { netRentChf: 1390, chargesChf: 210, parkingChf: 120, totalChf: 1600 };
+  assert.equal(budgetRentChf(item, 'gross'), 1720);
+  assert.equal(budgetRentChf(item, 'net'), 1390);
+  assert.equal(budgetRentChf({ totalChf: 1600 }, 'net'), 1600);
+  assert.equal(budgetRentChf({}, 'gross'), null);
+
+  assert.equal(resolveRentBasis({ filters: { rentBasis: 'NET' } }), 'net');
+  assert.equal(resolveRentBasis({ filters: { rentBasis: 'brut' } }), 'gross');
+  assert.equal(resolveRentBasis({}), 'gross');
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  createRequestScheduler,
+  hostKeyFromUrl,
+  mapWithConcurrency,
+  resolveSchedulerOptions
+} from '../scripts/request-scheduler.mjs';
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+test('resolveSchedulerOptions keeps default host limits when one host is overridden', () => {
+  const options = resolveSchedulerOptions({ hosts: { 'www.flatfox.ch': { concurrency: 3 } } });
+  assert.equal(options.hosts['flatfox.ch'].concurrency, 3);
+  assert.equal(options.hosts['flatfox.ch'].minIntervalMs, options.defaults.minIntervalMs);
+  assert.equal(options.hosts['nominatim.openstreetmap.org'].concurrency, 1);
+});
+
+test('resolveSchedulerOptions ignores invalid values', () => {
+  const options = resolveSchedulerOptions({ maxConcurrency: 0, defaults: { concurrency: -1, minIntervalMs: 'x' } });
+  assert.equal(options.maxConcurrency, 8);
+  assert.equal(options.defaults.concurrency, 2);
+  assert.equal(options.defaults.minIntervalMs, 250);
+});
+
+test('hostKeyFromUrl strips www and tolerates bad input', () => {
+  assert.equal(hostKeyFromUrl('https://www.Naef.ch/louer'), 'naef.ch');
+  assert.equal(hostKeyFromUrl('not a url'), '');
+});
+
+test('limitsForHost matches subdomains of a configured host', () => {
+  const scheduler = createRequestScheduler({ hosts: { 'example.ch': { concurrency: 4, minIntervalMs: 0 } } });
+  assert.equal(scheduler.limitsForHost('api.example.ch').concurrency, 4);
+  assert.equal(scheduler.limitsForHost('other.ch').concurrency, 2);
+});
+
+test('same host is limited while other hosts run concurrently', async () => {
+  const scheduler = createRequestScheduler({
+    defaults: { concurrency: 1, minIntervalMs: 0 },
+    hosts: {}
+  });
+  const started = [];
+  const gates = { a1: deferred(), a2: deferred(), b1: deferred() };
+  const job = (name) => () => {
+    started.push(name);
+    return gates[name].promise.then(() => name);
+  };
+
+  const results = Promise.all([
+    scheduler.run('https://a.ch/1', job('a1')),
+    scheduler.run('https://a.ch/2', job('a2')),
+    scheduler.run('https://b.ch/1', job('b1'))
+  ]);
+
+  await tick();
+  assert.deepEqual(started, ['a1', 'b1']);
+
+  gates.a1.resolve();
+  await tick();
+  assert.deepEqual(started, ['a1', 'b1', 'a2']);
+
+  gates.a2.resolve();
+  gates.b1.resolve();
+  assert.deepEqual(await results, ['a1', 'a2', 'b1']);
+});
+
+test('minimum spacing delays the next start on the same host', async () => {
+  const scheduler = createRequestScheduler({ hosts: { 'slow.ch': { concurrency: 2, minIntervalMs: 40 } } });
+  const startedAt = [];
+  const job = () => {
+    startedAt.push(Date.now());
+    return Promise.resolve();
+  };
+
+  await Promise.all([scheduler.run('https://slow.ch/a', job), scheduler.run('https://slow.ch/b', job)]);
+  assert.ok(startedAt[1] - startedAt[0] >= 35);
+});
+
+test('failed tasks reject without blocking the queue', async () => {
+  const scheduler = createRequestScheduler({ defaults: { concurrency: 1, minIntervalMs: 0 } });
+  await assert.rejects(scheduler.run('https://x.ch', () => Promise.reject(new Error('boom'))), /boom/);
+  assert.equal(await scheduler.run('https://x.ch', () => 'ok'), 'ok');
+});
+
+test('mapWithConcurrency keeps order and caps lanes', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([3, 1, 2, 4], 2, async (n) => {
+    inFlight += 1;
+    peak = Math.max(peak, inFlight);
+    await new Promise((r) => setTimeout(r, n));
+    inFlight -= 1;
+    return n * 10;
+  });
+
+  assert.deepEqual(results, [30, 10, 20, 40]);
+  assert.equal(peak, 2);
+});
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { createScanHealth, sourceHealthStatus } from '../scripts/scan-health.mjs';
+
+test('requests, items and errors are attributed to the running source and area', async () => {
+  const health = createScanHealth();
+
+  await health.runSource('flatfox', 'flatfox.ch', async () => {
+    await health.withArea('Vevey', async () => {
+      health.startRequest()();
+      health.startRequest()(new Error('HTTP 500'));
+      health.recordItems(5, 3);
+    });
+    health.recordError('flatfox area=Vevey: boom');
+    return [{}, {}, {}];
+  });
+
+  const [source] = health.report().sources;
+  assert.equal(source.id, 'flatfox');
+  assert.equal(source.requests, 2);
+  assert.equal(source.failedRequests, 1);
+  assert.equal(source.parsed, 5);
+  assert.equal(source.kept, 3);
+  assert.equal(source.errorCount, 1);
+  assert.equal(source.status, 'warning');
+  assert.deepEqual(source.areas.map((a) => [a.area, a.requests, a.parsed, a.kept]), [['Vevey', 2, 5, 3]]);
+});
+
+test('concurrent sources keep separate buckets', async () => {
+  const health = createScanHealth();
+  const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+  await Promise.all([
+    health.runSource('a', 'A', async () => {
+      await wait(5);
+      health.startRequest()();
+      return [];
+    }),
+    health.runSource('b', 'B', async () => {
+      health.startRequest()();
+      await wait(1);
+      health.startRequest()();
+      return [{}];
+    })
+  ]);
+
+  const byId = Object.fromEntries(health.report().sources.map((s) => [s.id, s]));
+  assert.equal(byId.a.requests, 1);
+  assert.equal(byId.b.requests, 2);
+  assert.equal(byId.a.status, 'empty');
+  assert.equal(byId.b.parsed, 1);
+});
+
+test('a throwing source is recorded as an error', async () => {
+  const health = createScanHealth();
+  await assert.rejects(health.runSource('x', 'X', async () => {
+    throw new Error('parse failed');
+  }));
+  const [source] = health.report().sources;
+  assert.deepEqual(source.errors, ['parse failed']);
+  assert.equal(source.status, 'error');
+});
+
+test('sourceHealthStatus distinguishes idle, empty and ok', () => {
+  assert.equal(sourceHealthStatus({ kept: 0, requests: 0, errorCount: 0 }), 'idle');
+  assert.equal(sourceHealthStatus({ kept: 0, requests: 3, errorCount: 0 }), 'empty');
+  assert.equal(sourceHealthStatus({ kept: 4, requests: 3, errorCount: 0, failedRequests: 0 }), 'ok');
+});
+
+test('calls outside a source are ignored', () => {
+  const health = createScanHealth();
+  health.startRequest()();
+  health.recordItems(1, 1);
+  health.recordError('x');
+  assert.deepEqual(health.report().sources, []);
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import {
+  appendScanRecord,
+  buildScanRecord,
+  configHash,
+  diffScanRecords,
+  readScanHistory,
+  summarizeScanRecord,
+  writeScanHistory
+} from '../scripts/scan-history.mjs';
+
+const listing = (id, extra = {}) => ({ id, source: 'flatfox.ch', title: `Annonce ${id}`, totalChf: 1500, active: true, ...extra });
+
+test('configHash ignores key order', () => {
+  assert.equal(configHash({ a: 1, b: { c: 2, d: 3 } }), configHash({ b: { d: 3, c: 2 }, a: 1 }));
+  assert.notEqual(configHash({ a: 1 }), configHash({ a: 2 }));
+});
+
+test('buildScanRecord lists new, removed and changed listings', () => {
+  const record = buildScanRecord({
+    generatedAt: '2026-10-12T08:00:00.000Z',
+    previous: [listing('a'), listing('b'), listing('c'), listing('gone', { active: false, isRemoved: true })],
+    current: [
+      listing('a'),
+      listing('b', { totalChf: 1420 }),
+      listing('d', { source: 'naef.ch' }),
+      listing('c', { active: false, isRemoved: true })
+    ],
+    config: { areas: [] },
+    scanHealth: { sources: [{ id: 'anibis', status: 'error' }, { id: 'flatfox', status: 'ok' }] }
+  });
+
+  assert.deepEqual(record.newIds, ['d']);
+  assert.deepEqual(record.removedIds, ['c']);
+  assert.deepEqual(record.changedIds, ['b']);
+  assert.deepEqual(record.changes, { b: ['totalChf'] });
+  assert.deepEqual(record.sourceCounts, { 'flatfox.ch': 2, 'naef.ch': 1 });
+  assert.deepEqual(record.failedSources, ['anibis']);
+  assert.equal(record.totalCount, 3);
+  assert.equal(summarizeScanRecord(record).changedCount, 1);
+});
+
+test('appendScanRecord replaces a re-run and caps the history', () => {
+  const history = [{ id: '1' }, { id: '2' }];
+  assert.deepEqual(appendScanRecord(history, { id: '2', rerun: true }).map((x) => x.rerun || x.id), ['1', true]);
+  assert.deepEqual(appendScanRecord(history, { id: '3' }, 2).map((x) => x.id), ['2', '3']);
+});
+
+test('diffScanRecords replays the scans between two records', () => {
+  const history = [
+    { id: 's1', configHash: 'x', newIds: ['a', 'b', 'c'], removedIds: [], changedIds: [] },
+    { id: 's2', configHash: 'x', newIds: ['tmp'], removedIds: ['b'], changedIds: ['a'], changes: { a: ['totalChf'] } },
+    { id: 's3', configHash: 'y', newIds: ['b', 'd'], removedIds: ['tmp', 'c'], changedIds: ['a'], changes: { a: ['title'] } }
+  ];
+
+  const diff = diffScanRecords(history, 's1', 's3');
+  assert.equal(diff.scanCount, 2);
+  assert.equal(diff.configChanged, true);
+  assert.deepEqual(diff.addedIds, ['d']);
+  assert.deepEqual(diff.removedIds, ['c']);
+  assert.deepEqual(diff.changed, [
+    { id: 'b', fields: ['relisted'] },
+    { id: 'a', fields: ['totalChf', 'title'] }
+  ]);
+
+  assert.deepEqual(diffScanRecords(history, 's3', 's2').addedIds, ['b', 'd']);
+  assert.equal(diffScanRecords(history, 's1', 'missing'), null);
+});
+
+test('writeScanHistory round-trips through readScanHistory and leaves no temp file', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scan-history-'));
+  try {
+    const file = path.join(dir, 'scan-history.json');
+    const scans = [{ id: 'scan-1', generatedAt: '2026-01-01T00:00:00.000Z' }];
+    await writeScanHistory(file, scans);
+    assert.deepEqual(await readScanHistory(file), scans);
+    assert.deepEqual(await fs.readdir(dir), ['scan-history.json']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
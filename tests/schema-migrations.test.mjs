@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import {
+  CURRENT_SCHEMA_VERSION,
+  MIGRATIONS,
+  migrateDocument,
+  migrateProfileFiles,
+  schemaVersionOf,
+  withSchemaVersion
+} from '../scripts/schema-migrations.mjs';
+
+const legacyConfig = () => ({
+  name: 'Apartment Search (Vevey)',
+  preferences: { workAddress: 'Rue Etraz 4, 1003 Lausanne', transportToLausanne: true }
+});
+
+const legacyListing = (id) => ({ id, totalChf: 1400, budgetEligible: true, isPearl: false, withinHardBudget: true });
+
+test('the current version is the number of migrations', () => {
+  assert.equal(CURRENT_SCHEMA_VERSION, MIGRATIONS.length);
+  assert.equal(schemaVersionOf({}), 0);
+  assert.equal(schemaVersionOf(withSchemaVersion({ listings: [] })), CURRENT_SCHEMA_VERSION);
+});
+
+test('v1 renames workAddress and drops obsolete preferences', () => {
+  const { doc, from, to, migrated } = migrateDocument('config', legacyConfig());
+  assert.deepEqual([from, to, migrated], [0, CURRENT_SCHEMA_VERSION, true]);
+  assert.deepEqual(doc.preferences, { workplaceAddress: 'Rue Etraz 4, 1003 Lausanne' });
+
+  const kept = migrateDocument('config', { preferences: { workplaceAddress: 'Gare de Fribourg', workAddress: 'ancienne' } }).doc;
+  assert.deepEqual(kept.preferences, { workplaceAddress: 'Gare de Fribourg' });
+});
+
+test('v2 turns the old amenity preferences into scoring points', () => {
+  const doc = migrateDocument('config', {
+    schemaVersion: 1,
+    preferences: { workplaceAddress: 'Gare de Vevey', natureViewPreferred: true, washingMachinePreferred: false, bathtubPreferred: false },
+    scoring: { amenities: { bathtub: { present: 5 } } }
+  }).doc;
+
+  assert.deepEqual(doc.preferences, { workplaceAddress: 'Gare de Vevey' });
+  assert.deepEqual(doc.scoring.amenities, { bathtub: { present: 5 }, washingMachine: { present: 0 } });
+
+  const untouched = migrateDocument('config', { schemaVersion: 1, preferences: { natureViewPreferred: true } }).doc;
+  assert.equal('scoring' in untouched, false);
+});
+
+test('v1 strips legacy listing flags from tracker and latest', () => {
+  const tracker = migrateDocument('tracker', { listings: [legacyListing('a')] }).doc;
+  assert.equal('isPearl' in tracker.listings[0], false);
+  assert.equal('withinHardBudget' in tracker.listings[0], false);
+
+  const latest = migrateDocument('latest', { all: [legacyListing('a')], matching: [legacyListing('a')], newListings: [] }).doc;
+  assert.equal('isPearl' in latest.all[0], false);
+  assert.equal('withinHardBudget' in latest.matching[0], false);
+});
+
+test('v3 splits the legacy rent into net rent, charges and parking', () => {
+  const tracker = migrateDocument('tracker', {
+    schemaVersion: 2,
+    listings: [
+      {
+        id: 'a',
+        rentChf: 1450,
+        chargesChf: 180,
+        totalChf: 1630,
+        changeLog: [{ at: '2026-10-01T08:00:00.000Z', changes: [{ field: 'rentChf', from: 1500, to: 1450 }] }]
+      },
+      { id: 'b', rentChf: 1690, chargesChf: 0, totalChf: 1690 }
+    ]
+  }).doc;
+
+  assert.deepEqual(
+    tracker.listings.map(({ netRentChf, chargesChf, parkingChf, totalChf }) => ({ netRentChf, chargesChf, parkingChf, totalChf })),
+    [
+      { netRentChf: 1450, chargesChf: 180, parkingChf: null, totalChf: 1630 },
+      { netRentChf: null, chargesChf: null, parkingChf: null, totalChf: 1690 }
+    ]
+  );
+  assert.equal('rentChf' in tracker.listings[0], false);
+  assert.equal(tracker.listings[0].changeLog[0].changes[0].field, 'netRentChf');
+});
+
+test('v4 drops the placeholder move-in deadline of old default configs', () => {
+  const placeholder = migrateDocument('config', { schemaVersion: 3, filters: { maxTotalChf: 1400, moveInDeadline: '2026-03-01' } }).doc;
+  assert.deepEqual(placeholder.filters, { maxTotalChf: 1400 });
+
+  const chosen = migrateDocument('config', { schemaVersion: 3, filters: { moveInDeadline: '2027-01-31' } }).doc;
+  assert.equal(chosen.filters.moveInDeadline, '2027-01-31');
+});
+
+test('migrating twice is a no-op', () => {
+  const once = migrateDocument('tracker', { listings: [legacyListing('a')] }).doc;
+  const snapshot = JSON.stringify(once);
+  const again = migrateDocument('tracker', once);
+  assert.equal(again.migrated, false);
+  assert.equal(JSON.stringify(again.doc), snapshot);
+});
+
+test('a file from newer code is refused', () => {
+  assert.throws(
+    () => migrateDocument('tracker', { schemaVersion: CURRENT_SCHEMA_VERSION + 1, listings: [] }),
+    /tracker\.json utilise le schéma v\d+, plus récent/
+  );
+});
+
+test('migrateProfileFiles upgrades files on disk and leaves them untouched on refusal', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-migrations-'));
+  const paths = {
+    dataDir,
+    configPath: path.join(dataDir, 'watch-config.json'),
+    trackerPath: path.join(dataDir, 'tracker.json'),
+    latestPath: path.join(dataDir, 'latest-listings.json')
+  };
+  const read = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+
+  try {
+    await fs.writeFile(paths.configPath, JSON.stringify(legacyConfig()));
+    await fs.writeFile(paths.trackerPath, JSON.stringify({ listings: [legacyListing('a')] }));
+
+    assert.deepEqual(await migrateProfileFiles(paths), [
+      { kind: 'config', from: 0, to: CURRENT_SCHEMA_VERSION },
+      { kind: 'tracker', from: 0, to: CURRENT_SCHEMA_VERSION }
+    ]);
+    assert.equal((await read(paths.configPath)).schemaVersion, CURRENT_SCHEMA_VERSION);
+    assert.equal('isPearl' in (await read(paths.trackerPath)).listings[0], false);
+    assert.deepEqual(await migrateProfileFiles(paths), []);
+
+    await fs.writeFile(paths.configPath, JSON.stringify(legacyConfig()));
+    await fs.writeFile(paths.latestPath, JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, all: [] }));
+    await assert.rejects(migrateProfileFiles(paths), /latest-listings\.json/);
+    assert.equal(schemaVersionOf(await read(paths.configPath)), 0);
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
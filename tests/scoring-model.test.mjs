@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  DEFAULT_SCORING_MODEL,
+  amenityPoints,
+  formatPoints,
+  overBudgetPoints,
+  resolveScoringModel,
+  travelMalus
+} from '../scripts/scoring-model.mjs';
+
+test('a profile without scoring gets the historical weights', () => {
+  const model = resolveScoringModel({});
+  assert.deepEqual(model, DEFAULT_SCORING_MODEL);
+  assert.notEqual(model.zoneBonuses, DEFAULT_SCORING_MODEL.zoneBonuses);
+});
+
+test('partial scoring overrides only the given fields', () => {
+  const model = resolveScoringModel({
+    scoring: {
+      budget: { withinPoints: 50 },
+      travel: { freeMinutes: '45' },
+      zoneBonuses: [{ area: 'Fribourg', points: 6 }, { area: '', points: 3 }, { area: 'Marly', points: 0 }],
+      labels: { travel: 'Trajet EPFL', zone: '  ' }
+    }
+  });
+
+  assert.equal(model.budget.withinPoints, 50);
+  assert.equal(model.budget.minPoints, -20);
+  assert.equal(model.travel.freeMinutes, 45);
+  assert.equal(model.travel.minutesPerPoint, 5);
+  assert.deepEqual(model.zoneBonuses, [{ area: 'Fribourg', points: 6 }]);
+  assert.equal(model.labels.travel, 'Trajet EPFL');
+  assert.equal(model.labels.zone, 'Zone');
+});
+
+test('invalid values fall back to defaults or are clamped', () => {
+  const model = resolveScoringModel({
+    scoring: { studioPenalty: 'abc', budget: { overPenaltyStepChf: 0 }, travel: { minutesPerPoint: -2 } }
+  });
+  assert.equal(model.studioPenalty, 4);
+  assert.equal(model.budget.overPenaltyStepChf, 1);
+  assert.equal(model.travel.minutesPerPoint, 1);
+});
+
+test('over-budget points and travel malus follow the model', () => {
+  const model = resolveScoringModel({});
+  assert.equal(overBudgetPoints(10, model), 44);
+  assert.equal(overBudgetPoints(200, model), 41);
+  assert.equal(overBudgetPoints(5000, model), -20);
+  assert.equal(travelMalus(29, model), 0);
+  assert.equal(travelMalus(44, model), 2);
+
+  const lenient = resolveScoringModel({ scoring: { travel: { freeMinutes: 45, minutesPerPoint: 10 } } });
+  assert.equal(travelMalus(44, lenient), 0);
+  assert.equal(travelMalus(70, lenient), 2);
+});
+
+test('amenity points apply to known flags only', () => {
+  const model = resolveScoringModel({
+    scoring: { amenities: { petsAllowed: { absent: -10 }, lift: { present: 'abc' }, sauna: { present: 9 } } }
+  });
+  assert.deepEqual(model.amenities.petsAllowed, { present: 0, absent: -10 });
+  assert.deepEqual(model.amenities.lift, DEFAULT_SCORING_MODEL.amenities.lift);
+  assert.equal('sauna' in model.amenities, false);
+
+  assert.deepEqual(amenityPoints({ balcony: true, lift: false, petsAllowed: false, garden: 'yes' }, model), [
+    { key: 'balcony', label: 'Balcon / terrasse', points: 3 },
+    { key: 'petsAllowed', label: 'Animaux admis : non', points: -10 }
+  ]);
+  assert.deepEqual(amenityPoints(undefined, model), []);
+});
+
+test('formatPoints signs positive values', () => {
+  assert.equal(formatPoints(5), '+5');
+  assert.equal(formatPoints(0), '+0');
+  assert.equal(formatPoints(-4), '-4');
+});
@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  SOURCE_DEFINITIONS,
+  buildSourcePriorityMap,
+  publicSourceDefinitions,
+  resolveSourceToggles
+} from '../scripts/source-registry.mjs';
+
+test('source ids are unique', () => {
+  const ids = SOURCE_DEFINITIONS.map((x) => x.id);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test('resolveSourceToggles applies registry defaults to missing keys', () => {
+  const toggles = resolveSourceToggles({});
+  assert.equal(toggles.immobilier, true);
+  assert.equal(toggles.flatfox, true);
+  assert.equal(toggles.anibis, false);
+  // Providers added later stay off until a profile opts in.
+  for (const id of ['immoscout24', 'newhome', 'cip', 'cpev', 'regies']) assert.equal(toggles[id], false);
+});
+
+test('resolveSourceToggles keeps explicit booleans and drops unknown keys', () => {
+  const toggles = resolveSourceToggles({ flatfox: false, anibis: true, homegate: true });
+  assert.equal(toggles.flatfox, false);
+  assert.equal(toggles.anibis, true);
+  assert.equal('homegate' in toggles, false);
+});
+
+test('buildSourcePriorityMap keys priorities by source host', () => {
+  const priorities = buildSourcePriorityMap();
+  assert.equal(priorities['immobilier.ch'], 30);
+  assert.ok(priorities['naef.ch'] > priorities['flatfox.ch']);
+});
+
+test('publicSourceDefinitions exposes form metadata only', () => {
+  const [first] = publicSourceDefinitions();
+  assert.deepEqual(Object.keys(first).sort(), ['defaultEnabled', 'id', 'label', 'listingStage', 'source']);
+});
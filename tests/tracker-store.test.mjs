@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import {
+  LOCK_FILE_NAME,
+  mergeUserEdits,
+  snapshotUserFields,
+  withProfileLock,
+  writeJsonAtomic
+} from '../scripts/tracker-store.mjs';
+
+// Above the Linux pid limit: no process has it.
+const DEAD_PID = 2 ** 30;
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tracker-store-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('writeJsonAtomic replaces the file and leaves no temp file', () => withTempDir(async (dir) => {
+  const file = path.join(dir, 'tracker.json');
+  await writeJsonAtomic(file, { listings: [1] });
+  await writeJsonAtomic(file, { listings: [1, 2] });
+  assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf8')), { listings: [1, 2] });
+  assert.deepEqual(await fs.readdir(dir), ['tracker.json']);
+}));
+
+test('withProfileLock runs one holder at a time and releases on error', () => withTempDir(async (dir) => {
+  const order = [];
+  const task = (name) => withProfileLock(dir, async () => {
+    order.push(`${name}:start`);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    order.push(`${name}:end`);
+    return name;
+  });
+
+  assert.deepEqual(await Promise.all([task('a'), task('b')]), ['a', 'b']);
+  assert.deepEqual(order, ['a:start', 'a:end', 'b:start', 'b:end']);
+
+  await assert.rejects(withProfileLock(dir, async () => { throw new Error('boom'); }), /boom/);
+  assert.deepEqual(await fs.readdir(dir), []);
+}));
+
+test('withProfileLock times out on a live lock and takes over a dead one', () => withTempDir(async (dir) => {
+  const lockPath = path.join(dir, LOCK_FILE_NAME);
+
+  await fs.writeFile(lockPath, JSON.stringify({ pid: process.ppid, at: Date.now() }));
+  await assert.rejects(withProfileLock(dir, async () => 'never', { timeoutMs: 120 }), /verrouillé/);
+
+  // Age alone does not break the lock of a live process.
+  await fs.writeFile(lockPath, JSON.stringify({ pid: process.ppid, at: Date.now() - 10 * 60 * 1000 }));
+  await assert.rejects(withProfileLock(dir, async () => 'never', { timeoutMs: 120 }), /verrouillé/);
+
+  await fs.writeFile(lockPath, JSON.stringify({ pid: DEAD_PID, at: Date.now() }));
+  assert.equal(await withProfileLock(dir, async () => 'stale', { timeoutMs: 120 }), 'stale');
+  assert.deepEqual(await fs.readdir(dir), []);
+}));
+
+test('withProfileLock lets only one waiter take over a dead lock', () => withTempDir(async (dir) => {
+  await fs.writeFile(path.join(dir, LOCK_FILE_NAME), JSON.stringify({ pid: DEAD_PID, at: Date.now() }));
+  let holders = 0;
+  let maxHolders = 0;
+  const task = () => withProfileLock(dir, async () => {
+    holders += 1;
+    maxHolders = Math.max(maxHolders, holders);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    holders -= 1;
+  });
+
+  await Promise.all([task(), task(), task()]);
+  assert.equal(maxHolders, 1);
+  assert.deepEqual(await fs.readdir(dir), []);
+}));
+
+test('mergeUserEdits keeps dashboard edits made during the scan', () => {
+  const atStart = [
+    { id: 'a', status: 'À contacter', notes: '', pinned: false },
+    { id: 'b', status: 'Visite', notes: 'appeler', pinned: true },
+    { id: 'c', status: 'À contacter' },
+    { id: 'd', status: 'À contacter', duplicateOf: null }
+  ];
+  const baseline = snapshotUserFields(atStart);
+
+  const onDisk = [
+    { id: 'a', status: 'Dossier', notes: 'envoyé', pinned: true, updatedAt: '2026-03-01T10:00:00.000Z' },
+    { id: 'b', status: 'Visite', notes: 'appeler', pinned: true },
+    { id: 'd', status: 'À contacter', duplicateOf: 'b', display: false, active: false, isRemoved: true, filterReason: 'Fusionnée manuellement' }
+  ];
+
+  const scanned = [
+    { id: 'a', status: 'À contacter', notes: '', pinned: false, totalChf: 1400 },
+    { id: 'b', status: 'Visite', notes: 'appeler', pinned: true, totalChf: 1350 },
+    { id: 'c', status: 'À contacter' },
+    { id: 'd', status: 'À contacter', duplicateOf: null, display: true, active: true },
+    { id: 'new', status: 'À contacter' }
+  ];
+
+  const result = mergeUserEdits(scanned, baseline, onDisk);
+  assert.deepEqual(result.listings.map((x) => x.id), ['a', 'b', 'd', 'new']);
+  assert.equal(result.updated, 2);
+  assert.equal(result.deleted, 1);
+
+  const [a, b, d] = result.listings;
+  assert.deepEqual([a.status, a.notes, a.pinned, a.totalChf], ['Dossier', 'envoyé', true, 1400]);
+  assert.equal(a.updatedAt, '2026-03-01T10:00:00.000Z');
+  assert.equal(b.totalChf, 1350);
+  assert.deepEqual([d.duplicateOf, d.display, d.active, d.filterReason], ['b', false, false, 'Fusionnée manuellement']);
+});